@@ -0,0 +1,131 @@
+/**
+ * ESMC Loopback Authorization Code Flow (RFC 8252 + PKCE RFC 7636)
+ * Helpers for the browser login in scripts/login-standalone.js
+ *
+ * Security:
+ * - state parameter bound to this login attempt (CSRF protection)
+ * - PKCE S256 code_verifier/code_challenge (no raw token in the redirect URL)
+ * - Single-use callback and a per-user login lock (no racing logins)
+ */
+
+const crypto = require('crypto');
+const { TOKEN_URL, LOGIN_LOCK_PATH, CALLBACK_TIMEOUT } = require('../config/constants.js');
+const { acquireLock, releaseLock } = require('../core/file-lock.js');
+
+/**
+ * Loopback flow error
+ * code: LOGIN_IN_PROGRESS | STATE_MISMATCH | CALLBACK_REUSED | EXCHANGE_FAILED
+ */
+class AuthCodeFlowError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AuthCodeFlowError';
+    this.code = code;
+  }
+}
+
+/**
+ * Generate PKCE verifier + S256 challenge
+ * @returns {{codeVerifier: string, codeChallenge: string, method: string}}
+ */
+function createPkcePair() {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge, method: 'S256' };
+}
+
+/**
+ * Generate an unguessable state value for one login attempt
+ */
+function createState() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Constant-time state comparison
+ */
+function statesMatch(expected, received) {
+  if (typeof received !== 'string' || received.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+}
+
+/**
+ * Exchange authorization code + PKCE verifier for tokens
+ * @param {object} params - { code, codeVerifier, redirectUri, hardwareId }
+ * @returns {Promise<object>} - { token, refreshToken, expiresIn, blessing, checksum, samples }
+ */
+async function exchangeAuthorizationCode(params) {
+  let response;
+  let body;
+  try {
+    response = await fetch(TOKEN_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        grant_type: 'authorization_code',
+        code: params.code,
+        code_verifier: params.codeVerifier,
+        redirect_uri: params.redirectUri,
+        client_id: 'esmc-sdk',
+        hardwareId: params.hardwareId
+      })
+    });
+    body = await response.json();
+  } catch (error) {
+    throw new AuthCodeFlowError('EXCHANGE_FAILED', `Authorization code exchange failed: ${error.message}`);
+  }
+
+  if (!response.ok || !body.access_token) {
+    throw new AuthCodeFlowError(
+      'EXCHANGE_FAILED',
+      `Authorization code exchange failed: ${body.error_description || body.error || `HTTP ${response.status}`}`
+    );
+  }
+
+  return {
+    token: body.access_token,
+    refreshToken: body.refresh_token || null,
+    expiresIn: body.expires_in || null,
+    licenseToken: body.license_token || null,
+    blessing: body.blessing || null,
+    checksum: body.checksum || null,
+    samples: body.samples || []
+  };
+}
+
+/**
+ * Acquire the per-user login lock (~/.esmc/login.lock)
+ * Stale locks (dead pid or older than the callback timeout) are replaced.
+ *
+ * @throws {AuthCodeFlowError} - LOGIN_IN_PROGRESS if another login is running
+ */
+function acquireLoginLock() {
+  const { acquired, holder } = acquireLock(LOGIN_LOCK_PATH, CALLBACK_TIMEOUT);
+  if (!acquired) {
+    throw new AuthCodeFlowError(
+      'LOGIN_IN_PROGRESS',
+      `Another ESMC login is already in progress${holder ? ` (pid ${holder.pid})` : ''}. Finish or cancel it, then try again.`
+    );
+  }
+}
+
+/**
+ * Release the login lock if this process holds it
+ */
+function releaseLoginLock() {
+  releaseLock(LOGIN_LOCK_PATH);
+}
+
+module.exports = {
+  createPkcePair,
+  createState,
+  statesMatch,
+  exchangeAuthorizationCode,
+  acquireLoginLock,
+  releaseLoginLock,
+  AuthCodeFlowError
+};
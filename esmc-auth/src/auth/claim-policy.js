@@ -0,0 +1,121 @@
+/**
+ * ESMC JWT Claim Policy
+ * Validates registered claims once the signature has been verified
+ *
+ * - Required claims must be present (a token without `exp` is rejected, not immortal)
+ * - `iss` must be one of the allowed issuers, `aud` must contain the expected audience
+ * - `exp`, `nbf` and `iat` are compared with a leeway for clock skew
+ * - `iat` must be no older than maxAge seconds (0 = no limit)
+ *
+ * The clock is part of the policy so callers can validate against a fixed time.
+ */
+
+const {
+  JWT_ISSUERS,
+  JWT_AUDIENCE,
+  JWT_REQUIRED_CLAIMS,
+  JWT_LEEWAY,
+  JWT_MAX_AGE
+} = require('../config/constants.js');
+
+/**
+ * Claim validation error with a stable code
+ * code: EXPIRED | NOT_YET_VALID | BAD_ISSUER | BAD_AUDIENCE | MISSING_CLAIM
+ */
+class ClaimError extends Error {
+  constructor(code, message, claim) {
+    super(message);
+    this.name = 'ClaimError';
+    this.code = code;
+    this.claim = claim;
+  }
+}
+
+const DEFAULT_CLAIM_POLICY = Object.freeze({
+  requiredClaims: JWT_REQUIRED_CLAIMS,
+  issuers: JWT_ISSUERS,
+  audience: JWT_AUDIENCE,
+  leeway: JWT_LEEWAY,
+  maxAge: JWT_MAX_AGE,
+  clock: () => Date.now()
+});
+
+/**
+ * Build a policy from the defaults and overrides
+ * @param {object} [overrides] - { requiredClaims, issuers, audience, leeway, maxAge, clock }
+ * @returns {object} - Complete policy
+ */
+function createClaimPolicy(overrides = {}) {
+  const policy = { ...DEFAULT_CLAIM_POLICY, ...overrides };
+  if (typeof policy.issuers === 'string') {
+    policy.issuers = [policy.issuers];
+  }
+  return policy;
+}
+
+function formatTime(seconds) {
+  return new Date(seconds * 1000).toISOString();
+}
+
+/**
+ * Validate a token payload against a policy
+ *
+ * @param {object} payload - Decoded JWT payload (signature already verified)
+ * @param {object} [policy] - Policy or overrides (default: DEFAULT_CLAIM_POLICY)
+ * @returns {object} - The payload, if every check passes
+ * @throws {ClaimError}
+ */
+function validateClaims(payload, policy = DEFAULT_CLAIM_POLICY) {
+  const { requiredClaims, issuers, audience, leeway, maxAge, clock } = createClaimPolicy(policy);
+  const now = Math.floor(clock() / 1000);
+
+  for (const claim of requiredClaims) {
+    if (payload[claim] === undefined || payload[claim] === null) {
+      throw new ClaimError('MISSING_CLAIM', `Token is missing required claim: ${claim}`, claim);
+    }
+  }
+
+  for (const claim of ['exp', 'nbf', 'iat']) {
+    if (payload[claim] !== undefined && !Number.isFinite(payload[claim])) {
+      throw new ClaimError('MISSING_CLAIM', `Token claim ${claim} is not a numeric date`, claim);
+    }
+  }
+
+  if (payload.exp !== undefined && payload.exp + leeway <= now) {
+    throw new ClaimError('EXPIRED', `Token expired at ${formatTime(payload.exp)}`, 'exp');
+  }
+
+  if (payload.nbf !== undefined && payload.nbf - leeway > now) {
+    throw new ClaimError('NOT_YET_VALID', `Token not valid until ${formatTime(payload.nbf)}`, 'nbf');
+  }
+
+  if (payload.iat !== undefined) {
+    if (payload.iat - leeway > now) {
+      throw new ClaimError('NOT_YET_VALID', `Token issued in the future (${formatTime(payload.iat)})`, 'iat');
+    }
+    if (maxAge > 0 && payload.iat + maxAge + leeway <= now) {
+      throw new ClaimError('EXPIRED', `Token issued at ${formatTime(payload.iat)} exceeds the maximum age of ${maxAge}s`, 'iat');
+    }
+  }
+
+  if (payload.iss !== undefined && issuers.length > 0 && !issuers.includes(payload.iss)) {
+    throw new ClaimError('BAD_ISSUER', `Invalid issuer: ${payload.iss} (expected ${issuers.join(' or ')})`, 'iss');
+  }
+
+  // aud may be a single value or an array (RFC 7519 section 4.1.3)
+  if (payload.aud !== undefined && audience) {
+    const audiences = [].concat(payload.aud);
+    if (!audiences.includes(audience)) {
+      throw new ClaimError('BAD_AUDIENCE', `Invalid audience: ${audiences.join(', ')} (expected ${audience})`, 'aud');
+    }
+  }
+
+  return payload;
+}
+
+module.exports = {
+  validateClaims,
+  createClaimPolicy,
+  ClaimError,
+  DEFAULT_CLAIM_POLICY
+};
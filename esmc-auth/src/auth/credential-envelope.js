@@ -0,0 +1,154 @@
+/**
+ * ESMC Credential Envelope
+ * Versioned, authenticated encryption for ~/.esmc/credentials.json
+ *
+ * Version 2 (current):
+ *   { version: 2, alg: 'aes-256-gcm', kdf: { name: 'scrypt', N, r, p, salt }, iv, tag, ciphertext }
+ *   - Per-file random salt, key derived with scrypt from the secret
+ *   - AES-256-GCM; envelope header is bound as additional authenticated data,
+ *     so edits to ciphertext, salt or KDF parameters all fail the tag check
+ *
+ * Version 1 (legacy, read-only):
+ *   { encrypted: '<iv hex>:<ciphertext hex>' } - AES-256-CBC, no MAC
+ */
+
+const crypto = require('crypto');
+
+const ENVELOPE_VERSION = 2;
+const ALGORITHM = 'aes-256-gcm';
+const LEGACY_ALGORITHM = 'aes-256-cbc';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+
+/**
+ * Credential error with a stable code
+ * code: TAMPERED | MALFORMED | UNSUPPORTED_VERSION | LEGACY_DECRYPT_FAILED
+ *       PASSPHRASE_REQUIRED | UNKNOWN_BACKEND (credential-stores.js)
+ */
+class CredentialsError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'CredentialsError';
+    this.code = code;
+  }
+}
+
+function deriveKey(secret, salt, params) {
+  return crypto.scryptSync(secret, salt, KEY_LENGTH, {
+    N: params.N,
+    r: params.r,
+    p: params.p,
+    maxmem: 64 * 1024 * 1024
+  });
+}
+
+/**
+ * Additional authenticated data: every header field except the cipher output
+ */
+function headerAAD(envelope) {
+  const { version, alg, kdf } = envelope;
+  return Buffer.from(JSON.stringify({ version, alg, kdf }), 'utf8');
+}
+
+/**
+ * Encrypt data into a version 2 envelope
+ * @param {object} data - Plain credentials
+ * @param {string|Buffer} secret - Machine key or passphrase
+ * @returns {object} - Envelope (JSON-serializable)
+ */
+function sealEnvelope(data, secret) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+
+  const envelope = {
+    version: ENVELOPE_VERSION,
+    alg: ALGORITHM,
+    kdf: { name: 'scrypt', ...SCRYPT_PARAMS, salt: salt.toString('base64') }
+  };
+
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(secret, salt, SCRYPT_PARAMS), iv);
+  cipher.setAAD(headerAAD(envelope));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+  return {
+    ...envelope,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a version 2 envelope
+ * @throws {CredentialsError} - TAMPERED when authentication fails
+ */
+function openEnvelope(envelope, secret) {
+  if (envelope.version !== ENVELOPE_VERSION) {
+    throw new CredentialsError('UNSUPPORTED_VERSION', `Unsupported credentials format version: ${envelope.version}`);
+  }
+  if (envelope.alg !== ALGORITHM || !envelope.kdf || envelope.kdf.name !== 'scrypt' ||
+      !envelope.kdf.salt || !envelope.iv || !envelope.tag || !envelope.ciphertext) {
+    throw new CredentialsError('MALFORMED', 'Credentials envelope is missing required fields');
+  }
+
+  let plaintext;
+  try {
+    const key = deriveKey(secret, Buffer.from(envelope.kdf.salt, 'base64'), envelope.kdf);
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAAD(headerAAD(envelope));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    plaintext = Buffer.concat([
+      decipher.update(Buffer.from(envelope.ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    throw new CredentialsError(
+      'TAMPERED',
+      'Credentials failed integrity check (modified, or encrypted with a different key)'
+    );
+  }
+
+  return JSON.parse(plaintext);
+}
+
+/**
+ * Decrypt a legacy version 1 (CBC) payload
+ * @param {string} encryptedData - '<iv hex>:<ciphertext hex>'
+ * @param {Buffer} key - SHA-256 machine key
+ */
+function openLegacy(encryptedData, key) {
+  try {
+    const parts = encryptedData.split(':');
+    const iv = Buffer.from(parts.shift(), 'hex');
+    const encrypted = parts.join(':');
+    const decipher = crypto.createDecipheriv(LEGACY_ALGORITHM, key, iv);
+    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+    return JSON.parse(decrypted);
+  } catch (error) {
+    throw new CredentialsError('LEGACY_DECRYPT_FAILED', `Legacy credentials could not be decrypted: ${error.message}`);
+  }
+}
+
+/**
+ * Detect file format version
+ * @returns {number} - 1 (legacy CBC) or the envelope version
+ */
+function getEnvelopeVersion(fileData) {
+  if (fileData && typeof fileData.encrypted === 'string') {
+    return 1;
+  }
+  if (fileData && typeof fileData.version === 'number') {
+    return fileData.version;
+  }
+  throw new CredentialsError('MALFORMED', 'Unrecognized credentials file format');
+}
+
+module.exports = {
+  sealEnvelope,
+  openEnvelope,
+  openLegacy,
+  getEnvelopeVersion,
+  CredentialsError,
+  ENVELOPE_VERSION
+};
@@ -0,0 +1,282 @@
+/**
+ * ESMC Credential Stores
+ * Storage backends behind saveCredentials/loadCredentials (credentials.js)
+ *
+ * Backends (ESMC_CREDENTIALS_BACKEND):
+ *   file        - Machine-bound encrypted file, one per profile (default)
+ *   passphrase  - Passphrase-encrypted portable file (ESMC_CREDENTIALS_PASSPHRASE)
+ *   env         - ESMC_CREDENTIALS variable or stdin ('-'); never touches disk (CI runners)
+ *   memory      - Process memory only (tests)
+ *
+ * Every store implements:
+ *   read({ migrate })  → credentials | null   (throws CredentialsError)
+ *   write(credentials)
+ *   clear()            → boolean
+ *   inspect()          → { exists, version }
+ *   name, location
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { machineIdSync } = require('node-machine-id');
+const { CREDENTIALS_BACKEND } = require('../config/constants.js');
+const { getProfilePaths } = require('../core/profiles.js');
+const { writeFileSafe, readFileWithRecovery, removeFileWithBackup } = require('../core/atomic-file.js');
+const {
+  sealEnvelope,
+  openEnvelope,
+  openLegacy,
+  getEnvelopeVersion,
+  CredentialsError
+} = require('./credential-envelope.js');
+
+/**
+ * Generate machine-specific encryption key
+ * Hardware-bound security (same machine only)
+ */
+function getMachineKey() {
+  const machineId = machineIdSync();
+  return crypto.createHash('sha256').update(machineId).digest();
+}
+
+/**
+ * Parse an envelope file, or null if it does not exist
+ * A corrupt file (e.g. truncated by a crash) is replaced by its last good backup.
+ */
+function readEnvelopeFile(filePath) {
+  let result;
+  try {
+    result = readFileWithRecovery(filePath);
+  } catch (error) {
+    throw new CredentialsError('MALFORMED', `Credentials file is not valid JSON: ${error.message}`);
+  }
+  if (result && result.recovered) {
+    console.warn(`♻️  ${path.basename(filePath)} was corrupt - restored the last good copy`);
+  }
+  return result ? result.value : null;
+}
+
+/**
+ * Write an envelope with owner-only permissions (atomic, previous file kept as .bak)
+ */
+function writeEnvelopeFile(filePath, envelope) {
+  writeFileSafe(filePath, JSON.stringify(envelope, null, 2), { mode: 0o600 });
+}
+
+function removeFile(filePath) {
+  return removeFileWithBackup(filePath);
+}
+
+function inspectFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { exists: false, version: null };
+  }
+  try {
+    return { exists: true, version: getEnvelopeVersion(JSON.parse(fs.readFileSync(filePath, 'utf8'))) };
+  } catch (error) {
+    return { exists: true, version: null };
+  }
+}
+
+/**
+ * Machine-bound encrypted file (legacy CBC files are migrated on read)
+ */
+class MachineFileStore {
+  constructor(filePath) {
+    this.name = 'file';
+    this.location = filePath;
+  }
+
+  read({ migrate = true } = {}) {
+    const data = readEnvelopeFile(this.location);
+    if (!data) {
+      return null;
+    }
+
+    if (getEnvelopeVersion(data) === 1) {
+      const credentials = openLegacy(data.encrypted, getMachineKey());
+      if (migrate) {
+        this.write(credentials);
+        console.log('🔄 Credentials migrated to authenticated encryption (format v2)');
+      }
+      return credentials;
+    }
+
+    return openEnvelope(data, getMachineKey());
+  }
+
+  write(credentials) {
+    writeEnvelopeFile(this.location, sealEnvelope(credentials, getMachineKey()));
+  }
+
+  clear() {
+    return removeFile(this.location);
+  }
+
+  inspect() {
+    return inspectFile(this.location);
+  }
+}
+
+/**
+ * Passphrase-encrypted file - portable between machines
+ */
+class PassphraseFileStore {
+  constructor(passphrase, filePath) {
+    this.name = 'passphrase';
+    this.location = filePath;
+    this.passphrase = passphrase;
+  }
+
+  requirePassphrase() {
+    if (!this.passphrase) {
+      throw new CredentialsError(
+        'PASSPHRASE_REQUIRED',
+        'Passphrase backend selected but ESMC_CREDENTIALS_PASSPHRASE is not set'
+      );
+    }
+    return this.passphrase;
+  }
+
+  read() {
+    const data = readEnvelopeFile(this.location);
+    if (!data) {
+      return null;
+    }
+    if (getEnvelopeVersion(data) === 1) {
+      throw new CredentialsError('UNSUPPORTED_VERSION', 'Portable credentials must use format v2');
+    }
+    return openEnvelope(data, this.requirePassphrase());
+  }
+
+  write(credentials) {
+    writeEnvelopeFile(this.location, sealEnvelope(credentials, this.requirePassphrase()));
+  }
+
+  clear() {
+    return removeFile(this.location);
+  }
+
+  inspect() {
+    return inspectFile(this.location);
+  }
+}
+
+/**
+ * Process-memory store (tests, and the base for the env store)
+ */
+class MemoryStore {
+  constructor(credentials = null) {
+    this.name = 'memory';
+    this.location = 'process memory';
+    this.credentials = credentials;
+  }
+
+  read() {
+    return this.credentials;
+  }
+
+  write(credentials) {
+    this.credentials = credentials;
+  }
+
+  clear() {
+    const existed = this.credentials !== null;
+    this.credentials = null;
+    return existed;
+  }
+
+  inspect() {
+    return { exists: this.credentials !== null, version: null };
+  }
+}
+
+/**
+ * Credentials supplied by the environment (CI runners)
+ * ESMC_CREDENTIALS holds JSON (or base64 JSON); '-' reads it from stdin once.
+ * Writes (e.g. token refresh) stay in memory for the lifetime of the process.
+ */
+class EnvStore extends MemoryStore {
+  constructor(value, readStdin = () => fs.readFileSync(0, 'utf8')) {
+    super(null);
+    this.name = 'env';
+    this.location = value === '-' ? 'stdin' : 'ESMC_CREDENTIALS';
+    this.value = value;
+    this.readStdin = readStdin;
+    this.loaded = false;
+  }
+
+  read() {
+    if (!this.loaded) {
+      this.loaded = true;
+      const raw = this.value === '-' ? this.readStdin() : this.value;
+      this.credentials = raw && raw.trim() ? parseCredentialsValue(raw.trim()) : null;
+    }
+    return this.credentials;
+  }
+
+  write(credentials) {
+    this.loaded = true;
+    super.write(credentials);
+  }
+
+  clear() {
+    this.loaded = true;
+    return super.clear();
+  }
+
+  inspect() {
+    try {
+      return { exists: this.read() !== null, version: null };
+    } catch (error) {
+      return { exists: true, version: null };
+    }
+  }
+}
+
+function parseCredentialsValue(raw) {
+  const json = raw.startsWith('{') ? raw : Buffer.from(raw, 'base64').toString('utf8');
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    throw new CredentialsError('MALFORMED', `ESMC_CREDENTIALS is not JSON or base64-encoded JSON: ${error.message}`);
+  }
+}
+
+// File backends store one file per profile; env and memory hold a single identity
+const BACKENDS = {
+  file: (paths) => new MachineFileStore(paths.credentialsPath),
+  passphrase: (paths) => new PassphraseFileStore(process.env.ESMC_CREDENTIALS_PASSPHRASE, paths.portableCredentialsPath),
+  env: () => new EnvStore(process.env.ESMC_CREDENTIALS),
+  memory: () => new MemoryStore()
+};
+
+/**
+ * Create the store named by configuration
+ * @param {string} [backend] - Backend name (default: ESMC_CREDENTIALS_BACKEND or 'file')
+ * @param {string} [profileName] - Profile (default: active profile)
+ */
+function createCredentialStore(backend = CREDENTIALS_BACKEND, profileName) {
+  const factory = BACKENDS[backend];
+  if (!factory) {
+    throw new CredentialsError(
+      'UNKNOWN_BACKEND',
+      `Unknown credentials backend "${backend}" (expected: ${Object.keys(BACKENDS).join(', ')})`
+    );
+  }
+  const paths = getProfilePaths(profileName);
+  const store = factory(paths);
+  store.profile = paths.name;
+  return store;
+}
+
+module.exports = {
+  createCredentialStore,
+  getMachineKey,
+  MachineFileStore,
+  PassphraseFileStore,
+  MemoryStore,
+  EnvStore,
+  BACKENDS
+};
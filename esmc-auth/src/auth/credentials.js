@@ -1,110 +1,136 @@
 /**
  * ESMC 3.8 MCP Server - Credential Management
  * Reused from cli/utils/credentials.js with MCP-specific adaptations
+ *
+ * Storage is delegated to the backend selected by ESMC_CREDENTIALS_BACKEND
+ * (see credential-stores.js); callers use the same functions for every backend.
  */
 
-const fs = require('fs');
-const path = require('path');
-const os = require('os');
-const crypto = require('crypto');
-const { machineIdSync } = require('node-machine-id');
-const { CREDENTIALS_PATH } = require('../config/constants.js');
+const { CredentialsError } = require('./credential-envelope.js');
+const { createCredentialStore, getMachineKey } = require('./credential-stores.js');
+const { getActiveProfile } = require('../core/profiles.js');
 
-const ALGORITHM = 'aes-256-cbc';
+// Active store (selected by ESMC_CREDENTIALS_BACKEND on first use)
+let activeStore = null;
+let storeIsPinned = false;
 
 /**
- * Generate machine-specific encryption key
- * Hardware-bound security (same machine only)
+ * Get the configured credential store for the active profile
+ * Recreated when the active profile changes (e.g. --profile)
  */
-function getMachineKey() {
-  const machineId = machineIdSync();
-  return crypto.createHash('sha256').update(machineId).digest();
+function getCredentialStore() {
+  if (!storeIsPinned) {
+    const profile = getActiveProfile().name;
+    if (!activeStore || activeStore.profile !== profile) {
+      activeStore = createCredentialStore(undefined, profile);
+    }
+  }
+  return activeStore;
 }
 
 /**
- * Encrypt credential data
+ * Replace the active store (tests, or callers that pick a backend at runtime)
+ * An explicit store is used for every profile until reset with null.
+ * @param {object|string|null} store - Store instance, backend name, or null to reset
  */
-function encrypt(data, key) {
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
-  let encrypted = cipher.update(JSON.stringify(data), 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  return iv.toString('hex') + ':' + encrypted;
+function setCredentialStore(store) {
+  activeStore = typeof store === 'string' ? createCredentialStore(store) : store;
+  storeIsPinned = store !== null;
 }
 
 /**
- * Decrypt credential data
+ * Save credentials to the active store
  */
-function decrypt(encryptedData, key) {
-  const parts = encryptedData.split(':');
-  const iv = Buffer.from(parts.shift(), 'hex');
-  const encrypted = parts.join(':');
-  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
-  let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-  decrypted += decipher.final('utf8');
-  return JSON.parse(decrypted);
+function saveCredentials(credentials) {
+  getCredentialStore().write(credentials);
 }
 
 /**
- * Save encrypted credentials
+ * Read credentials, reporting failures as CredentialsError
+ * Legacy CBC files are migrated to the current envelope on first load.
+ *
+ * @param {object} options - { migrate: boolean } (default true)
+ * @returns {object|null} - Credentials, or null if none are stored
+ * @throws {CredentialsError} - TAMPERED, MALFORMED, UNSUPPORTED_VERSION, LEGACY_DECRYPT_FAILED, PASSPHRASE_REQUIRED
  */
-function saveCredentials(credentials) {
-  const credDir = path.dirname(CREDENTIALS_PATH);
-
-  // Create .esmc directory if not exists
-  if (!fs.existsSync(credDir)) {
-    fs.mkdirSync(credDir, { recursive: true });
-  }
-
-  // Encrypt with machine-specific key
-  const key = getMachineKey();
-  const encrypted = encrypt(credentials, key);
-
-  // Write encrypted data
-  fs.writeFileSync(CREDENTIALS_PATH, JSON.stringify({ encrypted }), 'utf8');
+function readCredentials(options = {}) {
+  return getCredentialStore().read(options);
 }
 
 /**
  * Load and decrypt credentials
+ * @returns {object|null} - Credentials, or null if missing/unreadable
  */
 function loadCredentials() {
-  if (!fs.existsSync(CREDENTIALS_PATH)) {
+  try {
+    return readCredentials();
+  } catch (error) {
+    if (error.code === 'TAMPERED') {
+      console.error('🚨 Credentials tampered or copied from another machine:', error.message);
+    } else if (error.code === 'PASSPHRASE_REQUIRED' || error.code === 'UNKNOWN_BACKEND') {
+      console.error('⚠️ Credentials unavailable:', error.message);
+    } else {
+      console.error('⚠️ Credentials corrupted:', error.message);
+    }
     return null;
   }
+}
+
+/**
+ * Inspect stored credentials without logging or migrating (used by `esmc doctor`)
+ * @returns {{backend: string, location: string, exists: boolean, decrypted: boolean, version: number|null, code: string|null, error: string|null}}
+ */
+function inspectCredentials() {
+  let store;
+  try {
+    store = getCredentialStore();
+  } catch (error) {
+    return { backend: null, location: null, exists: false, decrypted: false, version: null, code: error.code || null, error: error.message };
+  }
+
+  const { exists, version } = store.inspect();
+  const result = { backend: store.name, location: store.location, exists, decrypted: false, version, code: null, error: null };
+  if (!exists) {
+    return result;
+  }
 
   try {
-    const data = JSON.parse(fs.readFileSync(CREDENTIALS_PATH, 'utf8'));
-    const key = getMachineKey();
-    return decrypt(data.encrypted, key);
+    readCredentials({ migrate: false });
+    return { ...result, decrypted: true };
   } catch (error) {
-    console.error('⚠️ Credentials corrupted or tampered:', error.message);
-    return null;
+    return { ...result, code: error.code || null, error: error.message };
   }
 }
 
 /**
  * Clear credentials (logout)
+ * @returns {boolean} - True if stored credentials were removed
  */
 function clearCredentials() {
-  if (fs.existsSync(CREDENTIALS_PATH)) {
-    fs.unlinkSync(CREDENTIALS_PATH);
-  }
+  return getCredentialStore().clear();
 }
 
 /**
- * Check if credentials are expired
+ * Check if credentials are expired (subscription ended and grace period over)
  */
 function isExpired(credentials) {
   if (!credentials || !credentials.expiresAt) {
     return false; // FREE tier or no expiry
   }
-  return new Date(credentials.expiresAt) < new Date();
+  const { getExpiryState } = require('../core/subscription-expiry.js');
+  const { checkClock } = require('../core/trusted-clock.js');
+  return getExpiryState(credentials.expiresAt, { now: checkClock().now }).state === 'expired';
 }
 
 module.exports = {
   saveCredentials,
   loadCredentials,
+  readCredentials,
   clearCredentials,
+  inspectCredentials,
+  getCredentialStore,
+  setCredentialStore,
   isExpired,
-  getMachineKey
+  getMachineKey,
+  CredentialsError
 };
@@ -0,0 +1,157 @@
+/**
+ * ESMC Device Authorization Flow (RFC 8628)
+ * Headless login for SSH sessions, devcontainers and CI boxes
+ *
+ * Flow:
+ *   1. Request a device code + short user code from the API
+ *   2. User opens the verification URL on any device and enters the code
+ *   3. Poll the token endpoint until the grant is approved, denied or expires
+ */
+
+const { DEVICE_CODE_URL, DEVICE_TOKEN_URL, DEVICE_POLL_INTERVAL } = require('../config/constants.js');
+
+const DEVICE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+
+/**
+ * Device flow error with RFC 8628 error code
+ * code: expired_token | access_denied | invalid_response | network_error | ...
+ */
+class DeviceFlowError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'DeviceFlowError';
+    this.code = code;
+  }
+}
+
+/**
+ * POST JSON to the device endpoints
+ * @returns {Promise<{status: number, body: object}>}
+ */
+async function postJSON(url, payload) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(payload)
+    });
+  } catch (error) {
+    throw new DeviceFlowError('network_error', `Device authorization request failed: ${error.message}`);
+  }
+
+  let body;
+  try {
+    body = await response.json();
+  } catch (error) {
+    throw new DeviceFlowError('invalid_response', `Device endpoint returned invalid JSON (${response.status})`);
+  }
+
+  return { status: response.status, body };
+}
+
+/**
+ * Request a device code
+ * @param {object} device - { hardwareId, deviceName, os }
+ * @returns {Promise<object>} - { deviceCode, userCode, verificationUri, verificationUriComplete, expiresIn, interval }
+ */
+async function requestDeviceCode(device) {
+  const { status, body } = await postJSON(DEVICE_CODE_URL, {
+    client_id: 'esmc-sdk',
+    hardwareId: device.hardwareId,
+    deviceName: device.deviceName,
+    os: device.os
+  });
+
+  if (status !== 200 || !body.device_code || !body.user_code || !body.verification_uri) {
+    throw new DeviceFlowError(
+      body.error || 'invalid_response',
+      `Device code request failed: ${body.error_description || body.error || `HTTP ${status}`}`
+    );
+  }
+
+  return {
+    deviceCode: body.device_code,
+    userCode: body.user_code,
+    verificationUri: body.verification_uri,
+    verificationUriComplete: body.verification_uri_complete || null,
+    expiresIn: body.expires_in || 900,
+    interval: body.interval || DEVICE_POLL_INTERVAL
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Poll the token endpoint until the grant resolves
+ *
+ * Handles RFC 8628 section 3.5 responses:
+ * - authorization_pending: keep polling at the current interval
+ * - slow_down: increase the interval by 5 seconds
+ * - expired_token / access_denied: stop with a DeviceFlowError
+ *
+ * @param {object} deviceCode - Result of requestDeviceCode()
+ * @param {object} options - { hardwareId, onPoll(state, interval), sleep }
+ * @returns {Promise<object>} - Token response ({ token, refreshToken, expiresIn, licenseToken, blessing, checksum, samples })
+ */
+async function pollForToken(deviceCode, options = {}) {
+  const wait = options.sleep || sleep;
+  const deadline = Date.now() + deviceCode.expiresIn * 1000;
+  let interval = deviceCode.interval;
+
+  while (Date.now() < deadline) {
+    await wait(interval * 1000);
+
+    const { status, body } = await postJSON(DEVICE_TOKEN_URL, {
+      grant_type: DEVICE_GRANT_TYPE,
+      device_code: deviceCode.deviceCode,
+      client_id: 'esmc-sdk',
+      hardwareId: options.hardwareId
+    });
+
+    if (status === 200 && body.access_token) {
+      return {
+        token: body.access_token,
+        refreshToken: body.refresh_token || null,
+        expiresIn: body.expires_in || null,
+        licenseToken: body.license_token || null,
+        blessing: body.blessing || null,
+        checksum: body.checksum || null,
+        samples: body.samples || []
+      };
+    }
+
+    switch (body.error) {
+      case 'authorization_pending':
+        break;
+      case 'slow_down':
+        interval += 5;
+        break;
+      case 'expired_token':
+        throw new DeviceFlowError('expired_token', 'Device code expired before it was approved');
+      case 'access_denied':
+        throw new DeviceFlowError('access_denied', 'Authorization request was denied');
+      default:
+        throw new DeviceFlowError(
+          body.error || 'invalid_response',
+          `Device token request failed: ${body.error_description || body.error || `HTTP ${status}`}`
+        );
+    }
+
+    if (options.onPoll) {
+      options.onPoll(body.error, interval);
+    }
+  }
+
+  throw new DeviceFlowError('expired_token', 'Device code expired before it was approved');
+}
+
+module.exports = {
+  requestDeviceCode,
+  pollForToken,
+  DeviceFlowError
+};
@@ -0,0 +1,121 @@
+/**
+ * ESMC Runtime Environment Detection
+ * Devcontainers, containers, WSL and cloud VMs get a new hostname, MAC addresses
+ * and /etc/machine-id on every rebuild. There, device identity comes from a stable
+ * anchor instead:
+ *   1. Host id file mounted into the environment (HOST_ID_PATH / ESMC_HOST_ID_FILE)
+ *   2. Install id persisted in ~/.esmc/install-id (created on first use)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { INSTALL_ID_PATH, HOST_ID_PATH } = require('../config/constants.js');
+
+// Hypervisor / cloud vendors reported by DMI (Linux)
+const VM_VENDOR_PATTERN = /kvm|qemu|virtualbox|vmware|xen|hvm domu|google compute engine|amazon ec2|microsoft corporation virtual|openstack|droplet|bochs|parallels/i;
+
+const ENVIRONMENT_LABELS = {
+  host: 'physical host',
+  devcontainer: 'devcontainer',
+  container: 'container',
+  wsl: 'WSL',
+  vm: 'virtual machine'
+};
+
+function readFileQuietly(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Detect the runtime environment
+ * Checked from most to least specific: a devcontainer is also a container,
+ * and a container may run inside WSL or a VM.
+ *
+ * @returns {{type: string, label: string, volatile: boolean, indicators: string[]}}
+ */
+function detectEnvironment() {
+  const indicators = [];
+  let type = 'host';
+
+  if (process.env.REMOTE_CONTAINERS || process.env.DEVCONTAINER || process.env.CODESPACES) {
+    indicators.push('devcontainer environment variables');
+    type = 'devcontainer';
+  }
+
+  if (fs.existsSync('/.dockerenv')) indicators.push('/.dockerenv');
+  if (fs.existsSync('/run/.containerenv')) indicators.push('/run/.containerenv');
+  if (process.env.KUBERNETES_SERVICE_HOST) indicators.push('KUBERNETES_SERVICE_HOST');
+  if (/docker|kubepods|containerd|libpod|lxc/.test(readFileQuietly('/proc/1/cgroup'))) indicators.push('/proc/1/cgroup');
+  if (type === 'host' && indicators.length > 0) {
+    type = 'container';
+  }
+
+  if (type === 'host' && (process.env.WSL_DISTRO_NAME || /microsoft/i.test(readFileQuietly('/proc/version')))) {
+    indicators.push(process.env.WSL_DISTRO_NAME ? 'WSL_DISTRO_NAME' : '/proc/version');
+    type = 'wsl';
+  }
+
+  if (type === 'host') {
+    const dmi = ['sys_vendor', 'product_name']
+      .map(name => readFileQuietly(path.join('/sys/class/dmi/id', name)).trim())
+      .join(' ');
+    if (VM_VENDOR_PATTERN.test(dmi)) {
+      indicators.push(`DMI: ${dmi}`);
+      type = 'vm';
+    }
+  }
+
+  return {
+    type,
+    label: ENVIRONMENT_LABELS[type],
+    volatile: type !== 'host',
+    indicators
+  };
+}
+
+/**
+ * Stable identity anchor for volatile environments
+ * @returns {{source: 'host-id'|'install-id', value: string, path: string}}
+ */
+function getStableAnchor() {
+  const hostId = readFileQuietly(HOST_ID_PATH).trim();
+  if (hostId) {
+    return { source: 'host-id', value: hostId, path: HOST_ID_PATH };
+  }
+
+  let installId = readFileQuietly(INSTALL_ID_PATH).trim();
+  if (!installId) {
+    installId = crypto.randomUUID();
+    try {
+      fs.mkdirSync(path.dirname(INSTALL_ID_PATH), { recursive: true });
+      fs.writeFileSync(INSTALL_ID_PATH, installId + '\n', { encoding: 'utf8', mode: 0o600 });
+    } catch (error) {
+      console.error('⚠️ Install id could not be saved - device identity will change on restart:', error.message);
+    }
+  }
+  return { source: 'install-id', value: installId, path: INSTALL_ID_PATH };
+}
+
+/**
+ * One-line description for login and status output
+ * e.g. "devcontainer (identity: install id)"
+ */
+function describeEnvironment(environment = detectEnvironment()) {
+  if (!environment.volatile) {
+    return environment.label;
+  }
+  const anchor = getStableAnchor();
+  return `${environment.label} (identity: ${anchor.source === 'host-id' ? `host id from ${anchor.path}` : 'install id'})`;
+}
+
+module.exports = {
+  detectEnvironment,
+  getStableAnchor,
+  describeEnvironment,
+  ENVIRONMENT_LABELS
+};
@@ -0,0 +1,258 @@
+/**
+ * ESMC Device Fingerprint (schema v2)
+ * Component-level hardware fingerprint with tolerant matching
+ *
+ * Schema v1 (legacy): one SHA-256 over hostname, memory, CPU and the first MAC -
+ * any change (renamed laptop, added RAM, Docker bridge) produced a new device.
+ *
+ * Schema v2: every component is hashed separately and compared on its own.
+ * The device record written at login (~/.esmc/device.json) keeps the hardware ID
+ * the server bound the license to; it is reused while the weighted similarity
+ * stays at or above FINGERPRINT_MATCH_THRESHOLD and every required component matches.
+ *
+ * In containers, WSL and VMs (environment.js) the machine id, hostname and MAC
+ * addresses are regenerated on rebuild; they are left out and replaced by the
+ * environment's stable anchor (mounted host id or persisted install id).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { machineIdSync } = require('node-machine-id');
+const { DEVICE_RECORD_PATH, FINGERPRINT_MATCH_THRESHOLD } = require('../config/constants.js');
+const { detectEnvironment, getStableAnchor } = require('./environment.js');
+
+const FINGERPRINT_SCHEMA_VERSION = 2;
+
+// Interfaces created by container runtimes, VPNs and hypervisors - they come and go
+const VIRTUAL_INTERFACE_PATTERN = /^(docker|br-|veth|virbr|vmnet|vboxnet|vnet|tun|tap|utun|awdl|llw|bridge|zt|tailscale|wg|cni|flannel|cali|lxc|lxd)/i;
+
+/**
+ * Components, weights and collectors
+ * required: a mismatch means a different device regardless of the score
+ * volatile: regenerated on rebuild in containers/WSL/VMs - not collected there
+ * A collector returning null leaves the component out of matching.
+ */
+const COMPONENTS = {
+  anchor: { weight: 4, required: true, collect: (context) => context.anchor ? context.anchor.value : null },
+  machineId: { weight: 4, volatile: true, collect: () => machineIdSync() },
+  environment: { weight: 1, required: true, collect: (context) => context.environment.type },
+  platform: { weight: 3, required: true, collect: () => os.platform() },
+  arch: { weight: 2, required: true, collect: () => os.arch() },
+  cpuModel: { weight: 2, collect: () => os.cpus()[0]?.model || 'unknown' },
+  macAddresses: { weight: 2, volatile: true, collect: () => collectPhysicalMacAddresses(), set: true },
+  cpuCount: { weight: 1, collect: () => os.cpus().length },
+  totalMemory: { weight: 1, collect: () => os.totalmem() },
+  hostname: { weight: 1, volatile: true, collect: () => os.hostname() }
+};
+
+function hashComponent(name, value) {
+  return crypto.createHash('sha256').update(`esmc-fp-v2|${name}|${value}`).digest('hex');
+}
+
+/**
+ * MAC addresses of physical interfaces only (virtual bridges excluded)
+ */
+function collectPhysicalMacAddresses() {
+  const networkInterfaces = os.networkInterfaces();
+  const macAddresses = new Set();
+
+  for (const [interfaceName, interfaces] of Object.entries(networkInterfaces)) {
+    if (VIRTUAL_INTERFACE_PATTERN.test(interfaceName)) {
+      continue;
+    }
+    for (const iface of interfaces) {
+      if (!iface.internal && iface.mac && iface.mac !== '00:00:00:00:00:00') {
+        macAddresses.add(iface.mac.toLowerCase());
+      }
+    }
+  }
+
+  return [...macAddresses].sort();
+}
+
+/**
+ * Collect the current fingerprint (each component hashed separately)
+ * A component that cannot be read is recorded as null and left out of matching.
+ *
+ * @returns {{schemaVersion: number, environment: object, components: object}}
+ */
+function collectFingerprint() {
+  const environment = detectEnvironment();
+  const context = { environment, anchor: environment.volatile ? getStableAnchor() : null };
+  const components = {};
+
+  for (const [name, component] of Object.entries(COMPONENTS)) {
+    try {
+      const value = environment.volatile && component.volatile ? null : component.collect(context);
+      if (value === null) {
+        components[name] = null;
+      } else {
+        components[name] = component.set
+          ? value.map(item => hashComponent(name, item))
+          : hashComponent(name, value);
+      }
+    } catch (error) {
+      components[name] = null;
+    }
+  }
+
+  return {
+    schemaVersion: FINGERPRINT_SCHEMA_VERSION,
+    environment: { type: environment.type, anchor: context.anchor ? context.anchor.source : null },
+    components
+  };
+}
+
+/**
+ * Derive a hardware ID from a v2 fingerprint (used when no record matches)
+ */
+function deriveHardwareId(fingerprint) {
+  const material = Object.keys(COMPONENTS)
+    .map(name => `${name}=${[].concat(fingerprint.components[name] ?? 'none').join(',')}`)
+    .join('|');
+  return crypto.createHash('sha256').update(`esmc-fp-v2|${material}`).digest('hex');
+}
+
+function componentMatches(component, recorded, current) {
+  if (component.set) {
+    // Interfaces are added and removed over time: any shared address is a match
+    if (recorded.length === 0 || current.length === 0) {
+      return recorded.length === current.length;
+    }
+    return recorded.some(hash => current.includes(hash));
+  }
+  return recorded === current;
+}
+
+/**
+ * Compare two fingerprints component by component
+ * @param {object} recorded - Fingerprint stored at login
+ * @param {object} current - Fingerprint of this machine now
+ * @returns {{sameDevice: boolean, score: number, threshold: number, components: object[]}}
+ */
+function compareFingerprints(recorded, current) {
+  let matchedWeight = 0;
+  let totalWeight = 0;
+  let requiredMismatch = false;
+  const components = [];
+
+  for (const [name, component] of Object.entries(COMPONENTS)) {
+    const before = recorded.components[name];
+    const after = current.components[name];
+
+    if (before === undefined || before === null || after === null) {
+      // skipped: not used in this environment; unknown: only one side has a value
+      const status = (before === undefined || before === null) && after === null ? 'skipped' : 'unknown';
+      components.push({ name, weight: component.weight, status });
+      continue;
+    }
+
+    const matched = componentMatches(component, before, after);
+    totalWeight += component.weight;
+    if (matched) {
+      matchedWeight += component.weight;
+    } else if (component.required) {
+      requiredMismatch = true;
+    }
+    components.push({ name, weight: component.weight, required: !!component.required, status: matched ? 'match' : 'changed' });
+  }
+
+  const score = totalWeight > 0 ? matchedWeight / totalWeight : 0;
+  return {
+    sameDevice: !requiredMismatch && score >= FINGERPRINT_MATCH_THRESHOLD,
+    score: Math.round(score * 100) / 100,
+    threshold: FINGERPRINT_MATCH_THRESHOLD,
+    components
+  };
+}
+
+/**
+ * Read the device record, or null if none exists or it is unreadable
+ * @returns {{schemaVersion, hardwareId, environment, components, source, recordedAt}|null}
+ */
+function loadDeviceRecord() {
+  try {
+    if (!fs.existsSync(DEVICE_RECORD_PATH)) {
+      return null;
+    }
+    const record = JSON.parse(fs.readFileSync(DEVICE_RECORD_PATH, 'utf8'));
+    if (record.schemaVersion !== FINGERPRINT_SCHEMA_VERSION || !record.hardwareId || !record.components) {
+      return null;
+    }
+    return record;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Record the fingerprint the license is bound to
+ * @param {string} hardwareId - ID sent to the server
+ * @param {string} source - 'login' | 'migrated'
+ * @param {object} [fingerprint] - Fingerprint (default: collected now)
+ */
+function saveDeviceRecord(hardwareId, source, fingerprint = collectFingerprint()) {
+  const record = {
+    schemaVersion: FINGERPRINT_SCHEMA_VERSION,
+    hardwareId,
+    environment: fingerprint.environment,
+    components: fingerprint.components,
+    source,
+    recordedAt: new Date().toISOString()
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(DEVICE_RECORD_PATH), { recursive: true });
+    fs.writeFileSync(DEVICE_RECORD_PATH, JSON.stringify(record, null, 2), { encoding: 'utf8', mode: 0o600 });
+  } catch (error) {
+    console.error('⚠️ Device record could not be saved:', error.message);
+  }
+  return record;
+}
+
+/**
+ * Explain how this machine compares with the fingerprint recorded at login
+ * @returns {object} - { recorded, recordedAt, source, hardwareId, sameDevice, score, threshold, components }
+ */
+function explainFingerprint() {
+  const record = loadDeviceRecord();
+  const current = collectFingerprint();
+
+  if (!record) {
+    return {
+      recorded: false,
+      schemaVersion: FINGERPRINT_SCHEMA_VERSION,
+      environment: current.environment,
+      components: Object.entries(COMPONENTS).map(([name, component]) => ({
+        name,
+        weight: component.weight,
+        status: current.components[name] === null ? 'skipped' : 'unrecorded'
+      }))
+    };
+  }
+
+  return {
+    recorded: true,
+    schemaVersion: record.schemaVersion,
+    recordedAt: record.recordedAt,
+    source: record.source,
+    hardwareId: record.hardwareId,
+    environment: current.environment,
+    recordedEnvironment: record.environment || null,
+    ...compareFingerprints(record, current)
+  };
+}
+
+module.exports = {
+  collectFingerprint,
+  compareFingerprints,
+  deriveHardwareId,
+  loadDeviceRecord,
+  saveDeviceRecord,
+  explainFingerprint,
+  collectPhysicalMacAddresses,
+  FINGERPRINT_SCHEMA_VERSION,
+  COMPONENTS
+};
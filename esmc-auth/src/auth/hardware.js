@@ -5,18 +5,18 @@
 
 const os = require('os');
 const crypto = require('crypto');
+const {
+  collectFingerprint,
+  compareFingerprints,
+  deriveHardwareId,
+  loadDeviceRecord,
+  saveDeviceRecord
+} = require('./fingerprint.js');
 
 /**
- * Generate base machine ID without external dependencies
- * Replicates node-machine-id functionality using Node.js built-ins
+ * Collect all non-zero MAC addresses
  */
-function generateBaseMachineId() {
-  const platform = os.platform();
-  const hostname = os.hostname();
-  const cpus = os.cpus().map(cpu => cpu.model).join('');
-  const totalmem = os.totalmem();
-
-  // Get all MAC addresses
+function collectMacAddresses() {
   const networkInterfaces = os.networkInterfaces();
   const macAddresses = [];
   for (const interfaceName in networkInterfaces) {
@@ -27,6 +27,21 @@ function generateBaseMachineId() {
       }
     }
   }
+  return macAddresses;
+}
+
+/**
+ * Generate base machine ID without external dependencies
+ * Replicates node-machine-id functionality using Node.js built-ins
+ */
+function generateBaseMachineId() {
+  const platform = os.platform();
+  const hostname = os.hostname();
+  const cpus = os.cpus().map(cpu => cpu.model).join('');
+  const totalmem = os.totalmem();
+
+  // Get all MAC addresses
+  const macAddresses = collectMacAddresses();
 
   // Combine hardware identifiers
   const hardwareString = `${platform}|${hostname}|${cpus}|${totalmem}|${macAddresses.sort().join(',')}`;
@@ -34,16 +49,11 @@ function generateBaseMachineId() {
 }
 
 /**
- * Get unique hardware ID (Multi-factor cryptographic fingerprint)
- *
- * Security: Combines multiple hardware characteristics to prevent spoofing
- * - Machine ID (platform, hostname, CPU, memory, MAC addresses)
- * - System characteristics (hostname, RAM, CPU model)
- * - Cryptographic hash (SHA-256)
- *
- * CRITICAL: NEVER allow environment variable override
+ * Schema v1 hardware ID: one SHA-256 over every factor
+ * Still used as the anchor when a machine has no device record yet, so licenses
+ * bound before schema v2 keep their hardware ID.
  */
-function getHardwareId() {
+function getLegacyHardwareId() {
   try {
     // Base machine ID (cryptographically secure, no external deps)
     const machineId = generateBaseMachineId();
@@ -83,13 +93,6 @@ function getHardwareId() {
       .update(fingerprintData)
       .digest('hex');
 
-    // SECURITY: Explicitly reject environment variable override attempts
-    if (process.env.ESMC_HARDWARE_ID && process.env.ESMC_HARDWARE_ID !== fingerprint) {
-      console.warn('⚠️  SECURITY WARNING: Attempted hardware ID spoofing detected!');
-      console.warn('   Environment variable ESMC_HARDWARE_ID will be ignored.');
-      console.warn('   Using cryptographically derived hardware fingerprint.');
-    }
-
     return fingerprint;
   } catch (error) {
     console.error('Error getting hardware ID:', error.message);
@@ -101,6 +104,68 @@ function getHardwareId() {
   }
 }
 
+/**
+ * Get unique hardware ID (Multi-factor cryptographic fingerprint)
+ *
+ * Security: Combines multiple hardware characteristics to prevent spoofing
+ * - Components hashed separately (schema v2, see fingerprint.js)
+ * - ID recorded at login is kept while enough components still match,
+ *   so a renamed host, added RAM or new Docker bridge is still the same device
+ * - Beyond tolerance, a new ID is derived and the license must be re-bound
+ * - Containers, WSL and VMs use a stable anchor instead of hostname/MACs (environment.js)
+ *
+ * CRITICAL: NEVER allow environment variable override
+ */
+function getHardwareId() {
+  const current = collectFingerprint();
+  const record = loadDeviceRecord();
+  let hardwareId;
+
+  if (!record) {
+    // First run with schema v2: keep the v1 ID the license may already be bound to.
+    // Containers/WSL/VMs never had a stable v1 ID - derive one from the anchor instead.
+    hardwareId = current.environment.type === 'host' ? getLegacyHardwareId() : deriveHardwareId(current);
+    saveDeviceRecord(hardwareId, 'migrated', current);
+  } else if (compareFingerprints(record, current).sameDevice) {
+    hardwareId = record.hardwareId;
+  } else {
+    console.warn('⚠️  Hardware changed beyond tolerance - this machine counts as a new device.');
+    console.warn('   Run: esmc fingerprint explain   to see which components changed.');
+    hardwareId = deriveHardwareId(current);
+  }
+
+  // SECURITY: Explicitly reject environment variable override attempts
+  if (process.env.ESMC_HARDWARE_ID && process.env.ESMC_HARDWARE_ID !== hardwareId) {
+    console.warn('⚠️  SECURITY WARNING: Attempted hardware ID spoofing detected!');
+    console.warn('   Environment variable ESMC_HARDWARE_ID will be ignored.');
+    console.warn('   Using cryptographically derived hardware fingerprint.');
+  }
+
+  return hardwareId;
+}
+
+/**
+ * Fingerprint component breakdown (support diagnostics)
+ * Identifying values are hashed - raw hostnames and MAC addresses never leave this function
+ *
+ * @returns {object} - Per-component values used by the hardware fingerprint
+ */
+function getFingerprintComponents() {
+  const shortHash = value => crypto.createHash('sha256').update(String(value)).digest('hex').substring(0, 12);
+  const macAddresses = [...new Set(collectMacAddresses())].sort();
+
+  return {
+    platform: os.platform(),
+    arch: os.arch(),
+    hostname: shortHash(os.hostname()),
+    cpuModel: os.cpus()[0]?.model || 'unknown',
+    cpuCount: os.cpus().length,
+    totalMemory: os.totalmem(),
+    interfaces: Object.keys(os.networkInterfaces()),
+    macAddresses: macAddresses.map(shortHash)
+  };
+}
+
 /**
  * Get device name
  */
@@ -124,6 +189,8 @@ function getOSInfo() {
 
 module.exports = {
   getHardwareId,
+  getLegacyHardwareId,
+  getFingerprintComponents,
   getDeviceName,
   getOSInfo
 };
@@ -0,0 +1,461 @@
+/**
+ * ESMC JWKS Key Set
+ * Fetches and caches the server's JSON Web Key Set, selecting verification keys by `kid`
+ *
+ * - RSA (RS256), EC P-256 (ES256) and Ed25519 (EdDSA) keys
+ * - Cache lifetime follows the response's Cache-Control max-age / Expires headers
+ * - An unknown `kid` triggers one refetch (key rotation), then fails
+ *
+ * Key sources (reported as the verification source):
+ *   online    fetched from JWKS_URL within its cache lifetime (kept in ~/.esmc/jwks.json)
+ *   snapshot  ~/.esmc/jwks.json past its cache lifetime - up to JWKS_MAX_STALENESS when offline
+ *   pinned    JWKS bundled with the SDK - ESMC_JWKS_MODE=pinned never touches the network
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const {
+  JWKS_MODE,
+  JWKS_SNAPSHOT_PATH,
+  JWKS_MAX_STALENESS,
+  PINNED_JWKS_PATH,
+  LAST_VERIFICATION_PATH
+} = require('../config/constants.js');
+
+const JWKS_URL = process.env.ESMC_JWKS_URL || 'https://esmc-sdk.com/.well-known/jwks.json';
+const DEFAULT_CACHE_TTL = 3600000; // 1 hour when the server sends no cache headers
+const MAX_CACHE_TTL = 24 * 3600000; // Never trust a key set for longer than a day
+
+/**
+ * Key type each JWS algorithm requires
+ */
+const ALGORITHM_KEY_TYPES = {
+  RS256: { kty: 'RSA' },
+  ES256: { kty: 'EC', crv: 'P-256' },
+  EdDSA: { kty: 'OKP', crv: 'Ed25519' }
+};
+
+/**
+ * JWKS error with a stable code
+ * code: FETCH_FAILED | INVALID_JWKS | KEY_NOT_FOUND | KEY_MISMATCH | PINNED_UNAVAILABLE
+ */
+class JwksError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'JwksError';
+    this.code = code;
+  }
+}
+
+// Cached key set: { keys: object[], fetchedAt, expiresAt, source }
+let cachedKeySet = null;
+
+/**
+ * Cache lifetime from response headers
+ * @param {object} headers - Node response headers (lower-case names)
+ * @param {number} now - Current time (ms)
+ * @returns {number} - Milliseconds the key set may be reused
+ */
+function cacheLifetime(headers, now = Date.now()) {
+  const cacheControl = (headers['cache-control'] || '').toLowerCase();
+
+  if (/no-store|no-cache/.test(cacheControl)) {
+    return 0;
+  }
+
+  const maxAge = /max-age=(\d+)/.exec(cacheControl);
+  if (maxAge) {
+    return Math.min(parseInt(maxAge[1], 10) * 1000, MAX_CACHE_TTL);
+  }
+
+  if (headers.expires) {
+    const expires = Date.parse(headers.expires);
+    if (!Number.isNaN(expires)) {
+      return Math.min(Math.max(expires - now, 0), MAX_CACHE_TTL);
+    }
+  }
+
+  return DEFAULT_CACHE_TTL;
+}
+
+/**
+ * GET a URL following redirects
+ * @returns {Promise<{statusCode: number, headers: object, body: string}>}
+ */
+function httpGet(url, redirectCount = 0) {
+  return new Promise((resolve, reject) => {
+    if (redirectCount > 5) {
+      return reject(new JwksError('FETCH_FAILED', 'Too many redirects'));
+    }
+
+    // Plain HTTP only for local stand-in servers (ESMC_JWKS_URL override)
+    const client = url.startsWith('http:') ? http : https;
+
+    client.get(url, { timeout: 5000 }, (res) => {
+      if ([301, 302, 307, 308].includes(res.statusCode)) {
+        res.resume();
+        const redirectUrl = res.headers.location;
+        if (!redirectUrl) {
+          return reject(new JwksError('FETCH_FAILED', `Redirect without location header (${res.statusCode})`));
+        }
+        console.log(`🔄 Following redirect to: ${redirectUrl}`);
+        return resolve(httpGet(new URL(redirectUrl, url).toString(), redirectCount + 1));
+      }
+
+      let data = '';
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
+      });
+    }).on('error', (error) => {
+      reject(new JwksError('FETCH_FAILED', `Failed to fetch JWKS: ${error.message}`));
+    }).on('timeout', function onTimeout() {
+      this.destroy();
+      reject(new JwksError('FETCH_FAILED', 'JWKS fetch timeout after 5 seconds'));
+    });
+  });
+}
+
+function parseKeySet(text, origin) {
+  let jwks;
+  try {
+    jwks = JSON.parse(text);
+  } catch (error) {
+    throw new JwksError('INVALID_JWKS', `Failed to parse ${origin}: ${error.message}`);
+  }
+  if (!Array.isArray(jwks.keys) || jwks.keys.length === 0) {
+    throw new JwksError('INVALID_JWKS', `No keys found in ${origin}`);
+  }
+  return jwks;
+}
+
+/**
+ * Read the on-disk snapshot (only if it was fetched from the configured JWKS_URL)
+ * @returns {{url, keys, fetchedAt, expiresAt}|null}
+ */
+function loadSnapshot() {
+  try {
+    const snapshot = JSON.parse(fs.readFileSync(JWKS_SNAPSHOT_PATH, 'utf8'));
+    if (snapshot.url !== JWKS_URL || !Array.isArray(snapshot.keys) || snapshot.keys.length === 0) {
+      return null;
+    }
+    return snapshot;
+  } catch (error) {
+    return null;
+  }
+}
+
+function saveSnapshot(keySet) {
+  try {
+    fs.mkdirSync(path.dirname(JWKS_SNAPSHOT_PATH), { recursive: true });
+    fs.writeFileSync(JWKS_SNAPSHOT_PATH, JSON.stringify({
+      url: JWKS_URL,
+      fetchedAt: keySet.fetchedAt,
+      expiresAt: keySet.expiresAt,
+      keys: keySet.keys
+    }, null, 2), 'utf8');
+  } catch (error) {
+    console.error('⚠️ JWKS snapshot could not be saved:', error.message);
+  }
+}
+
+/**
+ * Load the JWKS bundled with the SDK
+ * @throws {JwksError} - PINNED_UNAVAILABLE
+ */
+function loadPinnedKeySet() {
+  let text;
+  try {
+    text = fs.readFileSync(PINNED_JWKS_PATH, 'utf8');
+  } catch (error) {
+    throw new JwksError('PINNED_UNAVAILABLE', `No pinned JWKS at ${PINNED_JWKS_PATH} (run: npm run build:jwks, or set ESMC_PINNED_JWKS)`);
+  }
+  const jwks = parseKeySet(text, `pinned JWKS ${PINNED_JWKS_PATH}`);
+  return { keys: jwks.keys, fetchedAt: null, expiresAt: Infinity, source: 'pinned' };
+}
+
+/**
+ * Fetch the key set online, replace the cache and the snapshot
+ * @returns {Promise<object>} - Cached key set
+ */
+async function refreshKeySet() {
+  const response = await httpGet(JWKS_URL);
+
+  if (response.statusCode !== 200) {
+    throw new JwksError('FETCH_FAILED', `JWKS endpoint returned ${response.statusCode}`);
+  }
+
+  const jwks = parseKeySet(response.body, 'JWKS response');
+  const now = Date.now();
+  cachedKeySet = {
+    keys: jwks.keys,
+    fetchedAt: now,
+    expiresAt: now + cacheLifetime(response.headers, now),
+    source: 'online'
+  };
+  saveSnapshot(cachedKeySet);
+  return cachedKeySet;
+}
+
+/**
+ * Key set to use when the JWKS endpoint cannot be reached
+ * @param {Error} fetchError - Why the online fetch failed
+ */
+function offlineKeySet(fetchError) {
+  const snapshot = loadSnapshot();
+  if (snapshot && Date.now() - snapshot.fetchedAt <= JWKS_MAX_STALENESS) {
+    console.warn(`⚠️  JWKS unreachable (${fetchError.message}) - using snapshot from ${new Date(snapshot.fetchedAt).toISOString()}`);
+    cachedKeySet = { ...snapshot, expiresAt: Date.now(), source: 'snapshot' };
+    return cachedKeySet;
+  }
+
+  // Fallbacks expire at once, so the next lookup tries the endpoint again
+  try {
+    cachedKeySet = { ...loadPinnedKeySet(), expiresAt: Date.now() };
+    console.warn(`⚠️  JWKS unreachable (${fetchError.message}) - using the pinned key set`);
+    return cachedKeySet;
+  } catch (pinnedError) {
+    throw new JwksError(
+      'FETCH_FAILED',
+      snapshot
+        ? `${fetchError.message} (cached snapshot is older than ${JWKS_MAX_STALENESS / 86400000} days)`
+        : fetchError.message
+    );
+  }
+}
+
+/**
+ * Get the key set: pinned mode → bundled set; otherwise memory cache, fresh
+ * snapshot, online fetch, then offline fallbacks
+ */
+async function getKeySet() {
+  if (cachedKeySet && Date.now() < cachedKeySet.expiresAt) {
+    return cachedKeySet;
+  }
+
+  if (JWKS_MODE === 'pinned') {
+    cachedKeySet = loadPinnedKeySet();
+    return cachedKeySet;
+  }
+
+  // Still within the lifetime the server gave it: as good as fetching it again
+  const snapshot = loadSnapshot();
+  if (snapshot && Date.now() < snapshot.expiresAt) {
+    cachedKeySet = { ...snapshot, source: 'online' };
+    return cachedKeySet;
+  }
+
+  try {
+    return await refreshKeySet();
+  } catch (error) {
+    if (error.code !== 'FETCH_FAILED') {
+      throw error;
+    }
+    return offlineKeySet(error);
+  }
+}
+
+/**
+ * Whether a JWK can verify signatures made with `alg`
+ */
+function keySupportsAlgorithm(jwk, alg) {
+  const required = Object.hasOwn(ALGORITHM_KEY_TYPES, alg) ? ALGORITHM_KEY_TYPES[alg] : null;
+  if (!required || jwk.kty !== required.kty || (required.crv && jwk.crv !== required.crv)) {
+    return false;
+  }
+  if (jwk.alg && jwk.alg !== alg) {
+    return false;
+  }
+  return !jwk.use || jwk.use === 'sig';
+}
+
+/**
+ * Pick the key for a token header from a key set
+ * Tokens without a kid are accepted only when exactly one key fits the algorithm.
+ *
+ * @returns {object|null} - Matching JWK, or null if the kid is not in the set
+ * @throws {JwksError} - KEY_MISMATCH when the kid exists but cannot verify `alg`
+ */
+function selectKey(keys, header) {
+  if (header.kid) {
+    const jwk = keys.find(candidate => candidate.kid === header.kid);
+    if (jwk && !keySupportsAlgorithm(jwk, header.alg)) {
+      throw new JwksError('KEY_MISMATCH', `Key ${header.kid} (${jwk.kty}) cannot verify ${header.alg} signatures`);
+    }
+    return jwk || null;
+  }
+
+  const candidates = keys.filter(candidate => keySupportsAlgorithm(candidate, header.alg));
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+/**
+ * Convert a JWK to a Node.js KeyObject
+ */
+function jwkToKeyObject(jwk) {
+  try {
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  } catch (error) {
+    throw new JwksError('INVALID_JWKS', `Invalid ${jwk.kty} key${jwk.kid ? ` ${jwk.kid}` : ''}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve the verification key for a JWT header
+ * @param {object} header - Decoded JWT header ({ alg, kid })
+ * @returns {Promise<{key: crypto.KeyObject, jwk: object, source: string}>}
+ * @throws {JwksError}
+ */
+async function getVerificationKey(header) {
+  const startedAt = Date.now();
+  let keySet = await getKeySet();
+  let jwk = selectKey(keySet.keys, header);
+
+  const fetchedJustNow = keySet.source === 'online' && keySet.fetchedAt >= startedAt;
+  if (!jwk && !fetchedJustNow && JWKS_MODE !== 'pinned') {
+    // Unknown kid: the server may have rotated keys since the cache was filled
+    try {
+      keySet = await refreshKeySet();
+      jwk = selectKey(keySet.keys, header);
+    } catch (error) {
+      if (error.code !== 'FETCH_FAILED') {
+        throw error;
+      }
+    }
+  }
+
+  if (!jwk) {
+    throw new JwksError(
+      'KEY_NOT_FOUND',
+      header.kid
+        ? `No key with kid "${header.kid}" in ${keySet.source} JWKS`
+        : `Token has no kid and ${keySet.source} JWKS does not contain exactly one ${header.alg} key`
+    );
+  }
+
+  return { key: jwkToKeyObject(jwk), jwk, source: keySet.source };
+}
+
+/**
+ * Resolve a verification key without touching the network (signed license files)
+ * Looks in the in-memory key set, then the snapshot (whatever its age), then the
+ * pinned set; in pinned mode only the pinned set is used.
+ *
+ * @param {object} header - JWS header ({ alg, kid })
+ * @returns {{key: crypto.KeyObject, jwk: object, source: string}}
+ * @throws {JwksError} - KEY_NOT_FOUND | KEY_MISMATCH | INVALID_JWKS
+ */
+function getLocalVerificationKey(header) {
+  const keySets = [];
+  if (JWKS_MODE !== 'pinned') {
+    if (cachedKeySet) {
+      keySets.push(cachedKeySet);
+    }
+    const snapshot = loadSnapshot();
+    if (snapshot) {
+      keySets.push({ keys: snapshot.keys, source: Date.now() < snapshot.expiresAt ? 'online' : 'snapshot' });
+    }
+  }
+  try {
+    keySets.push(loadPinnedKeySet());
+  } catch (error) {
+    if (error.code !== 'PINNED_UNAVAILABLE') {
+      throw error;
+    }
+  }
+
+  for (const keySet of keySets) {
+    const jwk = selectKey(keySet.keys, header);
+    if (jwk) {
+      return { key: jwkToKeyObject(jwk), jwk, source: keySet.source };
+    }
+  }
+
+  throw new JwksError(
+    'KEY_NOT_FOUND',
+    `No local key${header.kid ? ` with kid "${header.kid}"` : ''} for ${header.alg} (log in online once to fetch the ESMC keys)`
+  );
+}
+
+/**
+ * Verify a JWS-style signature (JWT and Guardian blessing)
+ * ES256 signatures are raw r||s as in JWS, not DER.
+ *
+ * @param {string} alg - RS256 | ES256 | EdDSA
+ * @param {Buffer} data - Signed bytes
+ * @param {crypto.KeyObject|string} key - Public key
+ * @param {Buffer} signature - Signature bytes
+ * @returns {boolean}
+ */
+function verifySignature(alg, data, key, signature) {
+  switch (alg) {
+    case 'RS256':
+      return crypto.verify('sha256', data, key, signature);
+    case 'ES256':
+      return crypto.verify('sha256', data, { key, dsaEncoding: 'ieee-p1363' }, signature);
+    case 'EdDSA':
+      // Ed25519: the digest is part of the algorithm
+      return crypto.verify(null, data, key, signature);
+    default:
+      throw new JwksError('KEY_MISMATCH', `Unsupported signature algorithm: ${alg}`);
+  }
+}
+
+/**
+ * Remember where the last successful signature check got its key (shown by `esmc status`)
+ * @param {object} verification - { source, kid, alg }
+ */
+function recordVerification(verification) {
+  try {
+    fs.mkdirSync(path.dirname(LAST_VERIFICATION_PATH), { recursive: true });
+    fs.writeFileSync(LAST_VERIFICATION_PATH, JSON.stringify({
+      ...verification,
+      verifiedAt: new Date().toISOString()
+    }, null, 2), 'utf8');
+  } catch (error) {
+    // Best effort - verification itself already succeeded
+  }
+}
+
+/**
+ * @returns {{source, kid, alg, verifiedAt}|null}
+ */
+function readLastVerification() {
+  try {
+    return JSON.parse(fs.readFileSync(LAST_VERIFICATION_PATH, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Drop the cached key set (tests, or after a verification source change)
+ */
+function clearKeySetCache() {
+  cachedKeySet = null;
+}
+
+module.exports = {
+  getVerificationKey,
+  getLocalVerificationKey,
+  getKeySet,
+  refreshKeySet,
+  loadSnapshot,
+  loadPinnedKeySet,
+  recordVerification,
+  readLastVerification,
+  selectKey,
+  keySupportsAlgorithm,
+  jwkToKeyObject,
+  verifySignature,
+  cacheLifetime,
+  clearKeySetCache,
+  JwksError,
+  JWKS_URL,
+  ALGORITHM_KEY_TYPES
+};
@@ -1,139 +1,48 @@
 /**
  * ESMC JWT Signature Validator
- * Prevents token forgery attacks by verifying RSA/ECDSA signatures
+ * Prevents token forgery attacks by verifying RSA/ECDSA/EdDSA signatures
  *
  * SECURITY: This module validates JWT tokens cryptographically
  * to prevent attackers from creating fake tokens claiming VIP tier.
  */
 
-const crypto = require('crypto');
-const https = require('https');
+const { getVerificationKey, jwkToKeyObject, verifySignature, recordVerification, ALGORITHM_KEY_TYPES } = require('./jwks.js');
+const { validateClaims, ClaimError, DEFAULT_CLAIM_POLICY } = require('./claim-policy.js');
 
 /**
- * ESMC Server Public Key Configuration
- * Fetched dynamically from Vercel deployment
- */
-const JWKS_URL = 'https://esmc-sdk.com/.well-known/jwks.json';
-let cachedPublicKey = null;
-let cacheExpiry = 0;
-const CACHE_TTL = 3600000; // 1 hour cache
-
-/**
- * Fetch public key from Vercel JWKS endpoint
- * Implements caching to avoid unnecessary requests
- * Follows redirects automatically
+ * Fetch the server public key for a key id
+ * Keys come from the JWKS endpoint (cached per its Cache-Control headers)
  *
+ * @param {string} [kid] - Key id from the token header
+ * @param {string} [alg] - Signing algorithm (default RS256)
  * @returns {Promise<string>} - PEM-formatted public key
  */
-async function fetchPublicKey() {
-  // Return cached key if still valid
-  if (cachedPublicKey && Date.now() < cacheExpiry) {
-    return cachedPublicKey;
-  }
-
-  return new Promise((resolve, reject) => {
-    const makeRequest = (url, redirectCount = 0) => {
-      if (redirectCount > 5) {
-        return reject(new Error('Too many redirects'));
-      }
-
-      https.get(url, { timeout: 5000 }, (res) => {
-        // Handle redirects
-        if (res.statusCode === 301 || res.statusCode === 302 || res.statusCode === 307 || res.statusCode === 308) {
-          const redirectUrl = res.headers.location;
-          if (!redirectUrl) {
-            return reject(new Error(`Redirect without location header (${res.statusCode})`));
-          }
-          console.log(`🔄 Following redirect to: ${redirectUrl}`);
-          return makeRequest(redirectUrl, redirectCount + 1);
-        }
-
-        let data = '';
-
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-
-        res.on('end', () => {
-          try {
-            if (res.statusCode !== 200) {
-              throw new Error(`JWKS endpoint returned ${res.statusCode}`);
-            }
-
-            const jwks = JSON.parse(data);
-
-            // Extract first key (assuming single key for simplicity)
-            if (!jwks.keys || jwks.keys.length === 0) {
-              throw new Error('No keys found in JWKS response');
-            }
-
-            const key = jwks.keys[0];
-
-            // Convert JWK to PEM format (for RSA keys)
-            if (key.kty === 'RSA') {
-              const pemKey = convertJWKtoPEM(key);
-
-              // Cache the key
-              cachedPublicKey = pemKey;
-              cacheExpiry = Date.now() + CACHE_TTL;
-
-              resolve(pemKey);
-            } else {
-              throw new Error(`Unsupported key type: ${key.kty}`);
-            }
-          } catch (error) {
-            reject(new Error(`Failed to parse JWKS: ${error.message}`));
-          }
-        });
-      }).on('error', (error) => {
-        reject(new Error(`Failed to fetch JWKS: ${error.message}`));
-      }).on('timeout', () => {
-        reject(new Error('JWKS fetch timeout after 5 seconds'));
-      });
-    };
-
-    makeRequest(JWKS_URL);
-  });
+async function fetchPublicKey(kid, alg = 'RS256') {
+  const { key } = await getVerificationKey({ kid, alg });
+  return key.export({ type: 'spki', format: 'pem' });
 }
 
 /**
  * Convert JWK (JSON Web Key) to PEM format
  *
- * @param {object} jwk - JWK object with n (modulus) and e (exponent)
+ * @param {object} jwk - RSA, EC or OKP public JWK
  * @returns {string} - PEM-formatted public key
  */
 function convertJWKtoPEM(jwk) {
-  if (!jwk.n || !jwk.e) {
-    throw new Error('Invalid JWK: missing n or e');
-  }
-
-  // Decode base64url to buffer
-  const modulus = Buffer.from(jwk.n, 'base64url');
-  const exponent = Buffer.from(jwk.e, 'base64url');
-
-  // Create public key object
-  const publicKey = crypto.createPublicKey({
-    key: {
-      kty: 'RSA',
-      n: modulus.toString('base64'),
-      e: exponent.toString('base64')
-    },
-    format: 'jwk'
-  });
-
-  // Export as PEM
-  return publicKey.export({
+  return jwkToKeyObject(jwk).export({
     type: 'spki',
     format: 'pem'
   });
 }
 
 /**
- * Verify JWT signature using RSA/ECDSA
+ * Verify JWT signature using RSA/ECDSA/EdDSA
  *
  * @param {string} token - JWT token from authentication server
- * @param {string} publicKey - PEM-formatted public key (fetched from Vercel)
+ * @param {string|crypto.KeyObject} [publicKey] - Public key (default: JWKS key matching the token's kid)
+ * @param {object} [policy] - Claim policy or overrides (see claim-policy.js)
  * @returns {object|null} - Decoded payload if valid, null if invalid
+ * @throws {ClaimError} - code EXPIRED | NOT_YET_VALID | BAD_ISSUER | BAD_AUDIENCE | MISSING_CLAIM
  *
  * Security: Prevents attacks like:
  * - alg:none bypass
@@ -141,16 +50,11 @@ function convertJWKtoPEM(jwk) {
  * - Self-signed tokens
  * - Expired tokens
  */
-async function verifyJWT(token, publicKey = null) {
+async function verifyJWT(token, publicKey = null, policy = DEFAULT_CLAIM_POLICY) {
   if (!token || typeof token !== 'string') {
     throw new Error('Invalid token format');
   }
 
-  // Fetch public key from Vercel if not provided
-  if (!publicKey) {
-    publicKey = await fetchPublicKey();
-  }
-
   // Split JWT into parts
   const parts = token.split('.');
   if (parts.length !== 3) {
@@ -167,9 +71,9 @@ async function verifyJWT(token, publicKey = null) {
     throw new Error('Invalid JWT header encoding');
   }
 
-  // Verify algorithm (MUST be RS256 or ES256)
-  if (!['RS256', 'ES256'].includes(header.alg)) {
-    throw new Error(`Unsupported/insecure algorithm: ${header.alg} (only RS256/ES256 allowed)`);
+  // Verify algorithm (MUST be RS256, ES256 or EdDSA)
+  if (!Object.hasOwn(ALGORITHM_KEY_TYPES, header.alg)) {
+    throw new Error(`Unsupported/insecure algorithm: ${header.alg} (only RS256/ES256/EdDSA allowed)`);
   }
 
   // Decode payload (without validation yet)
@@ -180,23 +84,21 @@ async function verifyJWT(token, publicKey = null) {
     throw new Error('Invalid JWT payload encoding');
   }
 
+  // Select the server key named by the token's kid if none was provided
+  let keySource = null;
+  if (!publicKey) {
+    const verificationKey = await getVerificationKey(header);
+    publicKey = verificationKey.key;
+    keySource = verificationKey.source;
+  }
+
   // Verify signature
-  const dataToVerify = `${headerB64}.${payloadB64}`;
+  const dataToVerify = Buffer.from(`${headerB64}.${payloadB64}`);
   const signature = Buffer.from(signatureB64, 'base64url');
 
   let isValid = false;
   try {
-    if (header.alg === 'RS256') {
-      // RSA-SHA256 verification
-      const verifier = crypto.createVerify('RSA-SHA256');
-      verifier.update(dataToVerify);
-      isValid = verifier.verify(publicKey, signature);
-    } else if (header.alg === 'ES256') {
-      // ECDSA-SHA256 verification
-      const verifier = crypto.createVerify('SHA256');
-      verifier.update(dataToVerify);
-      isValid = verifier.verify(publicKey, signature);
-    }
+    isValid = verifySignature(header.alg, dataToVerify, publicKey, signature);
   } catch (error) {
     throw new Error(`Signature verification failed: ${error.message}`);
   }
@@ -205,27 +107,11 @@ async function verifyJWT(token, publicKey = null) {
     throw new Error('JWT signature verification failed - token may be forged');
   }
 
-  // Verify claims
-  const now = Math.floor(Date.now() / 1000);
-
-  // Check expiration (exp)
-  if (payload.exp && payload.exp < now) {
-    throw new Error(`Token expired at ${new Date(payload.exp * 1000).toISOString()}`);
-  }
-
-  // Check not-before (nbf)
-  if (payload.nbf && payload.nbf > now) {
-    throw new Error(`Token not valid until ${new Date(payload.nbf * 1000).toISOString()}`);
-  }
-
-  // Verify issuer (must be esmc-sdk.com)
-  if (payload.iss && payload.iss !== 'esmc-sdk.com') {
-    throw new Error(`Invalid issuer: ${payload.iss} (expected esmc-sdk.com)`);
-  }
+  // Verify claims (required claims, issuer, audience, exp/nbf/iat with leeway)
+  validateClaims(payload, policy);
 
-  // Verify audience (must be esmc-client)
-  if (payload.aud && payload.aud !== 'esmc-client') {
-    throw new Error(`Invalid audience: ${payload.aud} (expected esmc-client)`);
+  if (keySource) {
+    recordVerification({ source: keySource, kid: header.kid || null, alg: header.alg });
   }
 
   // All checks passed
@@ -236,11 +122,12 @@ async function verifyJWT(token, publicKey = null) {
  * Verify token and extract user data safely
  *
  * @param {string} token - JWT token
+ * @param {object} [policy] - Claim policy or overrides (see claim-policy.js)
  * @returns {Promise<object>} - User data { email, tier, userId, exp, etc. }
  * @throws {Error} - If token is invalid, expired, or forged
  */
-async function verifyAndExtractUserData(token) {
-  const payload = await verifyJWT(token);
+async function verifyAndExtractUserData(token, policy = DEFAULT_CLAIM_POLICY) {
+  const payload = await verifyJWT(token, null, policy);
 
   // Extract user data
   return {
@@ -248,6 +135,7 @@ async function verifyAndExtractUserData(token) {
     userId: payload.sub || payload.userId,
     tier: payload.tier || 'FREE',
     name: payload.name || payload.email?.split('@')[0],
+    subscriptionEndDate: payload.subscriptionEndDate || null,
     exp: payload.exp,
     iat: payload.iat,
     issuer: payload.iss,
@@ -294,5 +182,6 @@ module.exports = {
   verifyTokenSafe,
   isDevMode,
   fetchPublicKey,
-  convertJWKtoPEM
+  convertJWKtoPEM,
+  ClaimError
 };
@@ -0,0 +1,275 @@
+/**
+ * ESMC Server-side Logout
+ * Deregisters this device and revokes the session's tokens (RFC 7009), then
+ * removes the session's local artifacts: credentials, license files in all
+ * registered projects and cached entitlements. The cached JWKS stays: the
+ * public keys are shared by every profile and are not session state.
+ *
+ * When the API cannot be reached, local cleanup still happens and the
+ * revocation is queued in ~/.esmc/pending-revocations.json (encrypted for this
+ * machine, it holds tokens). The queue is retried on the next login, logout
+ * and MCP server start.
+ */
+
+const path = require('path');
+const {
+  TOKEN_REVOKE_URL,
+  DEVICE_DEREGISTER_URL,
+  REVOCATION_QUEUE_PATH,
+  REVOCATION_QUEUE_MAX_AGE,
+  API_REQUEST_TIMEOUT
+} = require('../config/constants.js');
+const { MachineFileStore } = require('./credential-stores.js');
+const { readCredentials, clearCredentials, getCredentialStore } = require('./credentials.js');
+const { getActiveProfile, getProfilePaths } = require('../core/profiles.js');
+const { listProjects, unregisterProject } = require('../core/project-registry.js');
+const { logEvent } = require('../core/logger.js');
+const { removeFileWithBackup } = require('../core/atomic-file.js');
+const { clearEntitlements, getEntitlementsPath } = require('../core/entitlements.js');
+
+/**
+ * Revocation error with a stable code
+ * code: NETWORK | REJECTED
+ */
+class RevocationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'RevocationError';
+    this.code = code;
+  }
+}
+
+const queueStore = new MachineFileStore(REVOCATION_QUEUE_PATH);
+
+async function postToApi(url, payload, token) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(API_REQUEST_TIMEOUT)
+    });
+  } catch (error) {
+    // A timeout counts as unreachable, so the revocation is queued
+    const reason = error.name === 'TimeoutError' ? `no answer within ${API_REQUEST_TIMEOUT / 1000} seconds` : error.message;
+    throw new RevocationError('NETWORK', `ESMC API unreachable: ${reason}`);
+  }
+
+  let body = {};
+  try {
+    body = await response.json();
+  } catch (error) {
+    // Revocation endpoints may answer with an empty body
+  }
+  return { status: response.status, body };
+}
+
+/**
+ * Deregister the device, then revoke the refresh and access tokens
+ * Deregistration goes first: it is authorized by the access token.
+ *
+ * @param {object} session - { token, refreshToken, hardwareId }
+ * @returns {Promise<{deviceDeregistered: boolean, tokenRevoked: boolean}>}
+ * @throws {RevocationError} - NETWORK (retry later) | REJECTED (server refused)
+ */
+async function revokeSession(session) {
+  let deviceDeregistered = false;
+  if (session.hardwareId) {
+    const { status, body } = await postToApi(DEVICE_DEREGISTER_URL, {
+      client_id: 'esmc-sdk',
+      hardwareId: session.hardwareId,
+      refresh_token: session.refreshToken || undefined
+    }, session.token);
+    // 404: the server no longer knows this device
+    deviceDeregistered = status === 200 || status === 404;
+    if (!deviceDeregistered && status >= 500) {
+      throw new RevocationError('NETWORK', `Device deregistration failed: ${body.error_description || body.error || `HTTP ${status}`}`);
+    }
+  }
+
+  const tokens = [
+    [session.refreshToken, 'refresh_token'],
+    [session.token, 'access_token']
+  ].filter(([value]) => value);
+
+  for (const [token, hint] of tokens) {
+    const { status, body } = await postToApi(TOKEN_REVOKE_URL, { token, token_type_hint: hint, client_id: 'esmc-sdk' });
+    // RFC 7009: an already invalid token is also answered with 200
+    if (status >= 500) {
+      throw new RevocationError('NETWORK', `Token revocation failed: ${body.error_description || body.error || `HTTP ${status}`}`);
+    }
+    if (status !== 200) {
+      throw new RevocationError('REJECTED', `Token revocation rejected: ${body.error_description || body.error || `HTTP ${status}`}`);
+    }
+  }
+
+  return { deviceDeregistered, tokenRevoked: tokens.length > 0 };
+}
+
+/**
+ * Read the revocation queue (an unreadable queue, e.g. after a hardware change, is dropped)
+ */
+function readQueue() {
+  try {
+    const queue = queueStore.read({ migrate: false });
+    return queue && Array.isArray(queue.pending) ? queue.pending : [];
+  } catch (error) {
+    queueStore.clear();
+    return [];
+  }
+}
+
+function writeQueue(pending) {
+  if (pending.length === 0) {
+    queueStore.clear();
+  } else {
+    queueStore.write({ pending });
+  }
+}
+
+/**
+ * Queue a revocation for a later retry
+ * @param {object} session - { token, refreshToken, hardwareId, profile }
+ */
+function queueRevocation(session) {
+  const pending = readQueue();
+  pending.push({ ...session, queuedAt: new Date().toISOString(), attempts: 1 });
+  writeQueue(pending);
+}
+
+/**
+ * Number of revocations waiting for the API
+ */
+function countPendingRevocations() {
+  return readQueue().length;
+}
+
+/**
+ * Retry queued revocations
+ * Entries are removed once revoked, refused by the server, or older than
+ * REVOCATION_QUEUE_MAX_AGE; network failures keep them queued.
+ *
+ * @returns {Promise<{revoked: number, dropped: number, remaining: number}>}
+ */
+async function retryPendingRevocations() {
+  const pending = readQueue();
+  if (pending.length === 0) {
+    return { revoked: 0, dropped: 0, remaining: 0 };
+  }
+
+  const remaining = [];
+  let revoked = 0;
+  let dropped = 0;
+
+  for (const entry of pending) {
+    if (Date.now() - new Date(entry.queuedAt).getTime() > REVOCATION_QUEUE_MAX_AGE) {
+      dropped += 1;
+      continue;
+    }
+    try {
+      await revokeSession(entry);
+      revoked += 1;
+    } catch (error) {
+      if (error.code === 'NETWORK') {
+        remaining.push({ ...entry, attempts: (entry.attempts || 0) + 1 });
+      } else {
+        dropped += 1;
+      }
+    }
+  }
+
+  writeQueue(remaining);
+  if (revoked > 0 || dropped > 0) {
+    logEvent('logout.queue.retry', { revoked, dropped, remaining: remaining.length });
+  }
+  return { revoked, dropped, remaining: remaining.length };
+}
+
+/**
+ * Log out the active profile everywhere
+ *
+ * @returns {Promise<object>} - {
+ *   profile,
+ *   server: { status: 'revoked'|'queued'|'rejected'|'skipped', deviceDeregistered, tokenRevoked, error },
+ *   removed: [{ kind: 'credentials'|'license'|'entitlements', path }],
+ *   retried: queued revocations sent now,
+ *   pending: number of revocations still queued
+ * }
+ */
+async function logout() {
+  const profile = getActiveProfile().name;
+  const server = { status: 'skipped', deviceDeregistered: false, tokenRevoked: false, error: null };
+
+  // Earlier logouts that could not reach the API
+  const retried = await retryPendingRevocations();
+
+  let credentials = null;
+  try {
+    credentials = readCredentials({ migrate: false });
+  } catch (error) {
+    server.error = `Credentials unreadable: ${error.message}`;
+  }
+
+  if (credentials && credentials.token) {
+    const session = {
+      token: credentials.token,
+      refreshToken: credentials.refreshToken || null,
+      hardwareId: credentials.hardwareId || null,
+      profile
+    };
+    try {
+      Object.assign(server, await revokeSession(session), { status: 'revoked' });
+    } catch (error) {
+      server.error = error.message;
+      if (error.code === 'NETWORK') {
+        queueRevocation(session);
+        server.status = 'queued';
+      } else {
+        server.status = 'rejected';
+      }
+    }
+  } else if (!server.error) {
+    server.error = 'No token stored - nothing to revoke on the server';
+  }
+
+  const removed = [];
+
+  const store = getCredentialStore();
+  if (clearCredentials()) {
+    removed.push({ kind: 'credentials', path: store.location });
+  }
+
+  // License files: every registered project plus the current one
+  const { getLicenseDir } = require('../core/esmc-license-manager.js');
+  const { licenseFilename } = getProfilePaths(profile);
+  const licenseDirs = new Set([getLicenseDir(), ...listProjects(profile).map(project => project.licenseDir)]);
+  for (const licenseDir of licenseDirs) {
+    const licensePath = path.join(licenseDir, licenseFilename);
+    if (removeFileWithBackup(licensePath)) {
+      removed.push({ kind: 'license', path: licensePath });
+    }
+    unregisterProject(licenseDir, profile);
+  }
+
+  const entitlementsPath = getEntitlementsPath(profile);
+  if (clearEntitlements(profile)) {
+    removed.push({ kind: 'entitlements', path: entitlementsPath });
+  }
+
+  const pending = countPendingRevocations();
+  logEvent('logout', { profile, server: server.status, removed: removed.length, pending });
+  return { profile, server, removed, retried: retried.revoked, pending };
+}
+
+module.exports = {
+  logout,
+  revokeSession,
+  queueRevocation,
+  retryPendingRevocations,
+  countPendingRevocations,
+  RevocationError
+};
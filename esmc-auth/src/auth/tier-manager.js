@@ -2,11 +2,38 @@
  * ESMC 3.8 MCP Server - Tier Management
  * Adapted from .claude/ESMC Complete/core/tier-manager.js
  * Updated to validate tokens with Vercel backend
+ *
+ * Events (after startWatching(), or any initialize() after the first),
+ * each with { previous, current } = { tier, source, authenticated, expiry }:
+ *   tierChanged  login, logout, upgrade, downgrade or expiry changed the tier
+ *   expiring     subscription reached a reminder threshold or its grace period
+ *   expired      grace period over - reverted to FREE
+ *   revoked      the server revoked the session
+ *
+ * Each project takes one of the tier's maxProjects slots (core/project-registry.js);
+ * a project over the limit runs on the FREE tier (source 'project-limit').
+ * A read-only TierManager only checks the slot and never takes one.
  */
 
-const { loadCredentials, isExpired, clearCredentials } = require('./credentials.js');
+const EventEmitter = require('events');
+const { loadCredentials, getCredentialStore } = require('./credentials.js');
+const { ensureFreshCredentials, getTokenExpiry, getTokenIssuedAt } = require('./token-refresh.js');
+const { retryPendingRevocations } = require('./revocation.js');
 const { getHardwareId } = require('./hardware.js');
-const { TIER_FEATURES, API_URL } = require('../config/constants.js');
+const { getActiveProfile } = require('../core/profiles.js');
+const { getExpiryState } = require('../core/subscription-expiry.js');
+const { checkClock } = require('../core/trusted-clock.js');
+const { resolveEntitlements, saveEntitlementsToken } = require('../core/entitlements.js');
+const { parseFeature, normalizeFeature, checkFeature, getMinimumTier } = require('../core/feature-access.js');
+const { listProjects, activateProject, checkProject, getProjectLimit } = require('../core/project-registry.js');
+const {
+  TIER_FEATURES,
+  API_URL,
+  TOKEN_REFRESH_WINDOW,
+  TIER_WATCH_INTERVAL,
+  TIER_REVALIDATE_INTERVAL,
+  API_REQUEST_TIMEOUT
+} = require('../config/constants.js');
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
@@ -33,12 +60,134 @@ if (!BRAIN_CHECKSUMS.FREE || !BRAIN_CHECKSUMS.PRO || !BRAIN_CHECKSUMS.MAX) {
   );
 }
 
-class TierManager {
-  constructor() {
+// Login writes the license and credentials files back to back: reload once
+const RELOAD_DEBOUNCE = 500;
+
+class TierManager extends EventEmitter {
+  /**
+   * @param {object} [options] - { readOnly: inspect only - no project slot is taken and the trusted-clock mark
+   *   is not advanced (esmc status, esmc features) }
+   */
+  constructor(options = {}) {
+    super();
+    this.readOnly = options.readOnly === true;
     this.currentTier = 'FREE';
     this.credentials = null;
+    this.profile = null; // Profile the credentials were loaded from
     this.features = TIER_FEATURES.FREE;
+    this.entitlements = null; // Where the features came from (core/entitlements.js)
+    this.restriction = null; // Why a paid tier is withheld: { reason: 'expiry'|'policy'|'quota', tier, message }
     this.brainPath = null; // Discovered brain file path
+    this.refreshTimer = null; // Renews the access token before it expires
+    this.expiry = null; // Subscription expiry state (subscription-expiry.js)
+    this.state = null; // Last reported { tier, source, authenticated, expiry }
+    this.watchers = []; // fs.watchFile listeners: [{ file, listener }]
+    this.revalidateTimer = null;
+    this.reloadTimer = null;
+    this.reloading = null; // In-flight reload()
+    this.reloadQueued = false;
+  }
+
+  /**
+   * Record the state after an evaluation and emit events for what changed
+   * @param {object} result - { source, authenticated } of the evaluation
+   */
+  commitState(result) {
+    const previous = this.state;
+    this.state = { tier: this.currentTier, source: result.source, authenticated: result.authenticated, expiry: this.expiry };
+    if (!previous) {
+      return;
+    }
+
+    const change = { previous, current: this.state };
+    const expiryState = state => (state.expiry ? state.expiry.state : null);
+
+    if (this.state.source === 'revoked' && previous.source !== 'revoked') {
+      this.emit('revoked', change);
+    }
+    if (this.state.source === 'expired' && previous.source !== 'expired') {
+      this.emit('expired', change);
+    }
+    if (['expiring', 'grace'].includes(expiryState(this.state)) &&
+        (expiryState(previous) !== expiryState(this.state) || previous.expiry.reminder !== this.state.expiry.reminder)) {
+      this.emit('expiring', change);
+    }
+    if (this.state.tier !== previous.tier) {
+      this.emit('tierChanged', change);
+    }
+  }
+
+  /**
+   * Drop the session after the server revoked the refresh token
+   */
+  endSession() {
+    this.stopTokenRefresh();
+    const paidTier = this.credentials ? this.credentials.tier : null;
+    this.credentials = null;
+    this.expiry = null;
+    this.applyTier('FREE', paidTier && { reason: 'policy', tier: paidTier, message: 'Session revoked - run: npm run login' });
+  }
+
+  /**
+   * Switch tier; features come from the server's entitlements, or TIER_FEATURES offline
+   * @param {string} tier - Tier in effect
+   * @param {object|null} [restriction] - { reason, tier, message } when a paid tier is withheld
+   */
+  applyTier(tier, restriction = null) {
+    const previousBrain = this.features.brain || this.currentTier;
+    this.currentTier = tier;
+    this.restriction = restriction;
+    this.entitlements = resolveEntitlements(tier, { userId: this.credentials ? this.credentials.userId : undefined });
+    this.features = this.entitlements.features;
+
+    // A different tier loads a different brain
+    if ((this.features.brain || tier) !== previousBrain) {
+      this.brainPath = null;
+    }
+  }
+
+  /**
+   * Renew the access token in the background shortly before it expires
+   * A renewal re-evaluates through reload(), so the project limit and the
+   * clock check apply exactly as on startup. The timer does not keep the process alive.
+   */
+  scheduleTokenRefresh() {
+    this.stopTokenRefresh();
+    const expiry = getTokenExpiry(this.credentials);
+    if (!this.credentials || !this.credentials.refreshToken || expiry === null) {
+      return;
+    }
+
+    // Retry failed refreshes at most once a minute
+    const delay = Math.max(expiry - TOKEN_REFRESH_WINDOW * 1000 - Date.now(), 60 * 1000);
+    this.refreshTimer = setTimeout(async () => {
+      try {
+        this.credentials = await ensureFreshCredentials(this.credentials);
+        // Reschedules the next refresh
+        await this.reload();
+        return;
+      } catch (error) {
+        if (error.code === 'REVOKED') {
+          console.error('🚨 Session revoked - reverted to FREE tier. Run: npm run login');
+          this.endSession();
+          this.commitState({ source: 'revoked', authenticated: false });
+          return;
+        }
+        console.error('⚠️ Token refresh failed:', error.message);
+      }
+      this.scheduleTokenRefresh();
+    }, delay);
+    this.refreshTimer.unref();
+  }
+
+  /**
+   * Stop background token refresh
+   */
+  stopTokenRefresh() {
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+    }
   }
 
   /**
@@ -51,7 +200,8 @@ class TierManager {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ token, hardwareId })
+        body: JSON.stringify({ token, hardwareId }),
+        signal: AbortSignal.timeout(API_REQUEST_TIMEOUT)
       });
 
       const data = await response.json();
@@ -64,81 +214,280 @@ class TierManager {
         tier: data.user.tier,
         email: data.user.email,
         name: data.user.name,
-        expiresAt: data.user.expiresAt
+        expiresAt: data.user.expiresAt,
+        entitlementsToken: data.entitlements_token || null
       };
     } catch (error) {
-      console.error('⚠️ Backend validation failed:', error.message);
+      const reason = error.name === 'TimeoutError' ? `no answer within ${API_REQUEST_TIMEOUT / 1000} seconds` : error.message;
+      console.error('⚠️ Backend validation failed:', reason);
       return null; // Fall back to local validation
     }
   }
 
   /**
    * Initialize tier system with backend validation
+   * Later calls re-evaluate and emit events for what changed.
    */
   async initialize() {
+    const result = this.enforceProjectLimit(await this.evaluate());
+    this.commitState(result);
+    return result;
+  }
+
+  /**
+   * Hold a project slot for this project, or fall back to FREE when the tier has none left
+   * Read-only: FREE only when the project is over the limit or no slot is left to take.
+   * @param {object} result - evaluate() result
+   * @returns {object} - The result, or a FREE result with source 'project-limit'
+   */
+  enforceProjectLimit(result) {
+    if (!result.authenticated || !this.credentials) {
+      return result;
+    }
+
+    const { getLicenseDir } = require('../core/esmc-license-manager.js');
+    const tier = this.currentTier;
+    const slotOptions = { maxProjects: getProjectLimit(tier, { userId: this.credentials.userId }), tier };
+    try {
+      if (this.readOnly) {
+        checkProject(getLicenseDir(), this.profile, slotOptions);
+      } else {
+        activateProject(getLicenseDir(), this.profile, slotOptions);
+      }
+      return result;
+    } catch (error) {
+      if (error.code !== 'LIMIT_REACHED') {
+        console.error('⚠️ Project registry not updated:', error.message);
+        return result;
+      }
+      console.error(`⚠️ ${error.message}`);
+      this.applyTier('FREE', { reason: 'quota', tier, message: error.message });
+      return { ...result, tier: 'FREE', source: 'project-limit', message: error.message };
+    }
+  }
+
+  /**
+   * Re-evaluate now; concurrent calls share one evaluation plus at most one queued rerun
+   * Failures are logged, the current tier stays in effect.
+   * @returns {Promise<void>}
+   */
+  reload() {
+    if (this.reloading) {
+      this.reloadQueued = true;
+      return this.reloading;
+    }
+
+    this.reloading = this.initialize()
+      .catch((error) => {
+        console.error('⚠️ Tier revalidation failed:', error.message);
+      })
+      .then(() => {
+        this.reloading = null;
+        if (this.reloadQueued) {
+          this.reloadQueued = false;
+          return this.reload();
+        }
+      });
+    return this.reloading;
+  }
+
+  scheduleReload() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => this.reload(), RELOAD_DEBOUNCE);
+    this.reloadTimer.unref();
+  }
+
+  /**
+   * Follow login, logout, upgrades and expiry without a restart
+   * Re-evaluates when the license or credentials file changes and every
+   * revalidateInterval, emitting the events listed at the top of this file.
+   * Neither the file watchers nor the timers keep the process alive.
+   *
+   * @param {object} [options] - { pollInterval: ms between file checks, revalidateInterval: ms (0 = off) }
+   * @returns {string[]} - Watched files (credentials outside a file, e.g. ESMC_CREDENTIALS, are not watched)
+   */
+  startWatching(options = {}) {
+    const { getLicenseFilePath } = require('../core/esmc-license-manager.js');
+    this.stopWatching();
+
+    const pollInterval = options.pollInterval || TIER_WATCH_INTERVAL;
+    const revalidateInterval = options.revalidateInterval !== undefined
+      ? options.revalidateInterval
+      : TIER_REVALIDATE_INTERVAL * 1000;
+
+    const files = new Set([getLicenseFilePath(), getCredentialStore().location].filter(file => path.isAbsolute(file)));
+    for (const file of files) {
+      // Atomic writes replace the file: compare the inode as well as the mtime
+      const listener = (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs || current.ino !== previous.ino) {
+          this.scheduleReload();
+        }
+      };
+      fs.watchFile(file, { interval: pollInterval, persistent: false }, listener);
+      this.watchers.push({ file, listener });
+    }
+
+    if (revalidateInterval > 0) {
+      this.revalidateTimer = setInterval(() => this.reload(), revalidateInterval);
+      this.revalidateTimer.unref();
+    }
+
+    return [...files];
+  }
+
+  /**
+   * Stop file watching, periodic re-validation and background token refresh
+   */
+  stopWatching() {
+    for (const { file, listener } of this.watchers) {
+      fs.unwatchFile(file, listener);
+    }
+    this.watchers = [];
+    clearInterval(this.revalidateTimer);
+    clearTimeout(this.reloadTimer);
+    this.revalidateTimer = null;
+    this.reloadTimer = null;
+    this.stopTokenRefresh();
+  }
+
+  /**
+   * Validate credentials (backend first, then offline) and apply the resulting tier
+   */
+  async evaluate() {
+    this.profile = getActiveProfile().name;
+
+    // Revocations queued by an offline logout (best effort, does not delay startup)
+    retryPendingRevocations().catch(() => {});
+
     this.credentials = loadCredentials();
 
     if (!this.credentials) {
       // Not logged in - use FREE tier
-      this.currentTier = 'FREE';
-      this.features = TIER_FEATURES.FREE;
+      this.applyTier('FREE');
       return {
         tier: 'FREE',
         source: 'default',
+        profile: this.profile,
         authenticated: false,
         message: 'Not logged in - using FREE tier'
       };
     }
 
+    // Renew the access token first if it is about to expire
+    try {
+      this.credentials = await ensureFreshCredentials(this.credentials);
+    } catch (error) {
+      if (error.code === 'REVOKED') {
+        this.endSession();
+        return {
+          tier: 'FREE',
+          source: 'revoked',
+          profile: this.profile,
+          authenticated: false,
+          message: 'Session revoked - run: npm run login'
+        };
+      }
+      console.error('⚠️ Token refresh failed:', error.message);
+    }
+    this.scheduleTokenRefresh();
+
     // Try backend validation first (server authority)
     const hardwareId = getHardwareId();
     const backendValidation = await this.validateWithBackend(this.credentials.token, hardwareId);
 
     if (backendValidation) {
-      // Backend validation successful - use server data
-      this.currentTier = backendValidation.tier || 'FREE';
-      this.features = TIER_FEATURES[this.currentTier] || TIER_FEATURES.FREE;
+      // Backend validation successful - use server data (the server applies its own grace rules)
+      if (backendValidation.entitlementsToken) {
+        try {
+          await saveEntitlementsToken(backendValidation.entitlementsToken, { userId: this.credentials.userId });
+        } catch (error) {
+          console.error('⚠️ Entitlements rejected:', error.message);
+        }
+      }
+      this.applyTier(backendValidation.tier || 'FREE');
+      this.expiry = getExpiryState(backendValidation.expiresAt);
 
       return {
         tier: this.currentTier,
         source: 'backend',
+        profile: this.profile,
         authenticated: true,
         email: backendValidation.email,
         name: backendValidation.name,
-        expiresAt: backendValidation.expiresAt
+        expiresAt: backendValidation.expiresAt,
+        expiry: this.expiry
       };
     }
 
     // Backend validation failed - fall back to local validation
-    // Check if expired and auto-cleanup
-    if (isExpired(this.credentials)) {
-      console.error('⚠️ Subscription expired - cleaning up credentials');
-      clearCredentials();
-      this.credentials = null;
-      this.currentTier = 'FREE';
-      this.features = TIER_FEATURES.FREE;
+    // A clock set back is re-validated with a forced token refresh (fails while the clock is still wrong)
+    const clockOptions = { persist: !this.readOnly };
+    let clock = checkClock([getTokenIssuedAt(this.credentials)], clockOptions);
+    if (clock.state === 'rollback' && this.credentials.refreshToken) {
+      try {
+        this.credentials = await ensureFreshCredentials(this.credentials, { force: true });
+        clock = checkClock([getTokenIssuedAt(this.credentials)], clockOptions);
+      } catch (error) {
+        // Still offline or still rolled back
+      }
+    }
+    if (clock.state === 'rollback') {
+      console.error(`⚠️ ${clock.message}`);
+      this.expiry = null;
+      this.applyTier('FREE', { reason: 'policy', tier: this.credentials.tier, message: clock.message });
+      return {
+        tier: 'FREE',
+        source: 'rollback',
+        profile: this.profile,
+        authenticated: false,
+        clock,
+        message: 'System clock set back - correct it, then run: npm run login'
+      };
+    }
+
+    this.expiry = getExpiryState(this.credentials.expiresAt, { now: clock.now });
+
+    // Grace period over: FREE tier, but the credentials stay so a renewal is picked up by the next refresh
+    if (this.expiry.state === 'expired') {
+      console.error(`⚠️ ${this.expiry.message}`);
+      this.applyTier('FREE', { reason: 'expiry', tier: this.credentials.tier, message: this.expiry.message });
       return {
         tier: 'FREE',
         source: 'expired',
+        profile: this.profile,
         authenticated: false,
+        expiresAt: this.credentials.expiresAt,
+        expiry: this.expiry,
         message: 'Subscription expired - reverted to FREE tier'
       };
     }
 
-    // Valid local credentials (offline mode)
-    this.currentTier = this.credentials.tier || 'FREE';
-    this.features = TIER_FEATURES[this.currentTier] || TIER_FEATURES.FREE;
+    // Valid local credentials (offline mode), possibly within the grace period
+    this.applyTier(this.credentials.tier || 'FREE');
+    if (this.expiry.state === 'grace') {
+      console.error(`⚠️ ${this.expiry.message}`);
+    }
 
     return {
       tier: this.currentTier,
-      source: 'local',
+      source: this.expiry.state === 'grace' ? 'grace' : 'local',
+      profile: this.profile,
       authenticated: true,
       email: this.credentials.email,
       name: this.credentials.name,
-      expiresAt: this.credentials.expiresAt
+      expiresAt: this.credentials.expiresAt,
+      expiry: this.expiry
     };
   }
 
+  /**
+   * Subscription expiry state for display (IDE status bar, `esmc status`)
+   * @returns {object|null} - { state: active|expiring|grace|expired, endsAt, graceEndsAt, daysRemaining, reminder, message }
+   */
+  getExpiryState() {
+    return this.expiry;
+  }
+
   /**
    * Get current tier
    */
@@ -153,25 +502,102 @@ class TierManager {
     return this.features;
   }
 
+  /**
+   * Where the features came from
+   * @returns {object|null} - { tier, source: 'server'|'fallback', issuedAt, expiresAt, reason }
+   */
+  getEntitlements() {
+    return this.entitlements;
+  }
+
+  /**
+   * Whether a feature is available, and if not why and which tier grants it
+   *
+   * @param {string} feature - Feature name (core/feature-access.js), e.g. 'colonel:DELTA', 'tier:MAX', 'projects'
+   * @param {object} [options] - { used: current count for quotas (default for 'projects': registered projects) }
+   * @returns {{feature: string, allowed: boolean, reason: null|'tier'|'expiry'|'policy'|'quota', message: string|null,
+   *   tier: string, minimumTier: string|null, limit: number|null, used: number|null}}
+   *   reason: tier (not in this tier), expiry (subscription ended), policy (suspended: clock rollback,
+   *   revoked session, custom tier not validated), quota (limit reached, or this project is over maxProjects)
+   *   minimumTier: lowest built-in tier that grants the feature (null if none does)
+   *   feature: the name in canonical case (colonel:delta → colonel:DELTA)
+   * @throws {FeatureAccessError} - UNKNOWN_FEATURE when no tier knows the feature
+   */
+  can(name, options = {}) {
+    const restricted = this.restriction
+      ? resolveEntitlements(this.restriction.tier, { userId: this.credentials ? this.credentials.userId : undefined }).features
+      : null;
+    const feature = normalizeFeature(name, [this.features, restricted]);
+    const { kind, key } = parseFeature(feature);
+    let used = options.used;
+    if (used === undefined && key === 'maxProjects') {
+      used = listProjects(this.profile || undefined).length;
+    }
+
+    const check = checkFeature(this.features, feature, { tier: this.currentTier, used });
+    const minimumTier = getMinimumTier(feature, { used });
+    const result = {
+      feature,
+      allowed: check.granted,
+      reason: null,
+      message: null,
+      tier: this.currentTier,
+      minimumTier,
+      limit: check.limit,
+      used: check.used
+    };
+    if (check.granted) {
+      return result;
+    }
+
+    // The paid tier would grant it, but is withheld right now
+    if (restricted) {
+      if (checkFeature(restricted, feature, { tier: this.restriction.tier, used }).granted) {
+        return { ...result, reason: this.restriction.reason, message: this.restriction.message };
+      }
+    }
+
+    // Custom tier without server entitlements runs on FREE features
+    if (this.entitlements && this.entitlements.source === 'fallback' && !Object.hasOwn(TIER_FEATURES, this.currentTier)) {
+      return { ...result, reason: 'policy', message: this.entitlements.reason };
+    }
+
+    if (kind === 'quota' && check.limit !== null) {
+      return {
+        ...result,
+        reason: 'quota',
+        message: `${feature} limit reached (${check.used} of ${check.limit})${minimumTier ? ` - ${minimumTier} allows more` : ''}`
+      };
+    }
+
+    return {
+      ...result,
+      reason: 'tier',
+      message: minimumTier
+        ? `${feature} requires the ${minimumTier} tier (current: ${this.currentTier})`
+        : `${feature} is not included in any ESMC tier`
+    };
+  }
+
   /**
    * Check if intelligence component is enabled
    */
   isIntelligenceEnabled(component) {
-    return this.features.intelligence.includes(component);
+    return checkFeature(this.features, `intelligence:${component}`).granted;
   }
 
   /**
    * Check if colonel is enabled
    */
   isColonelEnabled(colonel) {
-    return this.features.colonels.includes(colonel);
+    return checkFeature(this.features, `colonel:${colonel}`).granted;
   }
 
   /**
    * Check if module is enabled
    */
   isModuleEnabled(module) {
-    return this.features.modules.includes(module);
+    return checkFeature(this.features, `module:${module}`).granted;
   }
 
   /**
@@ -190,13 +616,10 @@ class TierManager {
 
   /**
    * Validate tier access for command
+   * Custom tiers rank by the `level` in their entitlements.
    */
   validateAccess(requiredTier) {
-    const tierHierarchy = ['FREE', 'PRO', 'MAX', 'VIP'];
-    const currentLevel = tierHierarchy.indexOf(this.currentTier);
-    const requiredLevel = tierHierarchy.indexOf(requiredTier);
-
-    return currentLevel >= requiredLevel;
+    return checkFeature(this.features, `tier:${requiredTier}`, { tier: this.currentTier }).granted;
   }
 
   /**
@@ -208,10 +631,12 @@ class TierManager {
     }
 
     return {
+      profile: this.profile,
       email: this.credentials.email,
       name: this.credentials.name,
       tier: this.currentTier,
-      expiresAt: this.credentials.expiresAt
+      expiresAt: this.credentials.expiresAt,
+      expiry: this.expiry
     };
   }
 
@@ -226,7 +651,7 @@ class TierManager {
    * Check if MySQL battlefield intelligence is enabled (MAX/VIP feature)
    */
   isMySQLEnabled() {
-    return this.isMaxOrVip();
+    return this.features.memory === 'mysql';
   }
 
   /**
@@ -241,10 +666,12 @@ class TierManager {
     }
 
     const brainDir = path.join(__dirname, '..', '..', '..', '.claude', 'ESMC Complete', 'core', 'brain');
-    const targetChecksum = BRAIN_CHECKSUMS[this.currentTier];
+    // VIP and custom tiers load the brain their entitlements name
+    const brainTier = this.features.brain || this.currentTier;
+    const targetChecksum = BRAIN_CHECKSUMS[brainTier];
 
     if (!targetChecksum) {
-      throw new Error(`No brain checksum defined for tier: ${this.currentTier}`);
+      throw new Error(`No brain checksum defined for tier: ${brainTier}`);
     }
 
     try {
@@ -0,0 +1,273 @@
+/**
+ * ESMC Access Token Refresh
+ * Renews the access token with the refresh token stored alongside the credentials
+ *
+ * - Renewed once the token is within TOKEN_REFRESH_WINDOW of its exp
+ * - One process refreshes at a time (refresh.lock in the profile's home);
+ *   the others wait for it and reread the credentials it saved
+ * - The server may rotate the refresh token; the new one replaces the old
+ * - A revoked refresh token (invalid_grant) clears the credentials and the
+ *   license file: the user must log in again
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  TOKEN_REFRESH_URL,
+  TOKEN_REFRESH_WINDOW,
+  REFRESH_LOCK_FILENAME,
+  REFRESH_LOCK_TIMEOUT,
+  API_REQUEST_TIMEOUT
+} = require('../config/constants.js');
+const { saveCredentials, loadCredentials, clearCredentials } = require('./credentials.js');
+const { verifyJWT } = require('./jwt-validator.js');
+const { getProfilePaths } = require('../core/profiles.js');
+const { acquireLock, releaseLock, waitForLock } = require('../core/file-lock.js');
+const { logEvent } = require('../core/logger.js');
+const { recordServerTime } = require('../core/trusted-clock.js');
+const { readFileWithRecovery } = require('../core/atomic-file.js');
+
+/**
+ * Token refresh error with a stable code
+ * code: NO_REFRESH_TOKEN | REVOKED | REFRESH_FAILED | LOCK_TIMEOUT
+ */
+class TokenRefreshError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TokenRefreshError';
+    this.code = code;
+  }
+}
+
+/**
+ * Claims of the stored access token (already verified when it was saved)
+ * @returns {object|null}
+ */
+function decodeTokenPayload(token) {
+  try {
+    return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf-8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Access token expiry in milliseconds
+ * Uses tokenExpiresAt (saved at login), else the token's exp claim
+ * @returns {number|null} - null if unknown
+ */
+function getTokenExpiry(credentials) {
+  if (!credentials) {
+    return null;
+  }
+  if (credentials.tokenExpiresAt) {
+    return new Date(credentials.tokenExpiresAt).getTime();
+  }
+  const payload = decodeTokenPayload(credentials.token);
+  return payload && Number.isFinite(payload.exp) ? payload.exp * 1000 : null;
+}
+
+/**
+ * Access token issue time (`iat`, signed by the server) in seconds
+ * @returns {number|null} - null if unknown
+ */
+function getTokenIssuedAt(credentials) {
+  const payload = credentials && credentials.token ? decodeTokenPayload(credentials.token) : null;
+  return payload && Number.isFinite(payload.iat) ? payload.iat : null;
+}
+
+/**
+ * Whether the access token should be renewed now
+ * @param {object} credentials - Stored credentials
+ * @param {number} [now] - Current time in ms
+ */
+function needsRefresh(credentials, now = Date.now()) {
+  const expiry = getTokenExpiry(credentials);
+  return !!(credentials && credentials.refreshToken && expiry !== null && expiry - now <= TOKEN_REFRESH_WINDOW * 1000);
+}
+
+function getRefreshLockPath() {
+  return path.join(getProfilePaths().home, REFRESH_LOCK_FILENAME);
+}
+
+/**
+ * Rewrite the license file with the renewed identity (keeps blessing and checksums)
+ * Skipped when no license file exists (credentials-only setups), and for a
+ * signed license when the server sent no new license token - editing it
+ * locally would break its signature.
+ */
+function updateLicenseFromToken(payload, licenseToken) {
+  const licenseManager = require('../core/esmc-license-manager.js');
+  let read;
+  try {
+    read = readFileWithRecovery(licenseManager.getLicenseFilePath());
+  } catch (error) {
+    console.error('⚠️ License file not updated after token refresh:', error.message);
+    return;
+  }
+  if (!read) {
+    return;
+  }
+
+  const existing = read.value;
+  if (!licenseToken && existing.signature) {
+    return;
+  }
+
+  const result = licenseManager.updateLicenseFile(licenseToken ? {
+    licenseToken,
+    blessing: existing.blessing,
+    vercelChecksum: existing.vercelChecksum
+  } : {
+    ...existing,
+    email: payload.email || existing.email,
+    userId: payload.sub || payload.userId || existing.userId,
+    displayName: payload.name || existing.displayName,
+    tier: payload.tier || existing.tier,
+    subscriptionEndDate: payload.subscriptionEndDate !== undefined ? payload.subscriptionEndDate : existing.subscriptionEndDate
+  });
+  if (!result.success) {
+    console.error('⚠️ License file not updated after token refresh:', result.error);
+  }
+}
+
+/**
+ * Forget a session whose refresh token was revoked
+ */
+function endRevokedSession() {
+  clearCredentials();
+  const licenseManager = require('../core/esmc-license-manager.js');
+  if (fs.existsSync(licenseManager.getLicenseFilePath())) {
+    licenseManager.deleteLicenseFile();
+  }
+}
+
+/**
+ * Exchange the refresh token for a new access token and save the result
+ * Callers should hold the refresh lock (see ensureFreshCredentials).
+ *
+ * @param {object} credentials - Stored credentials (must include refreshToken)
+ * @returns {Promise<object>} - Updated credentials
+ * @throws {TokenRefreshError} - NO_REFRESH_TOKEN | REVOKED | REFRESH_FAILED
+ */
+async function refreshCredentials(credentials) {
+  if (!credentials || !credentials.refreshToken) {
+    throw new TokenRefreshError('NO_REFRESH_TOKEN', 'No refresh token stored - log in again to enable token refresh');
+  }
+
+  const { getHardwareId } = require('./hardware.js');
+  let response;
+  let body;
+  try {
+    response = await fetch(TOKEN_REFRESH_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        grant_type: 'refresh_token',
+        refresh_token: credentials.refreshToken,
+        client_id: 'esmc-sdk',
+        hardwareId: getHardwareId()
+      }),
+      signal: AbortSignal.timeout(API_REQUEST_TIMEOUT)
+    });
+    body = await response.json();
+  } catch (error) {
+    const reason = error.name === 'TimeoutError' ? `no answer within ${API_REQUEST_TIMEOUT / 1000} seconds` : error.message;
+    throw new TokenRefreshError('REFRESH_FAILED', `Token refresh failed: ${reason}`);
+  }
+
+  if (body.error === 'invalid_grant') {
+    endRevokedSession();
+    logEvent('token.refresh.revoked', { email: credentials.email });
+    throw new TokenRefreshError('REVOKED', 'Session revoked - run: npm run login');
+  }
+
+  if (!response.ok || !body.access_token) {
+    throw new TokenRefreshError(
+      'REFRESH_FAILED',
+      `Token refresh failed: ${body.error_description || body.error || `HTTP ${response.status}`}`
+    );
+  }
+
+  let payload;
+  try {
+    payload = await verifyJWT(body.access_token);
+  } catch (error) {
+    throw new TokenRefreshError('REFRESH_FAILED', `Refreshed token rejected: ${error.message}`);
+  }
+
+  const updated = {
+    ...credentials,
+    token: body.access_token,
+    refreshToken: body.refresh_token || credentials.refreshToken,
+    licenseToken: body.license_token || credentials.licenseToken || null,
+    tokenExpiresAt: new Date(payload.exp * 1000).toISOString(),
+    email: payload.email || credentials.email,
+    userId: payload.sub || payload.userId || credentials.userId,
+    name: payload.name || credentials.name,
+    tier: payload.tier || credentials.tier,
+    expiresAt: payload.subscriptionEndDate !== undefined ? payload.subscriptionEndDate : credentials.expiresAt,
+    refreshedAt: new Date().toISOString()
+  };
+
+  saveCredentials(updated);
+  recordServerTime(payload.iat);
+  updateLicenseFromToken(payload, body.license_token || null);
+  logEvent('token.refresh.success', { email: updated.email, tier: updated.tier });
+  return updated;
+}
+
+/**
+ * Return credentials with an access token that is not about to expire
+ * Refreshes when needed; if another process is already refreshing, waits
+ * for it and returns the credentials it saved.
+ *
+ * @param {object} credentials - Credentials loaded by the caller
+ * @param {object} [options] - { force: refresh even if the token is not close to exp }
+ * @returns {Promise<object>} - Current credentials (unchanged if no refresh was needed)
+ * @throws {TokenRefreshError} - REVOKED | REFRESH_FAILED | LOCK_TIMEOUT
+ */
+async function ensureFreshCredentials(credentials, options = {}) {
+  if (!credentials || !credentials.refreshToken) {
+    return credentials;
+  }
+  if (!options.force && !needsRefresh(credentials)) {
+    return credentials;
+  }
+
+  const lockPath = getRefreshLockPath();
+  const { acquired } = acquireLock(lockPath, REFRESH_LOCK_TIMEOUT);
+
+  if (!acquired) {
+    if (!await waitForLock(lockPath, REFRESH_LOCK_TIMEOUT, REFRESH_LOCK_TIMEOUT)) {
+      throw new TokenRefreshError('LOCK_TIMEOUT', 'Timed out waiting for another process to refresh the token');
+    }
+    const reread = loadCredentials();
+    if (!reread) {
+      throw new TokenRefreshError('REVOKED', 'Session ended by another process - run: npm run login');
+    }
+    return reread;
+  }
+
+  try {
+    // Another process may have refreshed between our read and taking the lock
+    const current = loadCredentials() || credentials;
+    if (!options.force && !needsRefresh(current)) {
+      return current;
+    }
+    return await refreshCredentials(current);
+  } finally {
+    releaseLock(lockPath);
+  }
+}
+
+module.exports = {
+  ensureFreshCredentials,
+  refreshCredentials,
+  needsRefresh,
+  getTokenExpiry,
+  getTokenIssuedAt,
+  TokenRefreshError
+};
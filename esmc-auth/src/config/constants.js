@@ -2,81 +2,173 @@
  * ESMC 3.8 MCP Server Configuration
  */
 
+const path = require('path');
+const os = require('os');
+
+const API_URL = process.env.ESMC_API_URL || 'https://esmc-sdk.com/api';
+const ESMC_HOME = path.join(os.homedir(), '.esmc');
+
+// Built-in tiers, used when no signed entitlements document from the server
+// is cached. Custom and enterprise tiers exist only server-side.
+//   level  order for TierManager.validateAccess() (FREE 0 < PRO 1 < MAX 2 < VIP 3)
+//   brain  tier whose brain checksum is loaded (tier-manager.js)
+const TIER_FEATURES = {
+  FREE: {
+    intelligence: ['PIU'],
+    colonels: ['ALPHA', 'BETA', 'GAMMA'],
+    modules: [],
+    memory: 'json',
+    maxProjects: 1,
+    maxHardware: 1,
+    redTeaming: false,
+    timeMachine: false,
+    memoryBank: false,
+    echelon: false,
+    version: 'ESMC 3.2',
+    displayName: 'FREE',
+    level: 0,
+    brain: 'FREE'
+  },
+  PRO: {
+    intelligence: ['PIU', 'DKI', 'UIP', 'PCA'],
+    colonels: ['ALPHA', 'BETA', 'GAMMA', 'DELTA', 'EPSILON', 'ZETA'],
+    modules: ['ESMC_3.2', 'ESMC_3.3', 'ESMC_3.4', 'ESMC_3.5', 'ESMC_3.7', 'ESMC_3.8'],
+    memory: 'json',
+    maxProjects: 10,
+    maxHardware: 1,
+    redTeaming: false,
+    timeMachine: true,
+    memoryBank: true,
+    echelon: true,
+    version: 'ESMC 3.7',
+    displayName: 'PRO',
+    level: 1,
+    brain: 'PRO'
+  },
+  MAX: {
+    intelligence: ['PIU', 'DKI', 'UIP', 'PCA', 'ATLAS', 'CUP', 'TBI', 'PFI'],
+    colonels: ['ALPHA', 'BETA', 'GAMMA', 'DELTA', 'EPSILON', 'ZETA', 'ETA'],
+    modules: ['ESMC_3.1', 'ESMC_3.2', 'ESMC_3.3', 'ESMC_3.4', 'ESMC_3.5', 'ESMC_3.6', 'ESMC_3.7', 'ESMC_3.8', 'ESMC_3.9', 'ESMC_3.10', 'ESMC_3.11'],
+    memory: 'mysql',
+    maxProjects: 999,
+    maxHardware: 1,
+    redTeaming: true,
+    timeMachine: true,
+    memoryBank: true,
+    echelon: true,
+    version: 'ESMC 3.11',
+    displayName: 'MAX',
+    level: 2,
+    brain: 'MAX'
+  }
+};
+
+// VIP unlocks what MAX does
+TIER_FEATURES.VIP = { ...TIER_FEATURES.MAX, displayName: 'VIP', level: 3 };
+
 module.exports = {
   // Authentication URLs (esmc-sdk.com Vercel deployment)
   AUTH_URL: process.env.ESMC_AUTH_URL || 'https://esmc-sdk.com/auth/auth-login',
-  API_URL: process.env.ESMC_API_URL || 'https://esmc-sdk.com/api',
+  API_URL,
   DASHBOARD_URL: process.env.ESMC_DASHBOARD_URL || 'https://esmc-sdk.com/dashboard',
 
   // MCP Callback Configuration
   CALLBACK_PORT: 37847, // Different from CLI (37846) to avoid conflicts
   CALLBACK_TIMEOUT: 5 * 60 * 1000, // 5 minutes
+  CALLBACK_HOST: '127.0.0.1', // RFC 8252: loopback interface only
+
+  // Authorization code exchange (PKCE, RFC 7636)
+  TOKEN_URL: `${API_URL}/esmc/auth/token`,
+  LOGIN_LOCK_PATH: path.join(ESMC_HOME, 'login.lock'),
+
+  // ESMC API requests (refresh, revocation) give up after this long - a blackholed API must not hang the CLI
+  API_REQUEST_TIMEOUT: Number(process.env.ESMC_API_TIMEOUT || 15) * 1000,
+
+  // Access token refresh (see auth/token-refresh.js)
+  TOKEN_REFRESH_URL: `${API_URL}/esmc/auth/refresh`,
+  TOKEN_REFRESH_WINDOW: 5 * 60, // seconds before exp when the access token is renewed
+  REFRESH_LOCK_FILENAME: 'refresh.lock', // In the profile's home (one refresh at a time)
+  REFRESH_LOCK_TIMEOUT: 30 * 1000, // Refresh locks older than this are stale
+
+  // Crash-safe license and credential writes (see core/atomic-file.js)
+  FILE_WRITE_LOCK_STALE_AFTER: 10 * 1000, // A writer holding a file lock longer than this has crashed
+  FILE_WRITE_LOCK_TIMEOUT: 5 * 1000, // Wait at most this long for another process's write
+
+  // Server-side logout (see auth/revocation.js)
+  TOKEN_REVOKE_URL: `${API_URL}/esmc/auth/revoke`,
+  DEVICE_DEREGISTER_URL: `${API_URL}/esmc/device/deregister`,
+  REVOCATION_QUEUE_PATH: path.join(ESMC_HOME, 'pending-revocations.json'), // Retried when the API was unreachable
+  REVOCATION_QUEUE_MAX_AGE: 30 * 24 * 3600000, // Queued revocations are dropped after 30 days
+
+  // Signed license files (see core/esmc-license-manager.js)
+  ALLOW_UNSIGNED_LICENSE: process.env.ESMC_ALLOW_UNSIGNED_LICENSE === '1', // Compatibility mode for pre-signing license files
+
+  // Subscription expiry (see core/subscription-expiry.js)
+  SUBSCRIPTION_GRACE_DAYS: Number(process.env.ESMC_GRACE_DAYS || 7), // Paid tier kept this long after subscriptionEndDate
+  EXPIRY_REMINDER_DAYS: [14, 7, 1], // Status warns when this many days are left
+
+  // Server-driven tier entitlements (see core/entitlements.js)
+  ENTITLEMENTS_FILENAME: 'entitlements.json', // In the profile's home
+  ENTITLEMENTS_MAX_AGE: 30 * 24 * 3600000, // Cached entitlements older than this fall back to TIER_FEATURES
+
+  // Live tier reload (see TierManager.startWatching in auth/tier-manager.js)
+  TIER_WATCH_INTERVAL: 2 * 1000, // ms between license/credentials file checks
+  TIER_REVALIDATE_INTERVAL: Number(process.env.ESMC_REVALIDATE_INTERVAL || 15 * 60), // seconds between re-validations (0 = file changes only)
+
+  // Clock rollback detection (see core/trusted-clock.js)
+  CLOCK_FILENAME: '.esmc-clock.json', // Next to the license file
+  CLOCK_ROLLBACK_TOLERANCE: Number(process.env.ESMC_CLOCK_TOLERANCE || 10 * 60), // seconds the clock may lag the last seen time
+
+  // Projects holding a license file (see core/project-registry.js)
+  PROJECTS_REGISTRY_PATH: path.join(ESMC_HOME, 'projects.json'),
+
+  // Device Authorization Grant (RFC 8628) - headless login (SSH, devcontainers, CI)
+  DEVICE_CODE_URL: `${API_URL}/esmc/device/code`,
+  DEVICE_TOKEN_URL: `${API_URL}/esmc/device/token`,
+  DEVICE_POLL_INTERVAL: 5, // seconds (used when server does not send one)
 
   // Credential Storage
-  CREDENTIALS_PATH: require('path').join(require('os').homedir(), '.esmc', 'credentials.json'),
+  ESMC_HOME,
+  CREDENTIALS_PATH: path.join(ESMC_HOME, 'credentials.json'),
+  CREDENTIALS_BACKEND: process.env.ESMC_CREDENTIALS_BACKEND || 'file', // file | passphrase | env | memory
+  PORTABLE_CREDENTIALS_PATH: process.env.ESMC_CREDENTIALS_FILE || path.join(ESMC_HOME, 'credentials.portable.json'),
+
+  // Profiles (named identities - see core/profiles.js)
+  PROFILES_DIR: path.join(ESMC_HOME, 'profiles'),
+  CONFIG_PATH: path.join(ESMC_HOME, 'config.json'),
+  DEFAULT_PROFILE: 'default',
+  PROFILE_PIN_FILENAME: '.esmc-profile.json', // In the project's .claude/ directory
+
+  // Device fingerprint (schema v2 - see auth/fingerprint.js)
+  DEVICE_RECORD_PATH: path.join(ESMC_HOME, 'device.json'),
+  FINGERPRINT_MATCH_THRESHOLD: 0.7, // Weighted share of components that must still match
+
+  // Stable identity anchor for containers, WSL and VMs (see auth/environment.js)
+  INSTALL_ID_PATH: path.join(ESMC_HOME, 'install-id'),
+  HOST_ID_PATH: process.env.ESMC_HOST_ID_FILE || '/etc/esmc/host-id', // Mounted from the host
+
+  // JWT verification keys (see auth/jwks.js)
+  JWKS_MODE: process.env.ESMC_JWKS_MODE || 'online', // online (snapshot fallback) | pinned (offline only)
+  JWKS_SNAPSHOT_PATH: path.join(ESMC_HOME, 'jwks.json'),
+  JWKS_MAX_STALENESS: 30 * 24 * 3600000, // Offline fallback accepts a snapshot up to 30 days old
+  PINNED_JWKS_PATH: process.env.ESMC_PINNED_JWKS || path.join(__dirname, 'pinned-jwks.json'), // Written by npm run build:jwks (prepack)
+  LAST_VERIFICATION_PATH: path.join(ESMC_HOME, 'last-verification.json'),
+
+  // JWT claim policy (see auth/claim-policy.js)
+  JWT_ISSUERS: (process.env.ESMC_JWT_ISSUERS || 'esmc-sdk.com').split(',').map(issuer => issuer.trim()).filter(Boolean),
+  JWT_AUDIENCE: process.env.ESMC_JWT_AUDIENCE || 'esmc-client',
+  JWT_REQUIRED_CLAIMS: ['sub', 'iss', 'aud', 'iat', 'exp'],
+  JWT_LEEWAY: Number(process.env.ESMC_JWT_LEEWAY || 60), // seconds of clock skew tolerated on exp/nbf/iat
+  JWT_MAX_AGE: Number(process.env.ESMC_JWT_MAX_AGE || 24 * 3600), // seconds since iat (0 = no limit)
+
+  // Diagnostics log (redacted JSON lines, collected by `esmc support-bundle`)
+  LOG_PATH: path.join(ESMC_HOME, 'logs', 'esmc.log'),
+  LOG_MAX_BYTES: 1024 * 1024, // Rotated to esmc.log.1 beyond 1 MB
 
   // Server Info
   SERVER_NAME: 'esmc-mcp-server',
   SERVER_VERSION: '3.8.0',
 
-  // Feature Tiers (synced with Vercel backend API)
-  // Tiers: FREE, PRO, MAX, VIP (standardized across SDK)
-  TIER_FEATURES: {
-    FREE: {
-      intelligence: ['PIU'],
-      colonels: ['ALPHA', 'BETA', 'GAMMA'],
-      modules: [],
-      memory: 'json',
-      maxProjects: 1,
-      maxHardware: 1,
-      redTeaming: false,
-      timeMachine: false,
-      memoryBank: false,
-      echelon: false,
-      version: 'ESMC 3.2',
-      displayName: 'FREE'
-    },
-    PRO: {
-      intelligence: ['PIU', 'DKI', 'UIP', 'PCA'],
-      colonels: ['ALPHA', 'BETA', 'GAMMA', 'DELTA', 'EPSILON', 'ZETA'],
-      modules: ['ESMC_3.2', 'ESMC_3.3', 'ESMC_3.4', 'ESMC_3.5', 'ESMC_3.7', 'ESMC_3.8'],
-      memory: 'json',
-      maxProjects: 10,
-      maxHardware: 1,
-      redTeaming: false,
-      timeMachine: true,
-      memoryBank: true,
-      echelon: true,
-      version: 'ESMC 3.7',
-      displayName: 'PRO'
-    },
-    MAX: {
-      intelligence: ['PIU', 'DKI', 'UIP', 'PCA', 'ATLAS', 'CUP', 'TBI', 'PFI'],
-      colonels: ['ALPHA', 'BETA', 'GAMMA', 'DELTA', 'EPSILON', 'ZETA', 'ETA'],
-      modules: ['ESMC_3.1', 'ESMC_3.2', 'ESMC_3.3', 'ESMC_3.4', 'ESMC_3.5', 'ESMC_3.6', 'ESMC_3.7', 'ESMC_3.8', 'ESMC_3.9', 'ESMC_3.10', 'ESMC_3.11'],
-      memory: 'mysql',
-      maxProjects: 999,
-      maxHardware: 1,
-      redTeaming: true,
-      timeMachine: true,
-      memoryBank: true,
-      echelon: true,
-      version: 'ESMC 3.11',
-      displayName: 'MAX'
-    },
-    VIP: {
-      intelligence: ['PIU', 'DKI', 'UIP', 'PCA', 'ATLAS', 'CUP', 'TBI', 'PFI'],
-      colonels: ['ALPHA', 'BETA', 'GAMMA', 'DELTA', 'EPSILON', 'ZETA', 'ETA'],
-      modules: ['ESMC_3.1', 'ESMC_3.2', 'ESMC_3.3', 'ESMC_3.4', 'ESMC_3.5', 'ESMC_3.6', 'ESMC_3.7', 'ESMC_3.8', 'ESMC_3.9', 'ESMC_3.10', 'ESMC_3.11'],
-      memory: 'mysql',
-      maxProjects: 999,
-      maxHardware: 1,
-      redTeaming: true,
-      timeMachine: true,
-      memoryBank: true,
-      echelon: true,
-      version: 'ESMC 3.11',
-      displayName: 'VIP'
-    }
-  }
+  // Feature Tiers: offline fallback for server entitlements (see core/entitlements.js)
+  TIER_FEATURES
 };
@@ -0,0 +1,217 @@
+/**
+ * ESMC SDK - Crash-safe File Writes
+ * License and credential files are replaced atomically: the new content goes
+ * to a temp file in the same directory, is fsynced, then renamed over the
+ * target. A reader sees either the old file or the new one, never a
+ * truncated mix.
+ *
+ * Writers hold <file>.lock (file-lock.js) for the duration of the write, and
+ * the previous content - if it still parses - is kept as <file>.bak. Reads
+ * that find a corrupt file restore the backup automatically.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { FILE_WRITE_LOCK_STALE_AFTER, FILE_WRITE_LOCK_TIMEOUT } = require('../config/constants.js');
+const { acquireLockSync, releaseLock, sleepSync } = require('./file-lock.js');
+
+/**
+ * File write error with a stable code
+ * code: LOCK_TIMEOUT
+ */
+class FileWriteError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'FileWriteError';
+    this.code = code;
+  }
+}
+
+function getBackupPath(filePath) {
+  return `${filePath}.bak`;
+}
+
+function getLockPath(filePath) {
+  return `${filePath}.lock`;
+}
+
+function isJSON(text) {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Make a rename durable (not supported on Windows - the rename itself is atomic)
+ */
+function fsyncDirectory(dirPath) {
+  let fd;
+  try {
+    fd = fs.openSync(dirPath, 'r');
+    fs.fsyncSync(fd);
+  } catch (error) {
+    // Directory fsync unavailable on this platform
+  } finally {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+/**
+ * Rename, retrying briefly while another process (antivirus, IDE indexer) has the target open on Windows
+ */
+function renameWithRetry(from, to) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      fs.renameSync(from, to);
+      return;
+    } catch (error) {
+      if (attempt >= 5 || !['EPERM', 'EACCES', 'EBUSY'].includes(error.code)) {
+        throw error;
+      }
+      sleepSync(50 * attempt);
+    }
+  }
+}
+
+/**
+ * Write a file atomically: temp file, fsync, rename
+ * @param {string} filePath - Target path
+ * @param {string} content - File content
+ * @param {object} [options] - { mode }
+ */
+function writeFileAtomic(filePath, content, options = {}) {
+  const dirPath = path.dirname(filePath);
+  fs.mkdirSync(dirPath, { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  let fd;
+  try {
+    fd = fs.openSync(tempPath, 'wx', options.mode || 0o644);
+    fs.writeFileSync(fd, content, 'utf8');
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fd = undefined;
+    renameWithRetry(tempPath, filePath);
+    fsyncDirectory(dirPath);
+  } catch (error) {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+    try {
+      fs.unlinkSync(tempPath);
+    } catch (cleanupError) {
+      // Temp file already renamed or never created
+    }
+    throw error;
+  }
+}
+
+/**
+ * Replace a file under its write lock, keeping the previous content as <file>.bak
+ *
+ * @param {string} filePath - Target path
+ * @param {string} content - File content
+ * @param {object} [options] - { mode, isValid(text): whether the current content is worth keeping (default: parses as JSON) }
+ * @throws {FileWriteError} - LOCK_TIMEOUT when another process keeps writing
+ */
+function writeFileSafe(filePath, content, options = {}) {
+  const isValid = options.isValid || isJSON;
+  const lockPath = getLockPath(filePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  if (!acquireLockSync(lockPath, FILE_WRITE_LOCK_STALE_AFTER, FILE_WRITE_LOCK_TIMEOUT)) {
+    throw new FileWriteError('LOCK_TIMEOUT', `Another ESMC process is writing ${path.basename(filePath)} - try again`);
+  }
+
+  try {
+    let current = null;
+    try {
+      current = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      // No previous file
+    }
+    if (current !== null && current !== content && isValid(current)) {
+      writeFileAtomic(getBackupPath(filePath), current, options);
+    }
+    writeFileAtomic(filePath, content, options);
+  } finally {
+    releaseLock(lockPath);
+  }
+}
+
+/**
+ * Read and parse a file, restoring <file>.bak when the file is corrupt
+ *
+ * @param {string} filePath - File to read
+ * @param {Function} [parse] - Parser that throws on corrupt content (default: JSON.parse)
+ * @returns {{value: *, recovered: boolean}|null} - null if the file does not exist
+ * @throws {Error} - The parse error, when no usable backup exists either
+ */
+function readFileWithRecovery(filePath, parse = JSON.parse) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  try {
+    return { value: parse(text), recovered: false };
+  } catch (parseError) {
+    const backupPath = getBackupPath(filePath);
+    let backup;
+    let value;
+    try {
+      backup = fs.readFileSync(backupPath, 'utf8');
+      value = parse(backup);
+    } catch (backupError) {
+      throw parseError;
+    }
+
+    // Put the last good copy back so other readers (BOOTSTRAP, tier-gate) see it too
+    try {
+      writeFileSafe(filePath, backup, { mode: fs.statSync(backupPath).mode & 0o777, isValid: () => false });
+    } catch (restoreError) {
+      // Still usable from memory; the next read retries the restore
+    }
+    return { value, recovered: true };
+  }
+}
+
+/**
+ * Remove a file together with its backup
+ * @returns {boolean} - True if the file itself existed
+ */
+function removeFileWithBackup(filePath) {
+  let removed = false;
+  try {
+    fs.unlinkSync(filePath);
+    removed = true;
+  } catch (error) {
+    // Already gone
+  }
+  try {
+    fs.unlinkSync(getBackupPath(filePath));
+  } catch (error) {
+    // No backup
+  }
+  return removed;
+}
+
+module.exports = {
+  writeFileAtomic,
+  writeFileSafe,
+  readFileWithRecovery,
+  removeFileWithBackup,
+  getBackupPath,
+  FileWriteError
+};
@@ -0,0 +1,34 @@
+/**
+ * ESMC SDK - Canonical JSON
+ * Deterministic serialization for signed documents: object keys sorted by
+ * UTF-16 code unit (as in RFC 8785), no whitespace, undefined members dropped.
+ * Signer and verifier must produce identical bytes regardless of key order.
+ */
+
+/**
+ * Serialize a JSON value canonically
+ * @param {*} value - Plain JSON data (objects, arrays, strings, finite numbers, booleans, null)
+ * @returns {string}
+ */
+function canonicalize(value) {
+  if (value === null || typeof value !== 'object') {
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      throw new TypeError('Cannot canonicalize a non-finite number');
+    }
+    return JSON.stringify(value);
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  const members = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+  return `{${members.join(',')}}`;
+}
+
+module.exports = {
+  canonicalize
+};
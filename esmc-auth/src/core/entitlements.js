@@ -0,0 +1,285 @@
+/**
+ * ESMC SDK - Tier Entitlements
+ * What a tier unlocks (colonels, intelligence components, modules, memory
+ * backend, project limit) is decided by the server. The validate endpoint
+ * returns `entitlements_token`, a compact JWS (typ esmc-entitlements+jws)
+ * signed with the ESMC keys:
+ *
+ *   { sub, tier, features: { intelligence, colonels, modules, memory, maxProjects, level, ... },
+ *     issuedAt, expiresAt }
+ *
+ * The token is cached as received in the profile's home (entitlements.json)
+ * and re-verified against the local JWKS on every read, so a custom or
+ * enterprise tier works without an SDK release. TIER_FEATURES (constants.js)
+ * is the fallback for the built-in tiers while no usable document is cached;
+ * an unknown tier without one gets FREE features.
+ */
+
+const path = require('path');
+const { TIER_FEATURES, ENTITLEMENTS_FILENAME, ENTITLEMENTS_MAX_AGE } = require('../config/constants.js');
+const { getProfilePaths } = require('./profiles.js');
+const { writeFileSafe, readFileWithRecovery, removeFileWithBackup } = require('./atomic-file.js');
+const { checkClock } = require('./trusted-clock.js');
+
+const TOKEN_TYPE = 'esmc-entitlements+jws';
+
+const TIER_NAME_PATTERN = /^[A-Z][A-Z0-9_]{0,31}$/;
+
+// Known feature keys and their types; unknown keys are kept (server-side feature flags)
+const FEATURE_TYPES = {
+  intelligence: 'string[]',
+  colonels: 'string[]',
+  modules: 'string[]',
+  memory: 'string',
+  maxProjects: 'integer',
+  maxHardware: 'integer',
+  redTeaming: 'boolean',
+  timeMachine: 'boolean',
+  memoryBank: 'boolean',
+  echelon: 'boolean',
+  version: 'string',
+  displayName: 'string',
+  level: 'integer',
+  brain: 'string'
+};
+
+/**
+ * Entitlements error with a stable code
+ * code: MALFORMED | SIGNATURE_INVALID | KEY_NOT_FOUND | INVALID
+ */
+class EntitlementsError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'EntitlementsError';
+    this.code = code;
+  }
+}
+
+/**
+ * Cache file for a profile (~/.esmc/entitlements.json for the default profile)
+ */
+function getEntitlementsPath(profile) {
+  return path.join(getProfilePaths(profile).home, ENTITLEMENTS_FILENAME);
+}
+
+function decodeToken(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new EntitlementsError('MALFORMED', 'Entitlements token is not a compact JWS');
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new EntitlementsError('MALFORMED', 'Entitlements token header or payload is not JSON');
+  }
+  if (header.typ !== TOKEN_TYPE) {
+    throw new EntitlementsError('MALFORMED', `Unexpected token type ${JSON.stringify(header.typ)} (expected ${TOKEN_TYPE})`);
+  }
+
+  return { header, payload, signingInput: Buffer.from(`${parts[0]}.${parts[1]}`), signature: Buffer.from(parts[2], 'base64url') };
+}
+
+function checkSignature(decoded, key) {
+  const { verifySignature, ALGORITHM_KEY_TYPES } = require('../auth/jwks.js');
+  if (!Object.hasOwn(ALGORITHM_KEY_TYPES, decoded.header.alg)) {
+    throw new EntitlementsError('SIGNATURE_INVALID', `Unsupported signature algorithm: ${decoded.header.alg}`);
+  }
+  if (!verifySignature(decoded.header.alg, decoded.signingInput, key, decoded.signature)) {
+    throw new EntitlementsError('SIGNATURE_INVALID', 'Entitlements do not match the server signature');
+  }
+}
+
+function featureTypeError(type, value) {
+  switch (type) {
+    case 'string[]':
+      return Array.isArray(value) && value.every(item => typeof item === 'string') ? null : 'must be an array of strings';
+    case 'integer':
+      return Number.isInteger(value) && value >= 0 ? null : 'must be a non-negative integer';
+    default:
+      return typeof value === type ? null : `must be a ${type}`;
+  }
+}
+
+/**
+ * Check an entitlements payload
+ * @returns {string[]} - Problems (empty when valid)
+ */
+function validateEntitlements(payload) {
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    return ['(root): must be a JSON object'];
+  }
+
+  const errors = [];
+  if (typeof payload.tier !== 'string' || !TIER_NAME_PATTERN.test(payload.tier)) {
+    errors.push(`tier: must be an upper-case tier name (got ${JSON.stringify(payload.tier)})`);
+  }
+  if (Number.isNaN(Date.parse(payload.issuedAt))) {
+    errors.push('issuedAt: must be an ISO 8601 date');
+  }
+  if (payload.expiresAt !== undefined && payload.expiresAt !== null && Number.isNaN(Date.parse(payload.expiresAt))) {
+    errors.push('expiresAt: must be an ISO 8601 date');
+  }
+  if (payload.features === null || typeof payload.features !== 'object' || Array.isArray(payload.features)) {
+    errors.push('features: must be an object');
+    return errors;
+  }
+
+  for (const [name, type] of Object.entries(FEATURE_TYPES)) {
+    if (payload.features[name] !== undefined) {
+      const message = featureTypeError(type, payload.features[name]);
+      if (message) {
+        errors.push(`features.${name}: ${message}`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Server features, completed with FREE defaults for anything the document leaves out
+ */
+function toEntitlements(payload) {
+  return {
+    tier: payload.tier,
+    features: { ...TIER_FEATURES.FREE, displayName: payload.tier, brain: null, ...payload.features },
+    source: 'server',
+    issuedAt: payload.issuedAt,
+    expiresAt: payload.expiresAt || null,
+    reason: null
+  };
+}
+
+/**
+ * Verify and cache the entitlements document from the validate endpoint
+ *
+ * @param {string} token - entitlements_token (compact JWS)
+ * @param {object} [options] - { userId: must match the document's `sub`, profile }
+ * @returns {Promise<object>} - Entitlements ({ tier, features, source: 'server', issuedAt, expiresAt })
+ * @throws {EntitlementsError}
+ */
+async function saveEntitlementsToken(token, options = {}) {
+  const { getVerificationKey } = require('../auth/jwks.js');
+  const decoded = decodeToken(token);
+
+  let key;
+  try {
+    ({ key } = await getVerificationKey(decoded.header));
+  } catch (error) {
+    throw new EntitlementsError(error.code === 'KEY_NOT_FOUND' ? 'KEY_NOT_FOUND' : 'SIGNATURE_INVALID', error.message);
+  }
+  checkSignature(decoded, key);
+
+  const errors = validateEntitlements(decoded.payload);
+  if (options.userId && decoded.payload.sub !== options.userId) {
+    errors.push(`sub: issued for another account (${decoded.payload.sub})`);
+  }
+  if (errors.length > 0) {
+    throw new EntitlementsError('INVALID', `Entitlements rejected: ${errors.join('; ')}`);
+  }
+
+  writeFileSafe(getEntitlementsPath(options.profile), JSON.stringify({
+    token,
+    savedAt: new Date().toISOString()
+  }, null, 2), { mode: 0o600 });
+
+  return toEntitlements(decoded.payload);
+}
+
+/**
+ * Read the cached document and verify it without touching the network
+ *
+ * @param {object} [options] - { profile }
+ * @returns {{entitlements: object|null, sub: string|null, reason: string|null}}
+ *   reason: why the cache is unusable (null when missing or valid)
+ */
+function loadCachedEntitlements(options = {}) {
+  const { getLocalVerificationKey } = require('../auth/jwks.js');
+  let decoded;
+  try {
+    const file = readFileWithRecovery(getEntitlementsPath(options.profile));
+    if (!file) {
+      return { entitlements: null, sub: null, reason: null };
+    }
+    decoded = decodeToken(file.value.token);
+    checkSignature(decoded, getLocalVerificationKey(decoded.header).key);
+  } catch (error) {
+    return { entitlements: null, sub: null, reason: `Cached entitlements unusable: ${error.message}` };
+  }
+
+  const { payload } = decoded;
+  const errors = validateEntitlements(payload);
+  if (errors.length > 0) {
+    return { entitlements: null, sub: null, reason: `Cached entitlements invalid: ${errors.join('; ')}` };
+  }
+
+  const clock = checkClock([payload.issuedAt]);
+  if (clock.state === 'rollback') {
+    return { entitlements: null, sub: payload.sub || null, reason: clock.message };
+  }
+  const maxAgeEnd = Date.parse(payload.issuedAt) + ENTITLEMENTS_MAX_AGE;
+  const expiresAt = payload.expiresAt ? Math.min(Date.parse(payload.expiresAt), maxAgeEnd) : maxAgeEnd;
+  if (clock.now >= expiresAt) {
+    return { entitlements: null, sub: payload.sub || null, reason: `Cached entitlements expired (issued ${payload.issuedAt}) - validate online to renew them` };
+  }
+
+  return { entitlements: toEntitlements(payload), sub: payload.sub || null, reason: null };
+}
+
+/**
+ * Entitlements for a tier: the cached server document when it covers this
+ * tier and account, otherwise the built-in TIER_FEATURES
+ *
+ * @param {string} tier - Current tier
+ * @param {object} [options] - { userId, profile }
+ * @returns {{tier: string, features: object, source: 'server'|'fallback', issuedAt: string|null,
+ *   expiresAt: string|null, reason: string|null}}
+ *   reason: why the fallback was used (null for a built-in tier without a cached document)
+ */
+function resolveEntitlements(tier, options = {}) {
+  const cached = loadCachedEntitlements(options);
+  let reason = cached.reason;
+
+  if (cached.entitlements) {
+    if (options.userId && cached.sub && cached.sub !== options.userId) {
+      reason = 'Cached entitlements belong to another account';
+    } else if (cached.entitlements.tier !== tier) {
+      reason = `Cached entitlements are for the ${cached.entitlements.tier} tier`;
+    } else {
+      return cached.entitlements;
+    }
+  }
+
+  const builtIn = Object.hasOwn(TIER_FEATURES, tier);
+  return {
+    tier,
+    features: builtIn ? TIER_FEATURES[tier] : TIER_FEATURES.FREE,
+    source: 'fallback',
+    issuedAt: null,
+    expiresAt: null,
+    reason: builtIn
+      ? reason
+      : `No server entitlements for the ${tier} tier - FREE features until validated online${reason ? ` (${reason})` : ''}`
+  };
+}
+
+/**
+ * Remove the cached document (logout)
+ * @returns {boolean} - True if a cache file existed
+ */
+function clearEntitlements(profile) {
+  return removeFileWithBackup(getEntitlementsPath(profile));
+}
+
+module.exports = {
+  saveEntitlementsToken,
+  loadCachedEntitlements,
+  resolveEntitlements,
+  clearEntitlements,
+  getEntitlementsPath,
+  validateEntitlements,
+  EntitlementsError
+};
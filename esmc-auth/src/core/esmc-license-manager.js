@@ -5,12 +5,50 @@
  * 1. Writing plaintext license files (from Dashboard/CLI after login)
  * 2. Reading plaintext license files (from tier-gate for validation)
  * 3. License validation and tier detection with Guardian Blessing protection
+ *
+ * Signed licenses: the server sends the license body as a compact JWS over its
+ * canonical JSON (`license_token`). The file keeps the body in plaintext (the
+ * BOOTSTRAP quick-check reads it directly) plus a detached JWS signature, which
+ * is verified offline against the locally held ESMC keys on every read.
+ * Unsigned legacy files are only accepted with ESMC_ALLOW_UNSIGNED_LICENSE=1.
+ *
+ * Every read checks the file against the schema of its `version`
+ * (license-schema.js). Older unsigned files are migrated in place, keeping a
+ * backup; signed files are migrated in memory only - the server re-signs them
+ * in the current shape at the next login or token refresh.
  */
 
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { ALLOW_UNSIGNED_LICENSE } = require('../config/constants.js');
+const { canonicalize } = require('./canonical-json.js');
+const {
+  CURRENT_LICENSE_VERSION,
+  validateLicenseData,
+  migrateLicenseData,
+  formatSchemaErrors
+} = require('./license-schema.js');
+const { logEvent } = require('./logger.js');
+const { writeFileSafe, readFileWithRecovery, removeFileWithBackup } = require('./atomic-file.js');
+const { getExpiryState } = require('./subscription-expiry.js');
+const { checkClock } = require('./trusted-clock.js');
+
+/**
+ * License error with a stable code
+ * code: MALFORMED | NOT_CANONICAL | SIGNATURE_INVALID | UNSIGNED | INVALID
+ */
+class LicenseError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'LicenseError';
+    this.code = code;
+  }
+}
+
+// Written locally next to the signed body - not covered by the signature
+const UNSIGNED_LICENSE_FIELDS = ['version', 'mode', 'signature', 'blessing', 'vercelChecksum', 'lastValidated'];
 
 // ============================================================================
 // CONFIGURATION
@@ -25,14 +63,13 @@ const os = require('os');
 // ============================================================================
 
 /**
- * Auto-detect project root by walking up from module location
- * Pattern copied from AEGIS Core (aegis-core.js:findProjectRoot)
- * Finds project root containing .claude/memory/ directory
+ * Resolve project root without touching the file system (used by `esmc doctor`)
+ * Walks up from module location looking for .claude/memory/, then .claude/
  *
- * @returns {string} Absolute path to project root
- * @throws {Error} If .claude/memory/ not found in parent directories
+ * @returns {{root: string, reason: string, needsMemoryDir: boolean}}
+ *   reason: 'memory-dir' | 'claude-dir' | 'cwd-fallback'
  */
-function findProjectRoot() {
+function explainProjectRoot() {
   let current = __dirname;
   let bestCandidate = null;
 
@@ -43,7 +80,7 @@ function findProjectRoot() {
 
     if (fs.existsSync(memoryPath)) {
       // Found .claude/memory/ - this is project root
-      return current;
+      return { root: current, reason: 'memory-dir', needsMemoryDir: false };
     }
 
     // Check if .claude/ exists without memory/ (SDK extract scenario)
@@ -54,30 +91,38 @@ function findProjectRoot() {
     current = path.dirname(current);
   }
 
-  // FALLBACK 1: Found .claude/ without memory/ - create memory/ directory
+  // FALLBACK 1: Found .claude/ without memory/
   if (bestCandidate) {
-    const claudePath = path.join(bestCandidate, '.claude');
-    const memoryPath = path.join(claudePath, 'memory');
-
-    // Create memory/ directory for fresh SDK extract
-    if (!fs.existsSync(memoryPath)) {
-      fs.mkdirSync(memoryPath, { recursive: true });
-      console.log('[License Manager] Created .claude/memory/ directory for first-run initialization');
-    }
-
-    return bestCandidate;
+    return { root: bestCandidate, reason: 'claude-dir', needsMemoryDir: true };
   }
 
   // FALLBACK 2: No .claude/ found anywhere - use current working directory
-  const cwdClaudePath = path.join(process.cwd(), '.claude');
-  const cwdMemoryPath = path.join(cwdClaudePath, 'memory');
+  return {
+    root: process.cwd(),
+    reason: 'cwd-fallback',
+    needsMemoryDir: !fs.existsSync(path.join(process.cwd(), '.claude', 'memory'))
+  };
+}
 
-  if (!fs.existsSync(cwdMemoryPath)) {
-    fs.mkdirSync(cwdMemoryPath, { recursive: true });
-    console.log('[License Manager] Created .claude/memory/ in current working directory');
+/**
+ * Auto-detect project root by walking up from module location
+ * Pattern copied from AEGIS Core (aegis-core.js:findProjectRoot)
+ * Finds project root containing .claude/memory/ directory
+ *
+ * @returns {string} Absolute path to project root
+ */
+function findProjectRoot() {
+  const { root, reason, needsMemoryDir } = explainProjectRoot();
+
+  if (needsMemoryDir) {
+    // Create memory/ directory for fresh SDK extract (or cwd fallback)
+    fs.mkdirSync(path.join(root, '.claude', 'memory'), { recursive: true });
+    console.log(reason === 'claude-dir'
+      ? '[License Manager] Created .claude/memory/ directory for first-run initialization'
+      : '[License Manager] Created .claude/memory/ in current working directory');
   }
 
-  return process.cwd();
+  return root;
 }
 
 const LICENSE_CONFIG = {
@@ -88,20 +133,32 @@ const LICENSE_CONFIG = {
   // ESMC 3.65: Fixed filename (no obfuscation - BOOTSTRAP needs to find it quickly)
   LICENSE_FILENAME: '.esmc-license.json',
 
-  // License version (ESMC 3.65 Plaintext Evolution)
-  VERSION: '3.65.0'
+  // License file version (schemas and migrations: license-schema.js)
+  VERSION: CURRENT_LICENSE_VERSION
 };
 
 // ============================================================================
 // LICENSE FILE PATH (ESMC 3.65: Fixed location)
 // ============================================================================
 
+/**
+ * Get the project's license directory ({PROJECT_ROOT}/.claude)
+ * @returns {string}
+ */
+function getLicenseDir() {
+  return LICENSE_CONFIG.LICENSE_DIR;
+}
+
 /**
  * Get full license file path (ESMC 3.65: Fixed location for BOOTSTRAP quick-check)
+ * Non-default profiles use .esmc-license.<profile>.json alongside the default file
+ *
+ * @param {string} [profileName] - Profile (default: active profile)
  * @returns {string} - Full path to license file (.claude/.esmc-license.json)
  */
-function getLicenseFilePath() {
-  return path.join(LICENSE_CONFIG.LICENSE_DIR, LICENSE_CONFIG.LICENSE_FILENAME);
+function getLicenseFilePath(profileName) {
+  const { getProfilePaths } = require('./profiles.js');
+  return path.join(LICENSE_CONFIG.LICENSE_DIR, getProfilePaths(profileName).licenseFilename);
 }
 
 // ============================================================================
@@ -110,6 +167,7 @@ function getLicenseFilePath() {
 
 /**
  * Create plaintext license data object
+ * Single source of the current license shape (LICENSE_SCHEMAS[CURRENT_LICENSE_VERSION])
  * @param {object} userData - User data from authentication
  * @returns {object} - Plaintext license data structure
  */
@@ -129,7 +187,11 @@ function createLicenseData(userData) {
     subscriptionEndDate: userData.subscriptionEndDate || null,  // ✅ Standardized field name
 
     // Machine binding (ESMC 3.61: compositeDeviceId from dual-layer binding)
-    compositeDeviceId: userData.compositeDeviceId,
+    compositeDeviceId: userData.compositeDeviceId || null,
+
+    // Entitlements (5.0.0)
+    features: userData.features || [],
+    maxDevices: userData.maxDevices || null, // null: not limited by the license file
 
     // ESMC 3.61: Guardian Blessing Token (CRITICAL - tamper protection)
     blessing: userData.blessing || null,
@@ -143,6 +205,95 @@ function createLicenseData(userData) {
   };
 }
 
+/**
+ * Body covered by the license signature (every field except UNSIGNED_LICENSE_FIELDS)
+ * Fields added to the file later are part of the body - and break the signature.
+ */
+function getSignedBody(licenseData) {
+  const body = { ...licenseData };
+  for (const field of UNSIGNED_LICENSE_FIELDS) {
+    delete body[field];
+  }
+  return body;
+}
+
+/**
+ * Verify a license file's detached JWS offline
+ * @param {object} licenseData - Parsed license file with a `signature`
+ * @returns {{verified: boolean, code: string|null, reason: string|null}}
+ *   code: SIGNATURE_INVALID | KEY_NOT_FOUND (no local key to check it with)
+ */
+function verifyLicenseSignature(licenseData) {
+  const { getLocalVerificationKey, verifySignature, ALGORITHM_KEY_TYPES } = require('../auth/jwks.js');
+  const parts = String(licenseData.signature).split('.');
+  if (parts.length !== 3 || parts[1] !== '') {
+    return { verified: false, code: 'SIGNATURE_INVALID', reason: 'Malformed signature (expected a detached JWS)' };
+  }
+
+  let header;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+  } catch (error) {
+    return { verified: false, code: 'SIGNATURE_INVALID', reason: 'Malformed signature header' };
+  }
+  if (!Object.hasOwn(ALGORITHM_KEY_TYPES, header.alg)) {
+    return { verified: false, code: 'SIGNATURE_INVALID', reason: `Unsupported signature algorithm: ${header.alg}` };
+  }
+
+  let key;
+  try {
+    ({ key } = getLocalVerificationKey(header));
+  } catch (error) {
+    return { verified: false, code: error.code === 'KEY_NOT_FOUND' ? 'KEY_NOT_FOUND' : 'SIGNATURE_INVALID', reason: error.message };
+  }
+
+  const payload = Buffer.from(canonicalize(getSignedBody(licenseData))).toString('base64url');
+  const verified = verifySignature(header.alg, Buffer.from(`${parts[0]}.${payload}`), key, Buffer.from(parts[2], 'base64url'));
+  return verified
+    ? { verified: true, code: null, reason: null }
+    : { verified: false, code: 'SIGNATURE_INVALID', reason: 'License contents do not match the server signature' };
+}
+
+/**
+ * Build a signed license from the server's license token
+ * @param {object} userData - { licenseToken, blessing, vercelChecksum }
+ * @returns {object} - License data (signature verified)
+ * @throws {LicenseError}
+ */
+function createSignedLicenseData(userData) {
+  const parts = String(userData.licenseToken).split('.');
+  if (parts.length !== 3) {
+    throw new LicenseError('MALFORMED', 'License token is not a compact JWS');
+  }
+
+  let body;
+  const payload = Buffer.from(parts[1], 'base64url').toString('utf8');
+  try {
+    body = JSON.parse(payload);
+  } catch (error) {
+    throw new LicenseError('MALFORMED', 'License token payload is not JSON');
+  }
+  if (canonicalize(body) !== payload) {
+    throw new LicenseError('NOT_CANONICAL', 'License token payload is not canonical JSON - cannot be verified offline');
+  }
+
+  const licenseData = {
+    version: LICENSE_CONFIG.VERSION,
+    mode: 'signed',
+    ...getSignedBody(body),
+    blessing: userData.blessing || null,
+    vercelChecksum: userData.vercelChecksum || null,
+    lastValidated: new Date().toISOString(),
+    signature: `${parts[0]}..${parts[2]}`
+  };
+
+  const { verified, reason } = verifyLicenseSignature(licenseData);
+  if (!verified) {
+    throw new LicenseError('SIGNATURE_INVALID', `License token rejected: ${reason}`);
+  }
+  return licenseData;
+}
+
 // ============================================================================
 // PLAINTEXT LICENSE FILE I/O (ESMC 3.65: No encryption)
 // ============================================================================
@@ -150,18 +301,51 @@ function createLicenseData(userData) {
 // ============================================================================
 
 /**
- * Write plaintext license file (ESMC 3.65)
+ * Take (or confirm) this project's slot in the project registry
+ * Only the project limit fails the write: a read-only home directory must not break login.
+ * @throws {ProjectRegistryError} - LIMIT_REACHED
+ */
+function activateLicensedProject(licenseData) {
+  const { getActiveProfile } = require('./profiles.js');
+  const { activateProject, getProjectLimit } = require('./project-registry.js');
+  const profile = getActiveProfile().name;
+  try {
+    activateProject(LICENSE_CONFIG.LICENSE_DIR, profile, {
+      maxProjects: getProjectLimit(licenseData.tier, { userId: licenseData.userId, profile }),
+      tier: licenseData.tier
+    });
+  } catch (error) {
+    if (error.code === 'LIMIT_REACHED') {
+      throw error;
+    }
+    console.error('⚠️ Project registry not updated:', error.message);
+  }
+}
+
+/**
+ * Write license file (signed when the server sent a license token)
  * Called by login-standalone.js after successful authentication
- * @param {object} userData - User data from authentication
- * @returns {object} - Result with success status and file path
+ * @param {object} userData - User data from authentication ({ licenseToken, blessing, vercelChecksum, ... })
+ * @returns {object} - Result with success status and file path ({ success: false, error, code } on failure;
+ *   code: UNSIGNED | INVALID | SIGNATURE_INVALID | ... from LicenseError)
  */
 function writeLicenseFile(userData) {
   try {
-    const licenseData = createLicenseData(userData);
+    if (!userData.licenseToken && !ALLOW_UNSIGNED_LICENSE) {
+      throw new LicenseError('UNSIGNED', 'Server did not send a signed license');
+    }
+    const licenseData = userData.licenseToken ? createSignedLicenseData(userData) : createLicenseData(userData);
+    const errors = validateLicenseData(licenseData);
+    if (errors.length > 0) {
+      throw new LicenseError('INVALID', `License data does not match the ${LICENSE_CONFIG.VERSION} schema: ${formatSchemaErrors(errors)}`);
+    }
     const filePath = getLicenseFilePath();
 
-    // Write plaintext JSON to fixed location
-    fs.writeFileSync(filePath, JSON.stringify(licenseData, null, 2), 'utf8');
+    // Activate the project first: it must fit within the tier's maxProjects (logout also finds it there)
+    activateLicensedProject(licenseData);
+
+    // Write plaintext JSON to fixed location (atomic, previous license kept as .bak)
+    writeFileSafe(filePath, JSON.stringify(licenseData, null, 2));
 
     // Silent success - details shown in login script
     // Removed security layer details to prevent exposing ESMC internals
@@ -177,49 +361,145 @@ function writeLicenseFile(userData) {
     console.error('❌ License file creation failed:', error.message);
     return {
       success: false,
-      error: error.message
+      error: error.message,
+      code: error.code || null
     };
   }
 }
 
 /**
- * Read plaintext license file (ESMC 3.65)
- * Called by tier-gate, BOOTSTRAP quick-check, and validation layers
- * @returns {object|null} - License data or null if not found/invalid
+ * Inspect the license file without logging
+ *
+ * States:
+ *   valid         signature verified (or unsigned in compatibility mode), not expired
+ *   missing       no license file - not logged in
+ *   tampered      unreadable (and no good .bak), or contents do not match the server signature
+ *   unsigned      legacy file without signature (rejected unless ESMC_ALLOW_UNSIGNED_LICENSE=1)
+ *   unverifiable  no local ESMC key to check the signature with (log in online once)
+ *   invalid       unsupported version, or fields that do not match the version's schema
+ *   rollback      system clock set back behind the last trusted time (trusted-clock.js) - re-validate online
+ *   grace         authentic, subscription ended but still within the grace period (paid tier kept)
+ *   expired       authentic, subscription ended and grace period over
+ *
+ * `data` is migrated to the current version; `migratedFrom` names the
+ * version found in the file (null when already current). `recovered` is set
+ * when a corrupt file was replaced by its last good backup. `expiry` is the
+ * subscription-expiry state of an authentic file (null otherwise), measured
+ * against the trusted clock (`clock`). The Guardian blessing is not checked
+ * here: the state rests on the license JWS (see verifyBlessingToken).
+ *
+ * @param {object} [options] - { profile: whose license file (default: active profile),
+ *   persistClock: advance the trusted-clock mark (runtime reads only, see readLicenseFile) }
+ * @returns {{state: string, reason: string|null, signed: boolean, data: object|null, expiry: object|null, clock: object|null,
+ *   errors: object[], migratedFrom: string|null, recovered: boolean, filePath: string}}
  */
-function readLicenseFile() {
+function inspectLicense(options = {}) {
+  const filePath = getLicenseFilePath(options.profile);
+  let recovered = false;
+  const result = (state, reason, data = null, signed = false, extra = {}) => ({
+    state, reason, signed, data, expiry: null, clock: null, errors: [], migratedFrom: null, recovered, filePath, ...extra
+  });
+
+  let licenseData;
   try {
-    const filePath = getLicenseFilePath();
-
-    // Check if file exists
-    if (!fs.existsSync(filePath)) {
-      console.log('⚠️  No license file found - user not logged in');
-      return null;
+    const read = readFileWithRecovery(filePath);
+    if (!read) {
+      return result('missing', 'No license file found');
     }
+    licenseData = read.value;
+    recovered = read.recovered;
+  } catch (error) {
+    return result('tampered', `License file is not valid JSON: ${error.message}`);
+  }
 
-    // Read plaintext JSON
-    const licenseData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-
-    // Check expiry
-    if (licenseData.subscriptionEndDate) {
-      const expiryDate = new Date(licenseData.subscriptionEndDate);
-      const now = new Date();
-
-      if (now > expiryDate) {
-        console.warn('⚠️  License expired:', expiryDate.toISOString());
-        return {
-          ...licenseData,
-          tier: 'FREE', // Downgrade to FREE if expired
-          subscriptionStatus: 'expired'
-        };
-      }
+  const signed = !!licenseData.signature;
+  if (!signed && !ALLOW_UNSIGNED_LICENSE) {
+    return result('unsigned', 'License file is not signed (legacy login)', licenseData);
+  }
+  if (signed) {
+    const { verified, code, reason } = verifyLicenseSignature(licenseData);
+    if (!verified) {
+      return result(code === 'KEY_NOT_FOUND' ? 'unverifiable' : 'tampered', reason, licenseData, true);
     }
+  }
+
+  // Validate the file against the schema of its version, then upgrade it
+  let migrated;
+  try {
+    migrated = migrateLicenseData(licenseData);
+  } catch (error) {
+    return result('invalid', error.message, licenseData, signed, { errors: [{ field: 'version', message: error.message }] });
+  }
+  const fileErrors = validateLicenseData(licenseData);
+  if (fileErrors.length > 0) {
+    return result('invalid', formatSchemaErrors(fileErrors), licenseData, signed, { errors: fileErrors });
+  }
+  const data = migrated.data;
+  // issuedAt is in the signed body; lastValidated and the blessing are not (UNSIGNED_LICENSE_FIELDS)
+  const clock = checkClock([data.issuedAt], { persist: options.persistClock === true });
+  if (clock.state === 'rollback') {
+    return result('rollback', clock.message, data, signed, { migratedFrom: migrated.from, clock });
+  }
+  const expiry = getExpiryState(data.subscriptionEndDate, { now: clock.now });
+  const extra = { migratedFrom: migrated.from, expiry, clock };
+
+  if (expiry.state === 'expired' || expiry.state === 'grace') {
+    return result(expiry.state, expiry.message, data, signed, extra);
+  }
 
-    return licenseData;
+  return result('valid', null, data, signed, extra);
+}
 
+/**
+ * Write a migrated unsigned license back, keeping the original as <file>.v<version>.bak
+ * Failures only cost the in-place upgrade: the migrated data is still used.
+ */
+function persistMigratedLicense(filePath, data, fromVersion) {
+  const backupPath = `${filePath}.v${fromVersion}.bak`;
+  try {
+    fs.copyFileSync(filePath, backupPath);
+    writeFileSafe(filePath, JSON.stringify(data, null, 2));
+    console.log(`🔄 License file migrated ${fromVersion} → ${data.version} (backup: ${path.basename(backupPath)})`);
+    logEvent('license.migrated', { from: fromVersion, to: data.version });
   } catch (error) {
-    console.error('❌ License file read failed:', error.message);
-    return null;
+    console.error('⚠️ License file not migrated:', error.message);
+  }
+}
+
+/**
+ * Read license file (ESMC 3.65, signature verified offline)
+ * Called by tier-gate, BOOTSTRAP quick-check, and validation layers
+ * @returns {object|null} - License data (tier FREE once the grace period is over) or null if missing, tampered or unsigned
+ */
+function readLicenseFile() {
+  const { state, reason, signed, data, migratedFrom, recovered, filePath } = inspectLicense({ persistClock: true });
+
+  if (recovered) {
+    console.warn('♻️  License file was corrupt - restored the last good copy');
+  }
+  if (migratedFrom && !signed && ['valid', 'grace', 'expired'].includes(state)) {
+    persistMigratedLicense(filePath, data, migratedFrom);
+  }
+
+  switch (state) {
+    case 'valid':
+      return data;
+    case 'missing':
+      console.log('⚠️  No license file found - user not logged in');
+      return null;
+    case 'grace':
+      console.warn(`⚠️  ${reason}`);
+      return { ...data, subscriptionStatus: 'grace' };
+    case 'expired':
+      console.warn('⚠️  License expired:', data.subscriptionEndDate);
+      return {
+        ...data,
+        tier: 'FREE', // Downgrade to FREE if expired
+        subscriptionStatus: 'expired'
+      };
+    default:
+      console.error(`❌ License rejected (${state}): ${reason}`);
+      return null;
   }
 }
 
@@ -232,8 +512,7 @@ function deleteLicenseFile() {
   try {
     const filePath = getLicenseFilePath();
 
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
+    if (removeFileWithBackup(filePath)) {
       console.log('✅ License file deleted successfully');
       return true;
     }
@@ -265,24 +544,35 @@ function updateLicenseFile(userData) {
  * @returns {object} - Validation result with tier information
  */
 function validateLicense() {
-  const licenseData = readLicenseFile();
+  const { state, reason, signed, data, expiry } = inspectLicense();
 
-  if (!licenseData) {
+  if (!['valid', 'grace', 'expired'].includes(state)) {
     return {
       valid: false,
+      state,
       tier: 'FREE',
-      reason: 'No license file found'
+      reason
     };
   }
 
+  const licenseData = state === 'valid' ? data : {
+    ...data,
+    tier: expiry.paidTierActive ? data.tier : 'FREE',
+    subscriptionStatus: state
+  };
+
   return {
     valid: true,
+    state,
+    signed,
+    expiry,
     tier: licenseData.tier,
     email: licenseData.email,
     userId: licenseData.userId,
     subscriptionStatus: licenseData.subscriptionStatus,
     subscriptionEndDate: licenseData.subscriptionEndDate,
     features: licenseData.features,
+    maxDevices: licenseData.maxDevices,
     issuedAt: licenseData.issuedAt,
     lastValidated: licenseData.lastValidated
   };
@@ -301,31 +591,127 @@ function getLicenseInfo() {
 // ============================================================================
 
 /**
- * @param {object} blessing - Guardian Blessing Token from license
- * @returns {boolean} - True if valid, false otherwise
+ * Structure problem of a blessing, or null when every required field is present
  */
-function verifyBlessingToken(blessing) {
+function getBlessingStructureError(blessing) {
+  const { ALGORITHM_KEY_TYPES } = require('../auth/jwks.js');
   if (!blessing || !blessing.signature) {
-    console.error('[Blessing Validation] Missing blessing or signature');
-    return false;
+    return 'Missing blessing or signature';
   }
-
-  // Check required fields
   if (!blessing.tier || !blessing.expiresAt || !blessing.compositeDeviceId) {
-    console.error('[Blessing Validation] Missing required blessing fields');
-    return false;
+    return 'Missing required blessing fields';
+  }
+  if (!Object.hasOwn(ALGORITHM_KEY_TYPES, blessing.alg)) {
+    return `Unsupported signature algorithm: ${blessing.alg || 'none'}`;
+  }
+  return null;
+}
+
+/**
+ * Run the blessing checks (shared by verifyBlessing and verifyBlessingToken)
+ *
+ * @param {object} blessing - Guardian Blessing Token
+ * @param {object|null} license - License body to match, or null to skip the tier and device checks
+ * @param {Function} resolveKey - () => crypto.KeyObject for the blessing's kid/alg (throws when there is none)
+ * @returns {{valid: boolean, reason: string|null, checks: Array<{name: string, passed: boolean, reason: string|null}>}}
+ */
+function checkBlessing(blessing, license, resolveKey) {
+  const { verifySignature } = require('../auth/jwks.js');
+  const { canonicalize } = require('./canonical-json.js');
+  const checks = [];
+  const check = (name, passed, reason) => checks.push({ name, passed, reason: passed ? null : reason });
+  const result = () => {
+    const failed = checks.find(item => !item.passed);
+    return { valid: !failed, reason: failed ? `${failed.name}: ${failed.reason}` : null, checks };
+  };
+
+  const structureError = getBlessingStructureError(blessing);
+  check('structure', !structureError, structureError);
+  if (structureError) {
+    return result();
   }
 
-  // Check expiry
   const expiryDate = new Date(blessing.expiresAt);
-  const now = new Date();
+  const clock = checkClock([blessing.issuedAt]);
+  if (isNaN(expiryDate.getTime())) {
+    check('expiry', false, 'Invalid blessing expiry date');
+  } else if (clock.state === 'rollback') {
+    check('expiry', false, clock.message);
+  } else {
+    check('expiry', clock.now <= expiryDate.getTime(), `Blessing expired at ${expiryDate.toISOString()}`);
+  }
+
+  try {
+    const { signature, ...signed } = blessing;
+    const verified = verifySignature(blessing.alg, Buffer.from(canonicalize(signed)), resolveKey(), Buffer.from(signature, 'base64url'));
+    check('signature', verified, 'Signature does not match the ESMC key set - blessing forged or modified');
+  } catch (error) {
+    check('signature', false, error.message);
+  }
+
+  if (license) {
+    check('tier', blessing.tier === license.tier, `Blessing is for ${blessing.tier}, license says ${license.tier || 'none'}`);
+    check('device', blessing.compositeDeviceId === license.compositeDeviceId, 'Blessing is bound to a different device');
+  }
+
+  return result();
+}
+
+/**
+ * Verify a Guardian Blessing Token against the server key set and the license body
+ * The signature covers the canonical JSON of every blessing field except
+ * `signature` (kid and alg included), made with a key published in the ESMC JWKS.
+ *
+ * Checks: structure, expiry, signature, tier, device - a failed structure
+ * check stops verification; the others are all reported. The key may be
+ * fetched online (login, esmc doctor).
+ *
+ * @param {object} blessing - Guardian Blessing Token from license
+ * @param {object} license - License body the blessing must match ({ tier, compositeDeviceId })
+ * @returns {Promise<{valid: boolean, reason: string|null, checks: Array<{name: string, passed: boolean, reason: string|null}>}>}
+ */
+async function verifyBlessing(blessing, license) {
+  const { getVerificationKey } = require('../auth/jwks.js');
+  let lookup = { error: null, key: null };
+  if (!getBlessingStructureError(blessing)) {
+    try {
+      ({ key: lookup.key } = await getVerificationKey({ kid: blessing.kid, alg: blessing.alg }));
+    } catch (error) {
+      lookup.error = error;
+    }
+  }
+
+  return checkBlessing(blessing, license || {}, () => {
+    if (lookup.error) {
+      throw lookup.error;
+    }
+    return lookup.key;
+  });
+}
+
+/**
+ * Verify a Guardian Blessing Token offline (signature checked against the local key set)
+ * Called by tier-gate, BOOTSTRAP quick-check, and validation layers
+ *
+ * Note: readLicenseFile() does not call this - the blessing is not part of the
+ * signed license body (UNSIGNED_LICENSE_FIELDS), so the tier read from a license
+ * relies on the license JWS alone. Code that trusts the blessing itself must verify it here.
+ *
+ * @param {object} blessing - Guardian Blessing Token from license
+ * @param {object} [license] - License body the blessing must match ({ tier, compositeDeviceId });
+ *   without it only structure, expiry and signature are checked
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function verifyBlessingToken(blessing, license = null) {
+  const { getLocalVerificationKey } = require('../auth/jwks.js');
+  const result = checkBlessing(blessing, license, () => getLocalVerificationKey({ kid: blessing.kid, alg: blessing.alg }).key);
 
-  if (now > expiryDate) {
-    console.error('[Blessing Validation] Blessing token expired');
+  if (!result.valid) {
+    console.error(`[Blessing Validation] ${result.reason}`);
     return false;
   }
 
-  console.log('[Blessing Validation] ✅ Structure valid, signature present');
+  console.log('[Blessing Validation] ✅ Signature verified');
   return true;
 }
 
@@ -390,15 +776,21 @@ module.exports = {
 
   // Read operations (for tier-gate, BOOTSTRAP, validation layers)
   readLicenseFile,
+  inspectLicense,
   validateLicense,
   getLicenseInfo,
 
   // ESMC 3.65: Validation layers
+  verifyBlessing,
   verifyBlessingToken,
+  verifyLicenseSignature,
   validateVercelChecksum,
 
   // Utilities
   getLicenseFilePath,
+  getLicenseDir,
+  explainProjectRoot,
+  LicenseError,
 
   // For testing
   _test: {
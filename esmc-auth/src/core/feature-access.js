@@ -0,0 +1,234 @@
+/**
+ * ESMC SDK - Feature Access
+ * Feature names understood by TierManager.can() and `esmc features`:
+ *
+ *   colonel:<NAME>        in the tier's colonels        (colonel:DELTA)
+ *   intelligence:<NAME>   intelligence components       (intelligence:ATLAS)
+ *   module:<NAME>         modules                       (module:ESMC_3.9)
+ *   <list>:<NAME>         any other list the server's entitlements define
+ *   memory:<backend>      memory backend                (memory:mysql)
+ *   tier:<TIER>           tier level at least <TIER>    (tier:MAX)
+ *   projects, hardware    quotas (maxProjects, maxHardware): room for one more?
+ *   <flag>                boolean features              (redTeaming, timeMachine, ...)
+ *
+ * Everything here works on a plain feature set (a TIER_FEATURES entry or
+ * server entitlements), so tiers can be compared without a session.
+ * List items, memory backends and tier names match case-insensitively
+ * (colonel:delta is colonel:DELTA); names no tier knows are rejected by
+ * normalizeFeature().
+ */
+
+const { TIER_FEATURES } = require('../config/constants.js');
+
+// Feature prefix → feature set key
+const LIST_FEATURES = {
+  colonel: 'colonels',
+  intelligence: 'intelligence',
+  module: 'modules'
+};
+
+// Quota name → feature set key
+const QUOTA_FEATURES = {
+  projects: 'maxProjects',
+  hardware: 'maxHardware'
+};
+
+// Bookkeeping keys, not features
+const INTERNAL_KEYS = new Set(['displayName', 'level', 'brain']);
+
+/**
+ * Feature error with a stable code
+ * code: UNKNOWN_FEATURE
+ */
+class FeatureAccessError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'FeatureAccessError';
+    this.code = code;
+  }
+}
+
+function sameName(a, b) {
+  return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Split a feature name
+ * @returns {{kind: 'list'|'memory'|'tier'|'quota'|'flag', key: string, value: string|null}}
+ */
+function parseFeature(feature) {
+  const separator = feature.indexOf(':');
+  if (separator === -1) {
+    const quota = feature.toLowerCase();
+    return Object.hasOwn(QUOTA_FEATURES, quota)
+      ? { kind: 'quota', key: QUOTA_FEATURES[quota], value: null }
+      : { kind: 'flag', key: feature, value: null };
+  }
+
+  const prefix = feature.slice(0, separator).toLowerCase();
+  const value = feature.slice(separator + 1);
+  if (prefix === 'memory' || prefix === 'tier') {
+    return { kind: prefix, key: prefix, value };
+  }
+  return { kind: 'list', key: Object.hasOwn(LIST_FEATURES, prefix) ? LIST_FEATURES[prefix] : prefix, value };
+}
+
+/**
+ * Check a feature against a feature set
+ *
+ * @param {object} features - Feature set
+ * @param {string} feature - Feature name
+ * @param {object} [options] - { tier: tier name (tier:<custom>), used: current count (quotas) }
+ * @returns {{granted: boolean, limit: number|null, used: number|null}}
+ */
+function checkFeature(features, feature, options = {}) {
+  const { kind, key, value } = parseFeature(feature);
+  const result = { granted: false, limit: null, used: null };
+
+  switch (kind) {
+    case 'list':
+      result.granted = Array.isArray(features[key]) && features[key].some(item => sameName(item, value));
+      break;
+    case 'memory':
+      result.granted = sameName(features.memory, value);
+      break;
+    case 'tier': {
+      // Custom tiers are only comparable with themselves
+      const tier = value.toUpperCase();
+      result.granted = Object.hasOwn(TIER_FEATURES, tier)
+        ? (features.level || 0) >= TIER_FEATURES[tier].level
+        : sameName(options.tier, tier);
+      break;
+    }
+    case 'quota':
+      result.limit = Number.isInteger(features[key]) ? features[key] : null;
+      result.used = options.used || 0;
+      result.granted = result.limit !== null && result.used < result.limit;
+      break;
+    default:
+      result.granted = features[key] === true;
+  }
+  return result;
+}
+
+/**
+ * Canonical spelling of a feature name known to the built-in tiers or the given feature sets
+ *
+ * @param {string} feature - Feature name as typed (any case)
+ * @param {object[]} [featureSets] - Further sets that define features (server entitlements)
+ * @returns {string} - e.g. 'colonel:delta' → 'colonel:DELTA', 'redteaming' → 'redTeaming'
+ * @throws {FeatureAccessError} - UNKNOWN_FEATURE
+ */
+function normalizeFeature(feature, featureSets = []) {
+  const sets = [...Object.values(TIER_FEATURES), ...featureSets.filter(Boolean)];
+  const name = String(feature).trim();
+  const { kind, key, value } = parseFeature(name);
+  const find = (values, wanted) => values.find(candidate => sameName(candidate, wanted));
+  let canonical = null;
+
+  switch (kind) {
+    case 'quota':
+      canonical = name.toLowerCase();
+      break;
+    case 'list': {
+      const items = sets.flatMap(set => (Array.isArray(set[key]) ? set[key] : []));
+      const item = find(items, value);
+      canonical = item ? `${name.slice(0, name.indexOf(':')).toLowerCase()}:${item}` : null;
+      break;
+    }
+    case 'memory': {
+      const backend = find(sets.map(set => set.memory), value);
+      canonical = backend ? `memory:${backend}` : null;
+      break;
+    }
+    case 'tier': {
+      const tier = find([...Object.keys(TIER_FEATURES), ...sets.map(set => set.displayName)], value);
+      canonical = tier ? `tier:${tier.toUpperCase()}` : null;
+      break;
+    }
+    default: {
+      const flags = sets.flatMap(set => Object.keys(set).filter(flag => typeof set[flag] === 'boolean' && !INTERNAL_KEYS.has(flag)));
+      canonical = find(flags, key) || null;
+    }
+  }
+
+  if (!canonical) {
+    throw new FeatureAccessError(
+      'UNKNOWN_FEATURE',
+      `Unknown feature: ${name} (e.g. colonel:DELTA, intelligence:ATLAS, module:ESMC_3.9, memory:mysql, tier:MAX, projects, redTeaming - see: esmc features)`
+    );
+  }
+  return canonical;
+}
+
+/**
+ * Lowest built-in tier that grants a feature
+ * @param {string} feature - Feature name
+ * @param {object} [options] - { used } for quotas
+ * @returns {string|null} - Tier name, or null when no built-in tier grants it
+ */
+function getMinimumTier(feature, options = {}) {
+  const tiers = Object.entries(TIER_FEATURES).sort(([, a], [, b]) => a.level - b.level);
+  const match = tiers.find(([tier, features]) => checkFeature(features, feature, { ...options, tier }).granted);
+  return match ? match[0] : null;
+}
+
+function listPrefix(key) {
+  const prefix = Object.keys(LIST_FEATURES).find(name => LIST_FEATURES[name] === key);
+  return prefix || key;
+}
+
+/**
+ * Feature matrix of two feature sets, one row per feature
+ *
+ * @param {object} from - Feature set (e.g. current tier)
+ * @param {object} to - Feature set to compare with
+ * @returns {{feature: string, from: *, to: *, change: 'added'|'removed'|'changed'|'same'}[]}
+ *   from/to: booleans for list items and flags, the value itself for memory, quotas and other settings
+ */
+function diffFeatures(from, to) {
+  const rows = [];
+  const keys = [...new Set([...Object.keys(from), ...Object.keys(to)])].filter(key => !INTERNAL_KEYS.has(key));
+
+  for (const key of keys) {
+    const left = from[key];
+    const right = to[key];
+
+    if (Array.isArray(left) || Array.isArray(right)) {
+      const items = [...new Set([...(Array.isArray(left) ? left : []), ...(Array.isArray(right) ? right : [])])];
+      for (const item of items) {
+        rows.push({
+          feature: `${listPrefix(key)}:${item}`,
+          from: Array.isArray(left) && left.includes(item),
+          to: Array.isArray(right) && right.includes(item)
+        });
+      }
+    } else if (typeof left === 'boolean' || typeof right === 'boolean') {
+      rows.push({ feature: key, from: left === true, to: right === true });
+    } else {
+      const quota = Object.keys(QUOTA_FEATURES).find(name => QUOTA_FEATURES[name] === key);
+      rows.push({ feature: quota || key, from: left === undefined ? null : left, to: right === undefined ? null : right });
+    }
+  }
+
+  return rows.map((row) => {
+    let change = 'same';
+    if (row.from !== row.to) {
+      if (typeof row.from === 'boolean') {
+        change = row.to ? 'added' : 'removed';
+      } else {
+        change = 'changed';
+      }
+    }
+    return { ...row, change };
+  });
+}
+
+module.exports = {
+  parseFeature,
+  normalizeFeature,
+  checkFeature,
+  getMinimumTier,
+  diffFeatures,
+  FeatureAccessError
+};
@@ -0,0 +1,247 @@
+/**
+ * ESMC SDK - Cross-process File Locks
+ * A lock is a JSON file ({ pid, token, startedAt }) created exclusively; it is
+ * considered stale once its process has exited or it is older than staleAfter.
+ * `token` is random per process, so a lock left by an earlier process that
+ * had the same pid (containers reuse pids) is stale too.
+ *
+ * A stale lock is only replaced under a short takeover guard (<lock>.takeover),
+ * after checking again that it is still the same stale lock: two processes
+ * that find it stale at the same time cannot both take it.
+ *
+ * Used for the login lock (one login at a time), the token refresh lock
+ * (one process renews the access token, the others wait and reread) and the
+ * short per-file write locks around license and credential writes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Identifies this process's locks (pid alone may belong to an earlier process)
+const PROCESS_TOKEN = crypto.randomBytes(8).toString('hex');
+
+// A takeover guard older than this was left by a crashed process
+const TAKEOVER_STALE_AFTER = 10 * 1000;
+
+/**
+ * Check whether a process id is still running
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Read the holder of a lock
+ * @returns {{pid: number, token: string, startedAt: string}|null} - null if the lock is free or unreadable
+ */
+function readLock(lockPath) {
+  try {
+    return parseLock(fs.readFileSync(lockPath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseLock(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether this process holds a lock (as read from its file)
+ */
+function isOwnLock(lock) {
+  return !!lock && lock.pid === process.pid && lock.token === PROCESS_TOKEN;
+}
+
+/**
+ * Whether a lock's holder is gone or has held it too long
+ * @param {object|null} lock - Lock file contents (null/unreadable counts as stale)
+ * @param {number} staleAfter - Milliseconds after which a live holder's lock is ignored
+ */
+function isStaleLock(lock, staleAfter) {
+  if (!lock || !lock.pid) {
+    return true;
+  }
+  if (lock.pid === process.pid) {
+    // Our pid but not our token: an earlier process with the same pid
+    return !isOwnLock(lock);
+  }
+  const age = Date.now() - new Date(lock.startedAt || 0).getTime();
+  return !isProcessAlive(lock.pid) || age >= staleAfter;
+}
+
+function isFreshFile(filePath) {
+  try {
+    return Date.now() - fs.statSync(filePath).mtimeMs < 1000;
+  } catch (error) {
+    return false;
+  }
+}
+
+function createLockFile(lockPath) {
+  const lock = { pid: process.pid, token: PROCESS_TOKEN, startedAt: new Date().toISOString() };
+  try {
+    fs.writeFileSync(lockPath, JSON.stringify(lock), { flag: 'wx', mode: 0o600 });
+    return true;
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+    return false;
+  }
+}
+
+/**
+ * Remove a stale lock, unless another process is already doing so
+ * Under the takeover guard the lock is read again: it is only removed if it
+ * is still the stale lock seen before (not a fresh lock taken meanwhile).
+ *
+ * @param {string} lockPath - Lock file path
+ * @param {string} staleText - Lock file contents judged stale
+ * @param {number} staleAfter - Milliseconds after which a live holder's lock is ignored
+ */
+function removeStaleLock(lockPath, staleText, staleAfter) {
+  const guardPath = `${lockPath}.takeover`;
+  if (!createLockFile(guardPath)) {
+    // Another process is taking over; clear its guard only if it crashed doing so
+    if (isStaleLock(readLock(guardPath), TAKEOVER_STALE_AFTER) && !isFreshFile(guardPath)) {
+      try {
+        fs.unlinkSync(guardPath);
+      } catch (error) {
+        // Already removed
+      }
+    }
+    return;
+  }
+
+  try {
+    let currentText = null;
+    try {
+      currentText = fs.readFileSync(lockPath, 'utf8');
+    } catch (error) {
+      return; // Released in the meantime
+    }
+    if (currentText === staleText && isStaleLock(parseLock(currentText), staleAfter)) {
+      fs.unlinkSync(lockPath);
+    }
+  } finally {
+    releaseLock(guardPath);
+  }
+}
+
+/**
+ * Try to take a lock; stale locks are replaced
+ * A lock this process already holds is not taken again (acquired: false).
+ *
+ * @param {string} lockPath - Lock file path
+ * @param {number} staleAfter - Milliseconds after which a live holder's lock is ignored
+ * @returns {{acquired: boolean, holder: object|null}} - holder: the live process keeping the lock (null if not known yet)
+ */
+function acquireLock(lockPath, staleAfter) {
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+
+  if (createLockFile(lockPath)) {
+    return { acquired: true, holder: null };
+  }
+
+  let text = null;
+  try {
+    text = fs.readFileSync(lockPath, 'utf8');
+  } catch (error) {
+    // Released between the create and the read - fall through to a new attempt
+  }
+  const existing = text === null ? null : parseLock(text);
+  if (text !== null && !isStaleLock(existing, staleAfter)) {
+    return { acquired: false, holder: existing };
+  }
+  if (text !== null && !existing && isFreshFile(lockPath)) {
+    // Just created, contents not written yet
+    return { acquired: false, holder: null };
+  }
+
+  if (text !== null) {
+    removeStaleLock(lockPath, text, staleAfter);
+  }
+  return createLockFile(lockPath)
+    ? { acquired: true, holder: null }
+    : { acquired: false, holder: readLock(lockPath) };
+}
+
+/**
+ * Release a lock if this process holds it
+ */
+function releaseLock(lockPath) {
+  if (isOwnLock(readLock(lockPath))) {
+    try {
+      fs.unlinkSync(lockPath);
+    } catch (error) {
+      // Lock already gone
+    }
+  }
+}
+
+/**
+ * Block the thread without spinning (for synchronous callers)
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Take a lock, waiting synchronously while another process holds it
+ * For short critical sections called from synchronous code (file writes).
+ *
+ * @param {string} lockPath - Lock file path
+ * @param {number} staleAfter - Milliseconds after which a live holder's lock is ignored
+ * @param {number} timeout - Milliseconds to wait at most
+ * @returns {boolean} - True if the lock was acquired within the timeout
+ */
+function acquireLockSync(lockPath, staleAfter, timeout) {
+  const deadline = Date.now() + timeout;
+  while (!acquireLock(lockPath, staleAfter).acquired) {
+    if (Date.now() >= deadline) {
+      return false;
+    }
+    sleepSync(50);
+  }
+  return true;
+}
+
+/**
+ * Wait until a lock is free (released or stale) without taking it
+ *
+ * @param {string} lockPath - Lock file path
+ * @param {number} staleAfter - Milliseconds after which a live holder's lock is ignored
+ * @param {number} timeout - Milliseconds to wait at most
+ * @returns {Promise<boolean>} - True if the lock became free within the timeout
+ */
+async function waitForLock(lockPath, staleAfter, timeout) {
+  const deadline = Date.now() + timeout;
+
+  while (Date.now() < deadline) {
+    if (!fs.existsSync(lockPath) || isStaleLock(readLock(lockPath), staleAfter)) {
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  return false;
+}
+
+module.exports = {
+  acquireLock,
+  acquireLockSync,
+  releaseLock,
+  waitForLock,
+  isProcessAlive,
+  sleepSync
+};
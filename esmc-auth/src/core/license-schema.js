@@ -0,0 +1,209 @@
+/**
+ * ESMC SDK - License File Schema
+ * Field schema for every license file `version` and the migration chain that
+ * upgrades older files to the current version.
+ *
+ *   3.61.0  compositeDeviceId (dual-layer binding), Guardian blessing
+ *   3.65.0  plaintext/signed `mode`, vercelChecksum, detached `signature`
+ *   5.0.0   features, maxDevices
+ *
+ * createLicenseData() (esmc-license-manager.js) builds the current shape;
+ * LICENSE_SCHEMAS[CURRENT_LICENSE_VERSION] must list the same fields.
+ * Unknown fields are ignored so the server can add to the signed body.
+ * `tier` is any upper-case tier name: custom and enterprise tiers are defined
+ * by the server's entitlements (entitlements.js), not by this SDK.
+ */
+
+const CURRENT_LICENSE_VERSION = '5.0.0';
+
+/**
+ * License schema error with a stable code
+ * code: UNKNOWN_VERSION | NEWER_VERSION
+ */
+class LicenseSchemaError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'LicenseSchemaError';
+    this.code = code;
+  }
+}
+
+// Field specs: { type: 'string'|'date'|'integer'|'object'|'array', required, nullable, enum, pattern, items, min }
+const FIELDS_3_61 = {
+  version: { type: 'string', required: true },
+  email: { type: 'string', required: true },
+  userId: { type: 'string', required: true },
+  displayName: { type: 'string', required: true },
+  tier: { type: 'string', required: true, pattern: /^[A-Z][A-Z0-9_]{0,31}$/ },
+  subscriptionStatus: { type: 'string', required: true, enum: ['active', 'expired', 'cancelled'] },
+  subscriptionEndDate: { type: 'date', nullable: true },
+  compositeDeviceId: { type: 'string', nullable: true },
+  blessing: { type: 'object', nullable: true },
+  issuedAt: { type: 'date', required: true },
+  lastValidated: { type: 'date', required: true }
+};
+
+const FIELDS_3_65 = {
+  ...FIELDS_3_61,
+  mode: { type: 'string', required: true, enum: ['plaintext', 'signed'] },
+  vercelChecksum: { type: 'string', nullable: true },
+  signature: { type: 'string' }
+};
+
+const FIELDS_5_0 = {
+  ...FIELDS_3_65,
+  compositeDeviceId: { type: 'string', required: true, nullable: true },
+  features: { type: 'array', required: true, items: 'string' },
+  maxDevices: { type: 'integer', required: true, nullable: true, min: 1 }
+};
+
+const LICENSE_SCHEMAS = {
+  '3.61.0': FIELDS_3_61,
+  '3.65.0': FIELDS_3_65,
+  '5.0.0': FIELDS_5_0
+};
+
+// Add missing fields only - existing values are never rewritten
+function withDefaults(data, defaults) {
+  const result = { ...data };
+  for (const [field, value] of Object.entries(defaults)) {
+    if (result[field] === undefined) {
+      result[field] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Migration chain, oldest first; each step upgrades `from` to `to`
+ */
+const MIGRATIONS = [
+  {
+    from: '3.61.0',
+    to: '3.65.0',
+    migrate: data => withDefaults(data, { mode: 'plaintext', vercelChecksum: null })
+  },
+  {
+    from: '3.65.0',
+    to: '5.0.0',
+    migrate: data => withDefaults(data, { compositeDeviceId: null, features: [], maxDevices: null })
+  }
+];
+
+function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+function typeError(spec, value) {
+  switch (spec.type) {
+    case 'string':
+      return typeof value === 'string' ? null : 'must be a string';
+    case 'date':
+      return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? null : 'must be an ISO 8601 date';
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        return 'must be an integer';
+      }
+      return spec.min !== undefined && value < spec.min ? `must be at least ${spec.min}` : null;
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+    case 'array':
+      if (!Array.isArray(value)) {
+        return 'must be an array';
+      }
+      return spec.items && value.some(item => typeof item !== spec.items) ? `must contain only ${spec.items} values` : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check license data against the schema of its own version
+ * @param {object} data - Parsed license file
+ * @returns {{field: string, message: string}[]} - Field errors (empty when valid)
+ */
+function validateLicenseData(data) {
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return [{ field: '(root)', message: 'must be a JSON object' }];
+  }
+
+  const schema = Object.hasOwn(LICENSE_SCHEMAS, data.version) ? LICENSE_SCHEMAS[data.version] : null;
+  if (!schema) {
+    return [{ field: 'version', message: `unsupported license version ${JSON.stringify(data.version)}` }];
+  }
+
+  const errors = [];
+  for (const [field, spec] of Object.entries(schema)) {
+    const value = data[field];
+    if (value === undefined) {
+      if (spec.required) {
+        errors.push({ field, message: 'is required' });
+      }
+      continue;
+    }
+    if (value === null) {
+      if (!spec.nullable) {
+        errors.push({ field, message: 'must not be null' });
+      }
+      continue;
+    }
+
+    const message = typeError(spec, value);
+    if (message) {
+      errors.push({ field, message });
+    } else if (spec.enum && !spec.enum.includes(value)) {
+      errors.push({ field, message: `must be one of ${spec.enum.join(', ')} (got ${JSON.stringify(value)})` });
+    } else if (spec.pattern && !spec.pattern.test(value)) {
+      errors.push({ field, message: `must match ${spec.pattern} (got ${JSON.stringify(value)})` });
+    }
+  }
+  return errors;
+}
+
+/**
+ * One-line summary of field errors ("tier: is required; maxDevices: must be an integer")
+ */
+function formatSchemaErrors(errors) {
+  return errors.map(error => `${error.field}: ${error.message}`).join('; ');
+}
+
+/**
+ * Upgrade license data to CURRENT_LICENSE_VERSION
+ * @param {object} data - Parsed license file
+ * @returns {{data: object, from: string|null}} - Upgraded copy; `from` is null when already current
+ * @throws {LicenseSchemaError} - UNKNOWN_VERSION | NEWER_VERSION
+ */
+function migrateLicenseData(data) {
+  const version = data && data.version;
+  if (!Object.hasOwn(LICENSE_SCHEMAS, version)) {
+    if (typeof version === 'string' && /^\d+(\.\d+)*$/.test(version) && compareVersions(version, CURRENT_LICENSE_VERSION) > 0) {
+      throw new LicenseSchemaError('NEWER_VERSION', `License version ${version} was written by a newer ESMC SDK (this SDK reads up to ${CURRENT_LICENSE_VERSION})`);
+    }
+    throw new LicenseSchemaError('UNKNOWN_VERSION', `Unsupported license version ${JSON.stringify(version)}`);
+  }
+
+  let migrated = data;
+  for (const step of MIGRATIONS) {
+    if (migrated.version === step.from) {
+      migrated = { ...step.migrate(migrated), version: step.to };
+    }
+  }
+  return { data: migrated, from: version === CURRENT_LICENSE_VERSION ? null : version };
+}
+
+module.exports = {
+  CURRENT_LICENSE_VERSION,
+  LICENSE_SCHEMAS,
+  validateLicenseData,
+  migrateLicenseData,
+  formatSchemaErrors,
+  LicenseSchemaError
+};
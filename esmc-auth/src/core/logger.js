@@ -0,0 +1,70 @@
+/**
+ * ESMC SDK - Diagnostics Log
+ * Appends redacted JSON lines to ~/.esmc/logs/esmc.log for support bundles
+ *
+ * Logging never throws: a read-only home directory must not break login or status.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LOG_PATH, LOG_MAX_BYTES } = require('../config/constants.js');
+const { redact } = require('./redact.js');
+
+/**
+ * Rotate esmc.log → esmc.log.1 once it grows past LOG_MAX_BYTES
+ */
+function rotateIfNeeded() {
+  try {
+    if (fs.statSync(LOG_PATH).size > LOG_MAX_BYTES) {
+      fs.renameSync(LOG_PATH, `${LOG_PATH}.1`);
+    }
+  } catch (error) {
+    // No log yet
+  }
+}
+
+/**
+ * Record an event
+ * @param {string} event - Event name (e.g. 'cli.command', 'login.success')
+ * @param {object} details - Event details (redacted before writing)
+ */
+function logEvent(event, details = {}) {
+  try {
+    fs.mkdirSync(path.dirname(LOG_PATH), { recursive: true });
+    rotateIfNeeded();
+    const entry = redact({ at: new Date().toISOString(), event, ...details });
+    fs.appendFileSync(LOG_PATH, JSON.stringify(entry) + '\n', 'utf8');
+  } catch (error) {
+    // Logging is best-effort
+  }
+}
+
+/**
+ * Read the most recent log entries (rotated file included)
+ * @param {number} limit - Maximum number of entries
+ * @returns {object[]} - Parsed entries, oldest first
+ */
+function readRecentLogEntries(limit = 200) {
+  const lines = [];
+
+  for (const file of [`${LOG_PATH}.1`, LOG_PATH]) {
+    try {
+      lines.push(...fs.readFileSync(file, 'utf8').split('\n').filter(Boolean));
+    } catch (error) {
+      // Missing file
+    }
+  }
+
+  return lines.slice(-limit).map((line) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      return { raw: line };
+    }
+  });
+}
+
+module.exports = {
+  logEvent,
+  readRecentLogEntries
+};
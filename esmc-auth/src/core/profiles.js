@@ -0,0 +1,228 @@
+/**
+ * ESMC SDK - Profiles
+ * Named identities (e.g. personal and work accounts) side by side on one machine
+ *
+ * Active profile resolution (first match wins):
+ *   1. --profile <name>            (setActiveProfile, CLI and scripts)
+ *   2. ESMC_PROFILE                (environment)
+ *   3. .claude/.esmc-profile.json  (per-project pin)
+ *   4. ~/.esmc/config.json         (defaultProfile)
+ *   5. 'default'
+ *
+ * The default profile keeps the original locations so existing installs are unaffected:
+ *   default → ~/.esmc/credentials.json, .claude/.esmc-license.json
+ *   work    → ~/.esmc/profiles/work/credentials.json, .claude/.esmc-license.work.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  ESMC_HOME,
+  CREDENTIALS_PATH,
+  PORTABLE_CREDENTIALS_PATH,
+  PROFILES_DIR,
+  CONFIG_PATH,
+  DEFAULT_PROFILE,
+  PROFILE_PIN_FILENAME
+} = require('../config/constants.js');
+
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+// Set by --profile; wins over every other source
+let profileOverride = null;
+
+/**
+ * Profile error with a stable code
+ * code: INVALID_PROFILE | CONFIG_UNREADABLE
+ */
+class ProfileError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ProfileError';
+    this.code = code;
+  }
+}
+
+/**
+ * Validate a profile name (also used as a directory and file name component)
+ * @returns {string} - The name, unchanged
+ * @throws {ProfileError} - INVALID_PROFILE
+ */
+function validateProfileName(name) {
+  if (typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name)) {
+    throw new ProfileError(
+      'INVALID_PROFILE',
+      `Invalid profile name "${name}" (letters, digits, "-" and "_", up to 32 characters)`
+    );
+  }
+  return name;
+}
+
+function readJSONFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new ProfileError('CONFIG_UNREADABLE', `${filePath} is not valid JSON: ${error.message}`);
+  }
+}
+
+function writeJSONFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+}
+
+/**
+ * Per-project pin file (.claude/.esmc-profile.json, next to the license file)
+ */
+function getProfilePinPath() {
+  const { getLicenseDir } = require('./esmc-license-manager.js');
+  return path.join(getLicenseDir(), PROFILE_PIN_FILENAME);
+}
+
+function readConfig() {
+  return readJSONFile(CONFIG_PATH) || {};
+}
+
+/**
+ * Resolve the active profile
+ * @returns {{name: string, source: 'flag'|'env'|'project'|'config'|'default'}}
+ */
+function getActiveProfile() {
+  if (profileOverride) {
+    return { name: profileOverride, source: 'flag' };
+  }
+  if (process.env.ESMC_PROFILE) {
+    return { name: validateProfileName(process.env.ESMC_PROFILE), source: 'env' };
+  }
+
+  const pin = readJSONFile(getProfilePinPath());
+  if (pin && pin.profile) {
+    return { name: validateProfileName(pin.profile), source: 'project' };
+  }
+
+  const config = readConfig();
+  if (config.defaultProfile) {
+    return { name: validateProfileName(config.defaultProfile), source: 'config' };
+  }
+
+  return { name: DEFAULT_PROFILE, source: 'default' };
+}
+
+/**
+ * Select a profile for this process (--profile)
+ * @param {string|null} name - Profile name, or null to clear the override
+ */
+function setActiveProfile(name) {
+  profileOverride = name === null ? null : validateProfileName(name);
+}
+
+/**
+ * Storage locations for a profile
+ * @param {string} [name] - Profile name (default: active profile)
+ * @returns {{name: string, home: string, credentialsPath: string, portableCredentialsPath: string, licenseFilename: string}}
+ */
+function getProfilePaths(name = getActiveProfile().name) {
+  if (name === DEFAULT_PROFILE) {
+    return {
+      name,
+      home: ESMC_HOME,
+      credentialsPath: CREDENTIALS_PATH,
+      portableCredentialsPath: PORTABLE_CREDENTIALS_PATH,
+      licenseFilename: '.esmc-license.json'
+    };
+  }
+
+  validateProfileName(name);
+  const home = path.join(PROFILES_DIR, name);
+  return {
+    name,
+    home,
+    credentialsPath: path.join(home, 'credentials.json'),
+    portableCredentialsPath: path.join(home, 'credentials.portable.json'),
+    licenseFilename: `.esmc-license.${name}.json`
+  };
+}
+
+/**
+ * Every known profile: default, ~/.esmc/profiles/* and project license files
+ * @returns {string[]} - Sorted profile names ('default' first)
+ */
+function listProfiles() {
+  const { getLicenseDir } = require('./esmc-license-manager.js');
+  const names = new Set([DEFAULT_PROFILE]);
+
+  if (fs.existsSync(PROFILES_DIR)) {
+    for (const entry of fs.readdirSync(PROFILES_DIR, { withFileTypes: true })) {
+      if (entry.isDirectory() && PROFILE_NAME_PATTERN.test(entry.name)) {
+        names.add(entry.name);
+      }
+    }
+  }
+
+  const licenseDir = getLicenseDir();
+  if (fs.existsSync(licenseDir)) {
+    for (const file of fs.readdirSync(licenseDir)) {
+      const match = /^\.esmc-license\.(.+)\.json$/.exec(file);
+      if (match && PROFILE_NAME_PATTERN.test(match[1])) {
+        names.add(match[1]);
+      }
+    }
+  }
+
+  const configured = readConfig().defaultProfile;
+  if (configured) {
+    names.add(configured);
+  }
+
+  return [DEFAULT_PROFILE, ...[...names].filter(name => name !== DEFAULT_PROFILE).sort()];
+}
+
+/**
+ * Set the machine-wide default profile (~/.esmc/config.json)
+ */
+function setDefaultProfile(name) {
+  const config = readConfig();
+  config.defaultProfile = validateProfileName(name);
+  writeJSONFile(CONFIG_PATH, config);
+  fs.mkdirSync(getProfilePaths(name).home, { recursive: true });
+}
+
+/**
+ * Pin this project to a profile (.claude/.esmc-profile.json)
+ * @returns {string} - Pin file path
+ */
+function pinProjectProfile(name) {
+  const pinPath = getProfilePinPath();
+  writeJSONFile(pinPath, { profile: validateProfileName(name) });
+  fs.mkdirSync(getProfilePaths(name).home, { recursive: true });
+  return pinPath;
+}
+
+/**
+ * Remove the project pin
+ * @returns {boolean} - True if a pin was removed
+ */
+function unpinProjectProfile() {
+  const pinPath = getProfilePinPath();
+  if (fs.existsSync(pinPath)) {
+    fs.unlinkSync(pinPath);
+    return true;
+  }
+  return false;
+}
+
+module.exports = {
+  getActiveProfile,
+  setActiveProfile,
+  getProfilePaths,
+  listProfiles,
+  setDefaultProfile,
+  pinProjectProfile,
+  unpinProjectProfile,
+  getProfilePinPath,
+  validateProfileName,
+  ProfileError
+};
@@ -0,0 +1,337 @@
+/**
+ * ESMC SDK - Project Registry
+ * Project roots activated on this machine, per profile (~/.esmc/projects.json).
+ * A profile holds at most its tier's maxProjects projects; logout uses the
+ * registry to remove the license file from every one of them.
+ *
+ * Format: { version: 3, projects: [{ root, licenseDir, profiles: [{ name, activatedAt }], lastSeenAt }] }
+ * (version 2 kept one activatedAt per project and profile names only; version 1
+ * entries also had no root and called activatedAt registeredAt)
+ *
+ * A project is within the limit while it is among the profile's first
+ * maxProjects projects by the time that profile activated them, so after a
+ * downgrade the newest projects lose their slot first. Entries whose project
+ * directory no longer exists are pruned whenever the registry is read for a
+ * decision.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  PROJECTS_REGISTRY_PATH,
+  TIER_FEATURES,
+  FILE_WRITE_LOCK_STALE_AFTER,
+  FILE_WRITE_LOCK_TIMEOUT
+} = require('../config/constants.js');
+const { writeFileAtomic } = require('./atomic-file.js');
+const { acquireLockSync, releaseLock } = require('./file-lock.js');
+const { resolveEntitlements } = require('./entitlements.js');
+
+const REGISTRY_VERSION = 3;
+
+/**
+ * Project registry error with a stable code
+ * code: LIMIT_REACHED | NOT_FOUND | LOCK_TIMEOUT
+ */
+class ProjectRegistryError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ProjectRegistryError';
+    this.code = code;
+  }
+}
+
+function normalizeEntry(entry) {
+  // Versions 1 and 2: one activation time shared by every profile
+  const activatedAt = entry.activatedAt || entry.registeredAt || null;
+  const profiles = Array.isArray(entry.profiles) ? entry.profiles : [];
+  return {
+    root: entry.root || path.dirname(entry.licenseDir),
+    licenseDir: entry.licenseDir,
+    profiles: profiles
+      .map(activation => (typeof activation === 'string' ? { name: activation, activatedAt } : activation))
+      .filter(activation => activation && typeof activation.name === 'string'),
+    lastSeenAt: entry.lastSeenAt || null
+  };
+}
+
+/**
+ * When a profile activated a project: { name, activatedAt }, or undefined
+ */
+function getActivation(entry, profile) {
+  return entry.profiles.find(activation => activation.name === profile);
+}
+
+function readRegistry() {
+  try {
+    const registry = JSON.parse(fs.readFileSync(PROJECTS_REGISTRY_PATH, 'utf8'));
+    const projects = Array.isArray(registry.projects) ? registry.projects : [];
+    return {
+      version: REGISTRY_VERSION,
+      projects: projects.filter(entry => entry && typeof entry.licenseDir === 'string').map(normalizeEntry)
+    };
+  } catch (error) {
+    return { version: REGISTRY_VERSION, projects: [] };
+  }
+}
+
+function isStale(entry) {
+  return !fs.existsSync(entry.root);
+}
+
+/**
+ * Read, change and write the registry under its lock (stale entries are pruned first)
+ * @param {Function} change - (registry, pruned) => result; mutates registry.projects
+ * @returns {*} - What change returned
+ * @throws {ProjectRegistryError} - LOCK_TIMEOUT
+ */
+function updateRegistry(change) {
+  const lockPath = `${PROJECTS_REGISTRY_PATH}.lock`;
+  fs.mkdirSync(path.dirname(PROJECTS_REGISTRY_PATH), { recursive: true });
+  if (!acquireLockSync(lockPath, FILE_WRITE_LOCK_STALE_AFTER, FILE_WRITE_LOCK_TIMEOUT)) {
+    throw new ProjectRegistryError('LOCK_TIMEOUT', 'Another ESMC process is updating the project registry - try again');
+  }
+
+  try {
+    const registry = readRegistry();
+    const before = JSON.stringify(registry);
+    const pruned = registry.projects.filter(isStale);
+    registry.projects = registry.projects.filter(entry => !pruned.includes(entry));
+
+    const result = change(registry, pruned);
+    if (JSON.stringify(registry) !== before || !fs.existsSync(PROJECTS_REGISTRY_PATH)) {
+      writeFileAtomic(PROJECTS_REGISTRY_PATH, JSON.stringify(registry, null, 2), { mode: 0o600 });
+    }
+    return result;
+  } finally {
+    releaseLock(lockPath);
+  }
+}
+
+/**
+ * A profile's projects, oldest activation by that profile first
+ */
+function profileProjects(registry, profile) {
+  const activatedAt = entry => String(getActivation(entry, profile).activatedAt);
+  return registry.projects
+    .filter(entry => getActivation(entry, profile))
+    .sort((a, b) => activatedAt(a).localeCompare(activatedAt(b)));
+}
+
+/**
+ * Project .claude directory for a path given by the user (project root or its .claude directory)
+ */
+function toLicenseDir(projectPath) {
+  const resolved = path.resolve(projectPath);
+  return path.basename(resolved) === '.claude' ? resolved : path.join(resolved, '.claude');
+}
+
+/**
+ * maxProjects for a tier, from the server's entitlements or TIER_FEATURES
+ * @param {string} tier - Tier name
+ * @param {object} [options] - { userId, profile } (see entitlements.js)
+ * @returns {number|null} - null when unknown (custom tier not validated online yet - the server decides)
+ */
+function getProjectLimit(tier, options = {}) {
+  const entitlements = resolveEntitlements(tier, options);
+  if (entitlements.source !== 'server' && !Object.hasOwn(TIER_FEATURES, tier)) {
+    return null;
+  }
+  return Number.isInteger(entitlements.features.maxProjects) ? entitlements.features.maxProjects : null;
+}
+
+/**
+ * Where a project stands in a profile's slots: { error } when it holds none and none is free
+ * @returns {{entry: object|null, held: boolean, position: number, used: number, limit: number|null}|{error: string}}
+ *   held: the project already holds a slot; position: its rank, or the rank it would get
+ */
+function findSlot(registry, licenseDir, profile, options) {
+  const limit = Number.isInteger(options.maxProjects) ? options.maxProjects : null;
+  const tierLabel = options.tier ? `the ${options.tier} tier` : `profile "${profile}"`;
+  const projects = profileProjects(registry, profile);
+  const entry = registry.projects.find(project => project.licenseDir === licenseDir) || null;
+
+  if (entry && getActivation(entry, profile)) {
+    const position = projects.indexOf(entry) + 1;
+    if (limit !== null && position > limit) {
+      return {
+        error: `This project is over the project limit of ${tierLabel} (#${position}, ${limit} allowed) - ` +
+          'free an older one: esmc projects release <path>'
+      };
+    }
+    return { entry, held: true, position, used: projects.length, limit };
+  }
+
+  if (limit !== null && projects.length >= limit) {
+    return {
+      error: `Project limit reached (${projects.length} of ${limit} for ${tierLabel}) - ` +
+        'free a slot: esmc projects release <path>, or: esmc projects move <from> <to>'
+    };
+  }
+  return { entry, held: false, position: projects.length + 1, used: projects.length, limit };
+}
+
+/**
+ * Activate a project for a profile, or confirm it still holds a slot
+ *
+ * @param {string} licenseDir - Project's .claude directory
+ * @param {string} profile - Profile name
+ * @param {object} [options] - { maxProjects: limit (null = unlimited), tier: for messages }
+ * @returns {{entry: object, activated: boolean, position: number, used: number, limit: number|null}}
+ *   activated: true when this call took a new slot; position: 1-based rank by activation time
+ * @throws {ProjectRegistryError} - LIMIT_REACHED | LOCK_TIMEOUT
+ */
+function activateProject(licenseDir, profile, options = {}) {
+  const result = updateRegistry((registry) => {
+    const now = new Date().toISOString();
+    const slot = findSlot(registry, licenseDir, profile, options);
+    if (slot.error) {
+      return slot;
+    }
+
+    let { entry } = slot;
+    if (slot.held) {
+      entry.lastSeenAt = now;
+      return { entry, activated: false, position: slot.position, used: slot.used, limit: slot.limit };
+    }
+    if (!entry) {
+      entry = { root: path.dirname(licenseDir), licenseDir, profiles: [], lastSeenAt: now };
+      registry.projects.push(entry);
+    }
+    entry.profiles.push({ name: profile, activatedAt: now });
+    entry.lastSeenAt = now;
+    return { entry, activated: true, position: slot.position, used: slot.used + 1, limit: slot.limit };
+  });
+
+  // Thrown after the update so pruning is still saved
+  if (result.error) {
+    throw new ProjectRegistryError('LIMIT_REACHED', result.error);
+  }
+  return result;
+}
+
+/**
+ * Whether a project holds a slot or could take one, without touching the registry
+ * (read-only commands such as esmc status must not use up slots)
+ *
+ * @param {string} licenseDir - Project's .claude directory
+ * @param {string} profile - Profile name
+ * @param {object} [options] - { maxProjects: limit (null = unlimited), tier: for messages }
+ * @returns {{entry: object|null, held: boolean, position: number, used: number, limit: number|null}}
+ *   held: false when the project has no slot yet but one is free
+ * @throws {ProjectRegistryError} - LIMIT_REACHED
+ */
+function checkProject(licenseDir, profile, options = {}) {
+  const registry = readRegistry();
+  registry.projects = registry.projects.filter(entry => !isStale(entry));
+  const slot = findSlot(registry, licenseDir, profile, options);
+  if (slot.error) {
+    throw new ProjectRegistryError('LIMIT_REACHED', slot.error);
+  }
+  return slot;
+}
+
+/**
+ * Release a profile's slot in a project (the entry goes once no profile is left)
+ * @returns {boolean} - True if the project held a slot for the profile
+ */
+function unregisterProject(licenseDir, profile) {
+  return updateRegistry((registry) => {
+    const entry = registry.projects.find(project => project.licenseDir === licenseDir);
+    if (!entry || !getActivation(entry, profile)) {
+      return false;
+    }
+    entry.profiles = entry.profiles.filter(activation => activation.name !== profile);
+    if (entry.profiles.length === 0) {
+      registry.projects = registry.projects.filter(project => project !== entry);
+    }
+    return true;
+  });
+}
+
+/**
+ * Give a project's slot to another project, keeping its activation time (no limit check)
+ *
+ * @param {string} fromLicenseDir - Project holding the slot
+ * @param {string} toLicenseDir - Project receiving it
+ * @param {string} profile - Profile name
+ * @returns {{from: object|null, to: object}} - Registry entries after the move (from is null once empty)
+ * @throws {ProjectRegistryError} - NOT_FOUND | LOCK_TIMEOUT
+ */
+function moveProject(fromLicenseDir, toLicenseDir, profile) {
+  if (!fs.existsSync(path.dirname(toLicenseDir))) {
+    throw new ProjectRegistryError('NOT_FOUND', `Project directory not found: ${path.dirname(toLicenseDir)}`);
+  }
+
+  const result = updateRegistry((registry) => {
+    const from = registry.projects.find(project => project.licenseDir === fromLicenseDir);
+    const activation = from && getActivation(from, profile);
+    if (!activation) {
+      return { error: `${path.dirname(fromLicenseDir)} holds no project slot for profile "${profile}"` };
+    }
+
+    from.profiles = from.profiles.filter(other => other !== activation);
+    if (from.profiles.length === 0) {
+      registry.projects = registry.projects.filter(project => project !== from);
+    }
+
+    const now = new Date().toISOString();
+    let to = registry.projects.find(project => project.licenseDir === toLicenseDir);
+    if (!to) {
+      to = { root: path.dirname(toLicenseDir), licenseDir: toLicenseDir, profiles: [], lastSeenAt: now };
+      registry.projects.push(to);
+    }
+    if (!getActivation(to, profile)) {
+      to.profiles.push(activation);
+    }
+    return { from: from.profiles.length > 0 ? from : null, to };
+  });
+
+  if (result.error) {
+    throw new ProjectRegistryError('NOT_FOUND', result.error);
+  }
+  return result;
+}
+
+/**
+ * Forget projects whose directory no longer exists
+ * @returns {object[]} - Removed entries
+ */
+function pruneProjects() {
+  return updateRegistry((registry, pruned) => pruned);
+}
+
+/**
+ * Activated projects, optionally only a profile's (oldest activation first)
+ * Stale entries are pruned on the way (best effort).
+ *
+ * @param {string} [profile] - Profile name
+ * @returns {object[]} - [{ root, licenseDir, profiles, lastSeenAt }], plus activatedAt (the profile's) when a profile is given
+ */
+function listProjects(profile) {
+  let registry = readRegistry();
+  if (registry.projects.some(isStale)) {
+    try {
+      pruneProjects();
+      registry = readRegistry();
+    } catch (error) {
+      registry.projects = registry.projects.filter(entry => !isStale(entry));
+    }
+  }
+  if (!profile) {
+    return registry.projects;
+  }
+  return profileProjects(registry, profile).map(entry => ({ ...entry, activatedAt: getActivation(entry, profile).activatedAt }));
+}
+
+module.exports = {
+  activateProject,
+  checkProject,
+  unregisterProject,
+  moveProject,
+  pruneProjects,
+  listProjects,
+  getProjectLimit,
+  toLicenseDir,
+  ProjectRegistryError
+};
@@ -0,0 +1,119 @@
+/**
+ * ESMC SDK - Redaction
+ * Masks sensitive values before they reach logs, console output or support bundles
+ *
+ * - Secrets (tokens, signatures, ciphertext, PKCE/device codes): removed entirely
+ * - Identifiers (checksums, device ids, user ids): first characters kept for correlation
+ * - Free text: JWTs, emails, MAC addresses and long hex strings are masked by pattern
+ */
+
+const SECRET_KEYS = new Set([
+  'token', 'accesstoken', 'access_token', 'refreshtoken', 'refresh_token', 'id_token',
+  'signature', 'encrypted', 'password', 'passphrase', 'secret',
+  'code_verifier', 'codeverifier', 'device_code', 'devicecode'
+]);
+
+const PARTIAL_KEYS = new Set([
+  'checksum', 'vercelchecksum', 'rotation', 'hash',
+  'hardwareid', 'compositedeviceid', 'userid', 'sessionid', 'session'
+]);
+
+const EMAIL_KEYS = new Set(['email']);
+
+const JWT_PATTERN = /eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const MAC_PATTERN = /\b(?:[0-9A-Fa-f]{2}[:-]){5}[0-9A-Fa-f]{2}\b/g;
+const LONG_HEX_PATTERN = /\b([0-9a-f]{6})[0-9a-f]{26,}\b/gi;
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Mask an email address: jane.doe@example.com → j***@example.com
+ */
+function maskEmail(email) {
+  if (typeof email !== 'string') {
+    return email;
+  }
+  return email.replace(EMAIL_PATTERN, '$1***@$2');
+}
+
+/**
+ * Keep the first characters of an identifier: 83a5db38… (64)
+ */
+function maskIdentifier(value) {
+  if (typeof value !== 'string' || value.length <= 8) {
+    return value ? REDACTED : value;
+  }
+  return `${value.substring(0, 6)}…(${value.length})`;
+}
+
+/**
+ * Mask JWTs, emails, MAC addresses and long hex strings inside free text
+ */
+function redactString(text) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  return text
+    .replace(JWT_PATTERN, '[REDACTED-JWT]')
+    .replace(EMAIL_PATTERN, '$1***@$2')
+    .replace(MAC_PATTERN, '[REDACTED-MAC]')
+    .replace(LONG_HEX_PATTERN, '$1…');
+}
+
+/**
+ * Deep-redact any value (objects are copied, never mutated)
+ * @param {*} value - Value to redact
+ * @param {string} [key] - Property name the value was found under
+ * @returns {*} - Redacted copy
+ */
+function redact(value, key) {
+  const normalizedKey = typeof key === 'string' ? key.toLowerCase() : '';
+
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  if (SECRET_KEYS.has(normalizedKey)) {
+    return REDACTED;
+  }
+
+  if (PARTIAL_KEYS.has(normalizedKey)) {
+    return maskDeep(value);
+  }
+
+  if (EMAIL_KEYS.has(normalizedKey)) {
+    return maskEmail(value);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item));
+  }
+
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([childKey, child]) => [childKey, redact(child, childKey)]));
+  }
+
+  return typeof value === 'string' ? redactString(value) : value;
+}
+
+/**
+ * Partially mask every string leaf (identifier objects like vercelChecksum)
+ */
+function maskDeep(value) {
+  if (Array.isArray(value)) {
+    return value.map(maskDeep);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([childKey, child]) => [childKey, maskDeep(child)]));
+  }
+  return typeof value === 'string' ? maskIdentifier(value) : value;
+}
+
+module.exports = {
+  redact,
+  redactString,
+  maskEmail,
+  maskIdentifier,
+  REDACTED
+};
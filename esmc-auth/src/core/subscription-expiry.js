@@ -0,0 +1,95 @@
+/**
+ * ESMC SDK - Subscription Expiry
+ * One place that decides what a subscriptionEndDate means right now, for the
+ * license file, stored credentials, `esmc status` and the IDE integration.
+ *
+ * States:
+ *   active    no end date, or more than the first reminder away
+ *   expiring  ends within EXPIRY_REMINDER_DAYS (14, 7, 1 days: `reminder`)
+ *   grace     ended less than SUBSCRIPTION_GRACE_DAYS ago - the paid tier keeps
+ *             working while a renewal payment is pending
+ *   expired   grace period over - FREE tier
+ */
+
+const { SUBSCRIPTION_GRACE_DAYS, EXPIRY_REMINDER_DAYS, DASHBOARD_URL } = require('../config/constants.js');
+
+const DAY = 24 * 3600000;
+
+function formatDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function plural(days) {
+  return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * Describe a subscription end date
+ *
+ * @param {string|null} endDate - subscriptionEndDate (ISO 8601) or null for no expiry
+ * @param {object} [options] - { now: ms timestamp, graceDays }
+ * @returns {{state: string, endsAt: string|null, graceEndsAt: string|null, daysRemaining: number|null,
+ *   graceDaysRemaining: number|null, reminder: number|null, paidTierActive: boolean, message: string}}
+ *   daysRemaining: whole days until endsAt (negative once ended)
+ *   reminder: the EXPIRY_REMINDER_DAYS threshold reached (e.g. 7 when 3 days are left)
+ */
+function getExpiryState(endDate, options = {}) {
+  const now = options.now !== undefined ? options.now : Date.now();
+  const graceDays = options.graceDays !== undefined ? options.graceDays : SUBSCRIPTION_GRACE_DAYS;
+
+  const end = endDate ? new Date(endDate).getTime() : NaN;
+  if (Number.isNaN(end)) {
+    return {
+      state: 'active',
+      endsAt: null,
+      graceEndsAt: null,
+      daysRemaining: null,
+      graceDaysRemaining: null,
+      reminder: null,
+      paidTierActive: true,
+      message: 'Subscription does not expire'
+    };
+  }
+
+  const graceEnd = end + graceDays * DAY;
+  const daysRemaining = Math.ceil((end - now) / DAY) || 0; // no -0 just after the end
+  const base = {
+    endsAt: new Date(end).toISOString(),
+    graceEndsAt: new Date(graceEnd).toISOString(),
+    daysRemaining,
+    graceDaysRemaining: null,
+    reminder: null
+  };
+
+  if (now >= graceEnd) {
+    return { ...base, state: 'expired', paidTierActive: false, message: `Subscription expired ${formatDay(end)} - renew at ${DASHBOARD_URL}` };
+  }
+
+  if (now >= end) {
+    const graceDaysRemaining = Math.ceil((graceEnd - now) / DAY);
+    return {
+      ...base,
+      state: 'grace',
+      graceDaysRemaining,
+      paidTierActive: true,
+      message: `Subscription ended ${formatDay(end)} - paid tier kept for ${plural(graceDaysRemaining)} (grace period), renew at ${DASHBOARD_URL}`
+    };
+  }
+
+  const reminder = [...EXPIRY_REMINDER_DAYS].sort((a, b) => a - b).find(days => daysRemaining <= days) || null;
+  if (reminder) {
+    return {
+      ...base,
+      state: 'expiring',
+      reminder,
+      paidTierActive: true,
+      message: `Subscription ends in ${plural(daysRemaining)} (${formatDay(end)}) - renew at ${DASHBOARD_URL}`
+    };
+  }
+
+  return { ...base, state: 'active', paidTierActive: true, message: `Subscription active until ${formatDay(end)}` };
+}
+
+module.exports = {
+  getExpiryState
+};
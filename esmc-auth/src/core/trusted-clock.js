@@ -0,0 +1,128 @@
+/**
+ * ESMC SDK - Trusted Clock
+ * Expiry checks compare against the local clock, which the user controls.
+ * This module keeps a monotonic "last seen time" high-water mark next to the
+ * license (.claude/.esmc-clock.json) and combines it with times the server
+ * signed (license issuedAt, blessing issuedAt, token iat):
+ *
+ *   - a clock more than CLOCK_ROLLBACK_TOLERANCE behind the latest of them
+ *     has been set back → state 'rollback' (re-validate online)
+ *   - otherwise the trusted time is the later of the local clock and that floor
+ *
+ * A successful online re-validation (login, token refresh) resets the mark to
+ * the server's time, which also undoes a mark pushed into the future by a
+ * wrong forward clock jump.
+ *
+ * Only checks made while ESMC runs (persist: true - readLicenseFile, the MCP
+ * server's TierManager) move the mark forward; inspections such as
+ * `esmc status` and `esmc doctor` read it without writing the project.
+ * Pass only times the server signed: locally stamped ones (lastValidated)
+ * would let an edited file raise the floor.
+ *
+ * File format: { highWaterMark, serverTime, updatedAt } (ISO 8601)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CLOCK_FILENAME, CLOCK_ROLLBACK_TOLERANCE } = require('../config/constants.js');
+const { writeFileAtomic } = require('./atomic-file.js');
+
+// The mark is only rewritten once it would move by more than this
+const WRITE_INTERVAL = 60 * 1000;
+
+function getClockPath() {
+  const { getLicenseDir } = require('./esmc-license-manager.js');
+  return path.join(getLicenseDir(), CLOCK_FILENAME);
+}
+
+function readClock() {
+  try {
+    const clock = JSON.parse(fs.readFileSync(getClockPath(), 'utf8'));
+    const highWaterMark = new Date(clock.highWaterMark).getTime();
+    return Number.isNaN(highWaterMark) ? null : { ...clock, highWaterMark };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Persist the mark; a read-only project directory only costs rollback detection
+ */
+function writeClock(highWaterMark, serverTime) {
+  try {
+    writeFileAtomic(getClockPath(), JSON.stringify({
+      highWaterMark: new Date(highWaterMark).toISOString(),
+      serverTime: serverTime ? new Date(serverTime).toISOString() : null,
+      updatedAt: new Date().toISOString()
+    }, null, 2));
+  } catch (error) {
+    // Not fatal
+  }
+}
+
+function toTime(value) {
+  if (value === null || value === undefined) {
+    return NaN;
+  }
+  // JWT claims are seconds since the epoch
+  return typeof value === 'number' ? value * 1000 : new Date(value).getTime();
+}
+
+/**
+ * Check the local clock against the high-water mark and server-signed times
+ * With persist, advances the mark when the clock is fine and has moved past it.
+ *
+ * @param {Array<string|number|null>} [signedTimes] - ISO dates or JWT NumericDate claims the server signed
+ * @param {object} [options] - { persist: write the advanced mark (default false), now: local time in ms (tests) }
+ * @returns {{state: 'ok'|'rollback', now: number, localNow: number, floor: number|null,
+ *   behindBy: number, message: string|null}}
+ *   now: trusted time in ms - use it instead of Date.now() for expiry decisions
+ *   behindBy: ms the local clock lags the floor (0 when it does not)
+ */
+function checkClock(signedTimes = [], options = {}) {
+  const localNow = options.now !== undefined ? options.now : Date.now();
+  const clock = readClock();
+
+  const floors = signedTimes.map(toTime).filter(time => !Number.isNaN(time));
+  if (clock) {
+    floors.push(clock.highWaterMark);
+  }
+  const floor = floors.length > 0 ? Math.max(...floors) : null;
+  const behindBy = floor !== null ? Math.max(floor - localNow, 0) : 0;
+
+  if (behindBy > CLOCK_ROLLBACK_TOLERANCE * 1000) {
+    const minutes = Math.round(behindBy / 60000);
+    return {
+      state: 'rollback',
+      now: floor,
+      localNow,
+      floor,
+      behindBy,
+      message: `System clock is ${minutes} minute${minutes === 1 ? '' : 's'} behind the last trusted time (${new Date(floor).toISOString()}) - ` +
+        'correct the date and time, then re-validate: npm run login'
+    };
+  }
+
+  if (options.persist && (!clock || localNow - clock.highWaterMark > WRITE_INTERVAL)) {
+    writeClock(Math.max(localNow, clock ? clock.highWaterMark : 0), clock ? clock.serverTime : null);
+  }
+
+  return { state: 'ok', now: Math.max(localNow, floor || 0), localNow, floor, behindBy, message: null };
+}
+
+/**
+ * Reset the mark to a time the server just signed (online re-validation)
+ * @param {string|number} serverTime - ISO date or JWT `iat` (seconds)
+ */
+function recordServerTime(serverTime) {
+  const time = toTime(serverTime);
+  if (!Number.isNaN(time)) {
+    writeClock(time, time);
+  }
+}
+
+module.exports = {
+  checkClock,
+  recordServerTime,
+  getClockPath
+};
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * ESMC Pinned JWKS Builder
+ * Writes the key set bundled with the SDK (esmc-auth/src/config/pinned-jwks.json),
+ * used by ESMC_JWKS_MODE=pinned and as the last offline fallback.
+ *
+ * Runs on `npm pack` / `npm publish` (prepack), so every release ships the
+ * keys that were live when it was built.
+ *
+ * Usage:
+ *   node scripts/build-pinned-jwks.js               Fetch from ESMC_JWKS_URL (default: esmc-sdk.com)
+ *   node scripts/build-pinned-jwks.js --from <file> Use a JWKS file instead (air-gapped release machine)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JWKS_URL, jwkToKeyObject } = require('../esmc-auth/src/auth/jwks.js');
+const { PINNED_JWKS_PATH } = require('../esmc-auth/src/config/constants.js');
+const { parseArgs } = require('./lib/cli.js');
+
+// Private key members (RSA, EC, OKP) - must never end up in the SDK
+const PRIVATE_MEMBERS = ['d', 'p', 'q', 'dp', 'dq', 'qi', 'oth'];
+
+async function readKeySet(flags) {
+  if (typeof flags.from === 'string') {
+    return { text: fs.readFileSync(flags.from, 'utf8'), origin: flags.from };
+  }
+  const response = await fetch(JWKS_URL, { signal: AbortSignal.timeout(10000) });
+  if (!response.ok) {
+    throw new Error(`JWKS endpoint returned ${response.status}`);
+  }
+  return { text: await response.text(), origin: JWKS_URL };
+}
+
+async function main() {
+  const { flags } = parseArgs(process.argv.slice(2));
+  const { text, origin } = await readKeySet(flags);
+  const jwks = JSON.parse(text);
+
+  if (!Array.isArray(jwks.keys) || jwks.keys.length === 0) {
+    throw new Error(`No keys found in ${origin}`);
+  }
+  for (const jwk of jwks.keys) {
+    if (PRIVATE_MEMBERS.some(member => Object.hasOwn(jwk, member))) {
+      throw new Error(`Key ${jwk.kid || '(no kid)'} contains private key material`);
+    }
+    jwkToKeyObject(jwk);
+  }
+
+  fs.mkdirSync(path.dirname(PINNED_JWKS_PATH), { recursive: true });
+  fs.writeFileSync(PINNED_JWKS_PATH, JSON.stringify({ keys: jwks.keys }, null, 2) + '\n', 'utf8');
+  console.log(`✅ Pinned ${jwks.keys.length} key(s) from ${origin}: ${jwks.keys.map(jwk => jwk.kid || '(no kid)').join(', ')}`);
+  console.log(`📁 ${PINNED_JWKS_PATH}`);
+}
+
+main().catch((error) => {
+  console.error(`❌ Pinned JWKS not built: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,392 @@
+/**
+ * esmc doctor - diagnose common setup problems
+ * Covers the README troubleshooting cases (missing dependencies, "Found 0 files",
+ * port conflicts, license written to the wrong project root)
+ *
+ * Each check returns { name, status: 'pass' | 'warn' | 'fail', message, hint }
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { EXIT_CODES, writeJSON, printBanner } = require('../lib/cli.js');
+const { DASHBOARD_URL } = require('../../esmc-auth/src/config/constants.js');
+
+const STATUS_ICONS = { pass: '✅', warn: '⚠️ ', fail: '❌' };
+const SDK_ROOT = path.join(__dirname, '..', '..');
+const MIN_NODE_MAJOR = 18;
+
+function checkNodeVersion() {
+  const major = parseInt(process.versions.node.split('.')[0], 10);
+
+  if (major < MIN_NODE_MAJOR) {
+    return {
+      name: 'Node.js version',
+      status: 'fail',
+      message: `Node.js ${process.versions.node} (ESMC needs ${MIN_NODE_MAJOR}+)`,
+      hint: 'Install Node.js 18+ from https://nodejs.org and restart your terminal'
+    };
+  }
+  return { name: 'Node.js version', status: 'pass', message: `Node.js ${process.versions.node}` };
+}
+
+function checkDependencies() {
+  const { dependencies = {} } = require('../../package.json');
+  const missing = Object.keys(dependencies).filter((dependency) => {
+    try {
+      require.resolve(dependency, { paths: [SDK_ROOT] });
+      return false;
+    } catch (error) {
+      return true;
+    }
+  });
+
+  if (missing.length > 0) {
+    return {
+      name: 'Dependencies',
+      status: 'fail',
+      message: `Missing: ${missing.join(', ')}`,
+      hint: `Run: npm install (in ${SDK_ROOT}), then: npm run login`
+    };
+  }
+  return { name: 'Dependencies', status: 'pass', message: `${Object.keys(dependencies).length} packages installed` };
+}
+
+function checkPackageIntegrity() {
+  const { inspectPackage } = require('../../verify-package.js');
+  const report = inspectPackage();
+
+  if (report.valid) {
+    return { name: 'Package integrity', status: 'pass', message: `${report.verified} files verified` };
+  }
+  if (!report.manifest) {
+    return {
+      name: 'Package integrity',
+      status: 'warn',
+      message: report.error,
+      hint: 'Extract the complete ESMC ZIP into your project root'
+    };
+  }
+  return {
+    name: 'Package integrity',
+    status: 'fail',
+    message: report.error || `${report.modified.length} modified, ${report.missing.length} missing`,
+    hint: `Download a fresh copy from ${DASHBOARD_URL}`
+  };
+}
+
+function checkCallbackPort() {
+  const { CALLBACK_PORT, CALLBACK_HOST } = require('../../esmc-auth/src/config/constants.js');
+
+  return new Promise((resolve) => {
+    const probe = net.createServer();
+
+    probe.once('error', (error) => {
+      resolve({
+        name: 'Callback port',
+        status: 'warn',
+        message: `Port ${CALLBACK_PORT} unavailable (${error.code})`,
+        hint: 'Another login may be running. Login falls back to a random port; close other ESMC logins if it still fails'
+      });
+    });
+
+    probe.once('listening', () => {
+      probe.close(() => {
+        resolve({ name: 'Callback port', status: 'pass', message: `Port ${CALLBACK_PORT} is free` });
+      });
+    });
+
+    probe.listen(CALLBACK_PORT, CALLBACK_HOST);
+  });
+}
+
+function checkProjectRoot() {
+  const { explainProjectRoot, getLicenseFilePath } = require('../../esmc-auth/src/core/esmc-license-manager.js');
+  const { root, reason } = explainProjectRoot();
+
+  const reasons = {
+    'memory-dir': 'found .claude/memory/',
+    'claude-dir': 'found .claude/ (memory/ created on first run)',
+    'cwd-fallback': 'no .claude/ above the SDK, using current directory'
+  };
+  const message = `${root} (${reasons[reason]})`;
+  const cwd = process.cwd();
+
+  if (reason === 'cwd-fallback') {
+    return {
+      name: 'Project root',
+      status: 'warn',
+      message,
+      hint: 'Extract the ESMC package (including .claude/) into your project root'
+    };
+  }
+
+  if (path.relative(root, cwd).startsWith('..')) {
+    return {
+      name: 'Project root',
+      status: 'warn',
+      message: `${message} - but you are in ${cwd}`,
+      hint: `The license is read from ${getLicenseFilePath()}. Run ESMC from that project, or extract the SDK into this one`
+    };
+  }
+
+  return { name: 'Project root', status: 'pass', message };
+}
+
+/**
+ * Read the raw license file so parse errors are visible
+ * (readLicenseFile() reports them as "not logged in")
+ */
+function readRawLicense() {
+  const { getLicenseFilePath } = require('../../esmc-auth/src/core/esmc-license-manager.js');
+  const filePath = getLicenseFilePath();
+
+  if (!fs.existsSync(filePath)) {
+    return { filePath, exists: false };
+  }
+
+  try {
+    return { filePath, exists: true, data: JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+  } catch (error) {
+    return { filePath, exists: true, error: error.message };
+  }
+}
+
+function checkLicenseFile() {
+  const { filePath, exists, data, error } = readRawLicense();
+
+  if (!exists) {
+    return { name: 'License file', status: 'warn', message: `Not found: ${filePath}`, hint: 'Run: npm run login' };
+  }
+  if (error) {
+    return {
+      name: 'License file',
+      status: 'fail',
+      message: `Cannot parse ${filePath}: ${error}`,
+      hint: 'Delete the file and run: npm run login'
+    };
+  }
+
+  // "Found 0 files": file opens but directory listing does not show it yet (Windows/WSL cache)
+  const listed = fs.readdirSync(path.dirname(filePath)).includes(path.basename(filePath));
+  if (!listed) {
+    return {
+      name: 'License file',
+      status: 'warn',
+      message: 'File exists but is missing from the directory listing',
+      hint: 'Run: ls -la .claude/ to refresh the directory cache, then try again'
+    };
+  }
+
+  const { inspectLicense } = require('../../esmc-auth/src/core/esmc-license-manager.js');
+  const { state, reason, signed, migratedFrom, data: current } = inspectLicense();
+  if (state === 'tampered') {
+    return { name: 'License file', status: 'fail', message: `Signature check failed: ${reason}`, hint: 'Delete the file and run: npm run login' };
+  }
+  if (state === 'unsigned') {
+    return {
+      name: 'License file',
+      status: 'fail',
+      message: 'Unsigned legacy license',
+      hint: 'Run: npm run login (or set ESMC_ALLOW_UNSIGNED_LICENSE=1 to accept it)'
+    };
+  }
+  if (state === 'invalid') {
+    return { name: 'License file', status: 'fail', message: `Invalid license file: ${reason}`, hint: 'Delete the file and run: npm run login' };
+  }
+  if (state === 'unverifiable') {
+    return { name: 'License file', status: 'warn', message: reason, hint: 'Run: npm run login while online' };
+  }
+
+  if (state === 'rollback') {
+    return { name: 'License file', status: 'fail', message: reason, hint: 'Correct the system date and time (enable NTP), then run: npm run login' };
+  }
+  if (state === 'grace') {
+    return {
+      name: 'License file',
+      status: 'warn',
+      message: reason,
+      hint: `Renew at ${DASHBOARD_URL}, then run: npm run login`
+    };
+  }
+  if (state === 'expired') {
+    return {
+      name: 'License file',
+      status: 'fail',
+      message: `${data.tier} subscription expired ${data.subscriptionEndDate}`,
+      hint: `Renew at ${DASHBOARD_URL}, then run: npm run login`
+    };
+  }
+
+  const version = migratedFrom ? `version ${migratedFrom} (read as ${current.version})` : `version ${data.version}`;
+  return {
+    name: 'License file',
+    status: 'pass',
+    message: `${data.tier} tier, ${version}, ${signed ? 'signature verified' : 'unsigned (compatibility mode)'}, ${filePath}`
+  };
+}
+
+async function checkBlessing() {
+  const { verifyBlessing } = require('../../esmc-auth/src/core/esmc-license-manager.js');
+  const { data } = readRawLicense();
+
+  if (!data) {
+    return { name: 'Guardian blessing', status: 'warn', message: 'Skipped (no readable license file)' };
+  }
+  if (!data.blessing) {
+    return {
+      name: 'Guardian blessing',
+      status: 'warn',
+      message: 'License has no blessing (legacy login)',
+      hint: 'Run: npm run login to refresh the license'
+    };
+  }
+
+  const result = await verifyBlessing(data.blessing, data);
+  if (!result.valid) {
+    return { name: 'Guardian blessing', status: 'fail', message: result.reason, hint: 'Run: npm run login to refresh the license' };
+  }
+  const passed = result.checks.map(check => check.name).join(', ');
+  return { name: 'Guardian blessing', status: 'pass', message: `Verified (${passed}), expires ${data.blessing.expiresAt}` };
+}
+
+function checkCredentials() {
+  const { inspectCredentials } = require('../../esmc-auth/src/auth/credentials.js');
+  const result = inspectCredentials();
+
+  if (!result.backend) {
+    return {
+      name: 'Credentials',
+      status: 'fail',
+      message: result.error,
+      hint: 'Set ESMC_CREDENTIALS_BACKEND to file, passphrase, env or memory'
+    };
+  }
+
+  const source = `${result.location} (${result.backend} backend)`;
+
+  if (!result.exists) {
+    return { name: 'Credentials', status: 'pass', message: `None stored in ${source}` };
+  }
+  if (result.code === 'TAMPERED') {
+    return {
+      name: 'Credentials',
+      status: 'fail',
+      message: `${source} failed its integrity check (modified, or encrypted with a different key)`,
+      hint: 'Do not reuse this file. Run: esmc logout, then: npm run login'
+    };
+  }
+  if (result.code === 'PASSPHRASE_REQUIRED') {
+    return {
+      name: 'Credentials',
+      status: 'fail',
+      message: result.error,
+      hint: 'Export ESMC_CREDENTIALS_PASSPHRASE, or switch back with ESMC_CREDENTIALS_BACKEND=file'
+    };
+  }
+  if (!result.decrypted) {
+    return {
+      name: 'Credentials',
+      status: 'fail',
+      message: `${source} could not be read (${result.error})`,
+      hint: result.backend === 'env'
+        ? 'ESMC_CREDENTIALS must contain the credentials JSON (plain or base64)'
+        : 'Credentials were created on another machine or are corrupted. Run: esmc logout, then: npm run login'
+    };
+  }
+  if (result.version === 1) {
+    return {
+      name: 'Credentials',
+      status: 'warn',
+      message: 'Stored in the legacy unauthenticated format (v1)',
+      hint: 'Migrated automatically the next time credentials are loaded (e.g. esmc status)'
+    };
+  }
+  return { name: 'Credentials', status: 'pass', message: `Readable from ${source}` };
+}
+
+function checkFingerprint() {
+  const { explainFingerprint } = require('../../esmc-auth/src/auth/fingerprint.js');
+  const report = explainFingerprint();
+
+  if (!report.recorded) {
+    return { name: 'Device fingerprint', status: 'pass', message: 'Not recorded yet (recorded at login)' };
+  }
+
+  const changed = report.components.filter(component => component.status === 'changed').map(component => component.name);
+  const score = `${Math.round(report.score * 100)}% similar`;
+
+  if (!report.sameDevice) {
+    return {
+      name: 'Device fingerprint',
+      status: 'fail',
+      message: `${score}, changed: ${changed.join(', ')} - this machine counts as a new device`,
+      hint: 'Run: npm run login to bind the license to this machine (details: esmc fingerprint explain)'
+    };
+  }
+  if (changed.length > 0) {
+    return {
+      name: 'Device fingerprint',
+      status: 'warn',
+      message: `${score}, changed: ${changed.join(', ')} - still the same device`,
+      hint: 'No action needed. Further hardware changes may require logging in again'
+    };
+  }
+  return { name: 'Device fingerprint', status: 'pass', message: 'Matches the fingerprint recorded at login' };
+}
+
+const CHECKS = [
+  checkNodeVersion,
+  checkDependencies,
+  checkPackageIntegrity,
+  checkCallbackPort,
+  checkProjectRoot,
+  checkLicenseFile,
+  checkBlessing,
+  checkCredentials,
+  checkFingerprint
+];
+
+/**
+ * Run every check in order; a throwing check is reported as a failure
+ * @returns {Promise<object[]>} - Check results
+ */
+async function runChecks() {
+  const results = [];
+  for (const check of CHECKS) {
+    try {
+      results.push(await check());
+    } catch (error) {
+      results.push({ name: check.name, status: 'fail', message: error.message });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  name: 'doctor',
+  summary: 'Diagnose installation, license and credential problems',
+  usage: 'esmc doctor [--json]',
+  runChecks,
+
+  async run({ flags }) {
+    const results = await runChecks();
+    const failed = results.some(result => result.status === 'fail');
+
+    if (flags.json) {
+      writeJSON({ ok: !failed, checks: results });
+    } else {
+      console.log('');
+      printBanner('🩺 ESMC DOCTOR');
+      for (const result of results) {
+        console.log(`${STATUS_ICONS[result.status]} ${result.name}: ${result.message}`);
+        if (result.hint && result.status !== 'pass') {
+          console.log(`   💡 ${result.hint}`);
+        }
+      }
+      console.log('═══════════════════════════════════════════════════════════════════════\n');
+    }
+
+    return failed ? EXIT_CODES.VERIFICATION_FAILED : EXIT_CODES.OK;
+  }
+};
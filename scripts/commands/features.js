@@ -0,0 +1,132 @@
+/**
+ * esmc features - what the current tier unlocks, and how it compares
+ *
+ *   esmc features [list]          Feature matrix of the current tier
+ *   esmc features diff <tier>     Current tier against a built-in tier (TIER_FEATURES)
+ *   esmc features check <name>    Whether one feature is available, and why not
+ *
+ * Feature names: colonel:DELTA, intelligence:ATLAS, module:ESMC_3.9,
+ * memory:mysql, tier:MAX, projects, redTeaming, ... (core/feature-access.js)
+ */
+
+const { EXIT_CODES, writeJSON, printBanner, cliError } = require('../lib/cli.js');
+
+// diffFeatures() change → marker in the matrix
+const CHANGE_MARKERS = {
+  added: '+',
+  removed: '-',
+  changed: '~',
+  same: ' '
+};
+
+// TierManager.can() reason → human-readable label
+const DENIAL_REASONS = {
+  tier: 'not in your tier',
+  expiry: 'subscription expired',
+  policy: 'suspended',
+  quota: 'limit reached'
+};
+
+function formatValue(value) {
+  if (typeof value === 'boolean') {
+    return value ? '✓' : '—';
+  }
+  return value === null ? '—' : String(value);
+}
+
+function printMatrix(rows, fromTier, toTier) {
+  const width = Math.max(...rows.map(row => row.feature.length), 'Feature'.length) + 2;
+  console.log(`  ${'Feature'.padEnd(width)}${toTier ? `${fromTier.padEnd(14)}${toTier}` : fromTier}`);
+  for (const row of rows) {
+    const columns = toTier ? `${formatValue(row.from).padEnd(14)}${formatValue(row.to)}` : formatValue(row.from);
+    console.log(`${toTier ? CHANGE_MARKERS[row.change] : ' '} ${row.feature.padEnd(width)}${columns}`);
+  }
+}
+
+module.exports = {
+  name: 'features',
+  summary: 'Show, compare or check what your tier unlocks',
+  usage: 'esmc features [list | diff <tier> | check <feature>] [--json]',
+
+  async run({ positionals, flags }) {
+    const TierManager = require('../../esmc-auth/src/auth/tier-manager.js');
+    const { diffFeatures } = require('../../esmc-auth/src/core/feature-access.js');
+    const { TIER_FEATURES } = require('../../esmc-auth/src/config/constants.js');
+    const action = positionals[0] || 'list';
+
+    if (!['list', 'diff', 'check'].includes(action)) {
+      throw cliError(`Unknown features action: ${action}`, EXIT_CODES.USAGE);
+    }
+    if (action !== 'list' && !positionals[1]) {
+      throw cliError(`Usage: esmc features ${action} <${action === 'diff' ? 'tier' : 'feature'}>`, EXIT_CODES.USAGE);
+    }
+
+    const target = action === 'diff' ? positionals[1].toUpperCase() : null;
+    if (target && !Object.hasOwn(TIER_FEATURES, target)) {
+      throw cliError(`Unknown tier: ${positionals[1]} (built-in tiers: ${Object.keys(TIER_FEATURES).join(', ')})`, EXIT_CODES.USAGE);
+    }
+
+    const tierManager = new TierManager({ readOnly: true });
+    await tierManager.initialize();
+    const tier = tierManager.getTier();
+    const entitlements = tierManager.getEntitlements();
+
+    if (action === 'check') {
+      let access;
+      try {
+        access = tierManager.can(positionals[1]);
+      } catch (error) {
+        if (error.code === 'UNKNOWN_FEATURE') {
+          throw cliError(error.message, EXIT_CODES.USAGE);
+        }
+        throw error;
+      }
+      if (flags.json) {
+        writeJSON({ ok: true, ...access });
+        return EXIT_CODES.OK;
+      }
+      if (access.allowed) {
+        console.log(`✅ ${access.feature}: available (${tier} tier)`);
+      } else {
+        console.log(`🔒 ${access.feature}: ${DENIAL_REASONS[access.reason]}`);
+        console.log(`   ${access.message}`);
+      }
+      if (access.limit !== null) {
+        console.log(`   Used ${access.used} of ${access.limit}`);
+      }
+      return EXIT_CODES.OK;
+    }
+
+    const current = tierManager.getFeatures();
+    const rows = diffFeatures(current, target ? TIER_FEATURES[target] : current);
+    const summary = {
+      added: rows.filter(row => row.change === 'added').length,
+      removed: rows.filter(row => row.change === 'removed').length,
+      changed: rows.filter(row => row.change === 'changed').length
+    };
+
+    if (flags.json) {
+      writeJSON({
+        ok: true,
+        tier,
+        source: entitlements.source,
+        ...(target ? { compareTo: target, summary, rows } : { features: current })
+      });
+      return EXIT_CODES.OK;
+    }
+
+    console.log('');
+    printBanner(target ? `🎖️ FEATURES: ${tier} → ${target}` : `🎖️ FEATURES: ${tier}`);
+    printMatrix(rows, tier, target);
+    console.log('═══════════════════════════════════════════════════════════════════════');
+    console.log(entitlements.source === 'server'
+      ? `🎁 ${tier} entitlements: signed by the server`
+      : `🎁 ${tier} entitlements: built-in defaults (offline fallback)`);
+    if (target) {
+      console.log(`   ${target}: +${summary.added} gained, -${summary.removed} lost, ~${summary.changed} changed`);
+    }
+    console.log('');
+
+    return EXIT_CODES.OK;
+  }
+};
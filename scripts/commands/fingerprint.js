@@ -0,0 +1,59 @@
+/**
+ * esmc fingerprint - compare this machine with the fingerprint recorded at login
+ * Shows which hardware components changed and whether it still counts as the same device
+ */
+
+const { EXIT_CODES, writeJSON, cliError, formatDate } = require('../lib/cli.js');
+
+const STATUS_ICONS = {
+  match: '✅',
+  changed: '⚠️ ',
+  unknown: '❔',
+  skipped: '➖',
+  unrecorded: '·'
+};
+
+module.exports = {
+  name: 'fingerprint',
+  summary: 'Explain which hardware components changed since login',
+  usage: 'esmc fingerprint [explain] [--json]',
+
+  async run({ positionals, flags }) {
+    const { explainFingerprint } = require('../../esmc-auth/src/auth/fingerprint.js');
+    const action = positionals[0] || 'explain';
+
+    if (action !== 'explain') {
+      throw cliError(`Unknown fingerprint action: ${action}`, EXIT_CODES.USAGE);
+    }
+
+    const report = explainFingerprint();
+    const exitCode = report.recorded && !report.sameDevice ? EXIT_CODES.VERIFICATION_FAILED : EXIT_CODES.OK;
+
+    if (flags.json) {
+      writeJSON({ ok: exitCode === EXIT_CODES.OK, ...report });
+      return exitCode;
+    }
+
+    const { describeEnvironment } = require('../../esmc-auth/src/auth/environment.js');
+    console.log(`Environment: ${describeEnvironment()}`);
+    if (!report.recorded) {
+      console.log('No device fingerprint recorded yet (recorded at login).\n');
+    } else {
+      console.log(`Recorded: ${formatDate(report.recordedAt)} (${report.source}, schema v${report.schemaVersion})\n`);
+    }
+
+    for (const component of report.components) {
+      const required = component.required ? ', required' : '';
+      console.log(`${STATUS_ICONS[component.status]} ${component.name.padEnd(14)} ${component.status} (weight ${component.weight}${required})`);
+    }
+
+    if (report.recorded) {
+      console.log(`\nSimilarity: ${Math.round(report.score * 100)}% (same device at ${Math.round(report.threshold * 100)}% or more)`);
+      console.log(report.sameDevice
+        ? '✅ Same device - license binding unchanged'
+        : '❌ Counts as a new device - run: npm run login to bind this machine');
+    }
+
+    return exitCode;
+  }
+};
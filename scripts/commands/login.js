@@ -0,0 +1,40 @@
+/**
+ * esmc login - authenticate this machine (browser or device code flow)
+ */
+
+const { EXIT_CODES, writeJSON, cliError } = require('../lib/cli.js');
+
+module.exports = {
+  name: 'login',
+  summary: 'Sign in and write the license file (--device for headless machines)',
+  usage: 'esmc login [--device | --browser] [--json]',
+
+  async run({ flags }) {
+    const { login, getLoginExitCode, getLoginHint } = require('../login-standalone.js');
+
+    const options = {};
+    if (flags.device) options.device = true;
+    if (flags.browser) options.device = false;
+
+    let licenseData;
+    try {
+      licenseData = await login(options);
+    } catch (error) {
+      const hint = getLoginHint(error);
+      const failure = cliError(hint ? `${error.message}\n💡 ${hint}` : error.message, getLoginExitCode(error));
+      failure.code = error.code;
+      throw failure;
+    }
+
+    if (flags.json) {
+      writeJSON({
+        ok: true,
+        email: licenseData.email,
+        tier: licenseData.tier,
+        subscriptionEndDate: licenseData.subscriptionEndDate
+      });
+    }
+
+    return EXIT_CODES.OK;
+  }
+};
@@ -0,0 +1,60 @@
+/**
+ * esmc logout - revoke the session on the server and remove every local artifact
+ * (credentials, license files in all registered projects, cached entitlements)
+ */
+
+const { EXIT_CODES, writeJSON } = require('../lib/cli.js');
+
+// logout() server status → human-readable line
+const SERVER_STATUS = {
+  revoked: '✅ Session revoked on the server',
+  queued: '📮 ESMC API unreachable - revocation queued, retried on next login or logout',
+  rejected: '⚠️  Server refused the revocation',
+  skipped: 'ℹ️  Server not contacted'
+};
+
+const ARTIFACT_LABELS = {
+  credentials: 'Credentials',
+  license: 'License',
+  entitlements: 'Cached entitlements'
+};
+
+module.exports = {
+  name: 'logout',
+  summary: 'Revoke the session and remove licenses, credentials and entitlements',
+  usage: 'esmc logout [--json]',
+
+  async run({ flags }) {
+    const { logout } = require('../../esmc-auth/src/auth/revocation.js');
+
+    const report = await logout();
+
+    if (flags.json) {
+      writeJSON({ ok: true, ...report });
+      return EXIT_CODES.OK;
+    }
+
+    const { server } = report;
+    if (report.removed.length === 0 && server.status === 'skipped') {
+      console.log('ℹ️  Already logged out - nothing to remove');
+    } else {
+      console.log(report.profile === 'default' ? '✅ Logged out' : `✅ Logged out of profile ${report.profile}`);
+      report.removed.forEach(item => console.log(`   🗑️  ${ARTIFACT_LABELS[item.kind]}: ${item.path}`));
+
+      const device = server.status === 'revoked' && server.deviceDeregistered ? ', device deregistered' : '';
+      console.log(`${SERVER_STATUS[server.status]}${device}`);
+      if (server.error) {
+        console.log(`   ${server.error}`);
+      }
+    }
+
+    if (report.retried > 0) {
+      console.log(`📮 ${report.retried} queued revocation(s) sent to the server`);
+    }
+    if (report.pending > 0) {
+      console.log(`📮 ${report.pending} revocation(s) waiting for the ESMC API`);
+    }
+
+    return EXIT_CODES.OK;
+  }
+};
@@ -0,0 +1,80 @@
+/**
+ * esmc profile - manage named profiles (personal, work, ...)
+ *
+ *   esmc profile [list]       Known profiles, active one marked
+ *   esmc profile use <name>   Make <name> the default on this machine
+ *   esmc profile pin <name>   Always use <name> in this project
+ *   esmc profile unpin        Remove this project's pin
+ */
+
+const { EXIT_CODES, writeJSON, cliError } = require('../lib/cli.js');
+
+// Active profile source → human-readable label
+const PROFILE_SOURCES = {
+  flag: '--profile',
+  env: 'ESMC_PROFILE',
+  project: 'pinned for this project',
+  config: 'machine default',
+  default: 'built-in default'
+};
+
+function requireName(positionals, action) {
+  if (!positionals[1]) {
+    throw cliError(`Usage: esmc profile ${action} <name>`, EXIT_CODES.USAGE);
+  }
+  return positionals[1];
+}
+
+module.exports = {
+  name: 'profile',
+  summary: 'List, select or pin named profiles',
+  usage: 'esmc profile [list | use <name> | pin <name> | unpin] [--json]',
+  PROFILE_SOURCES,
+
+  async run({ positionals, flags }) {
+    const profiles = require('../../esmc-auth/src/core/profiles.js');
+    const action = positionals[0] || 'list';
+    let message;
+
+    try {
+      if (action === 'use') {
+        const name = requireName(positionals, 'use');
+        profiles.setDefaultProfile(name);
+        message = `✅ Default profile set to "${name}"`;
+      } else if (action === 'pin') {
+        const name = requireName(positionals, 'pin');
+        const pinPath = profiles.pinProjectProfile(name);
+        message = `📌 This project now uses profile "${name}" (${pinPath})`;
+      } else if (action === 'unpin') {
+        message = profiles.unpinProjectProfile()
+          ? '✅ Project pin removed'
+          : 'ℹ️  This project has no profile pin';
+      } else if (action !== 'list') {
+        throw cliError(`Unknown profile action: ${action}`, EXIT_CODES.USAGE);
+      }
+    } catch (error) {
+      if (error.code === 'INVALID_PROFILE') {
+        throw cliError(error.message, EXIT_CODES.USAGE);
+      }
+      throw error;
+    }
+
+    const active = profiles.getActiveProfile();
+    const names = profiles.listProfiles();
+
+    if (flags.json) {
+      writeJSON({ ok: true, active, profiles: names });
+      return EXIT_CODES.OK;
+    }
+
+    if (message) {
+      console.log(message);
+    }
+    if (action === 'list') {
+      names.forEach(name => console.log(`${name === active.name ? '*' : ' '} ${name}`));
+    }
+    console.log(`\nActive: ${active.name} (${PROFILE_SOURCES[active.source]})`);
+
+    return EXIT_CODES.OK;
+  }
+};
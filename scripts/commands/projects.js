@@ -0,0 +1,137 @@
+/**
+ * esmc projects - project slots of the active profile (maxProjects per tier)
+ *
+ *   esmc projects [list]            Activated projects, oldest first
+ *   esmc projects release <path>    Free a project's slot (its license file is removed)
+ *   esmc projects move <from> <to>  Give a project's slot (and license file) to another project
+ *   esmc projects prune             Forget projects whose directory is gone
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EXIT_CODES, writeJSON, formatDate, cliError } = require('../lib/cli.js');
+
+function requirePaths(positionals, action, count) {
+  if (positionals.length < count + 1) {
+    throw cliError(`Usage: esmc projects ${action} ${count === 2 ? '<from> <to>' : '<path>'}`, EXIT_CODES.USAGE);
+  }
+  return positionals.slice(1, count + 1);
+}
+
+/**
+ * Tier and project limit of the active profile, from stored credentials (offline)
+ */
+function describeSlots(profile) {
+  const { loadCredentials } = require('../../esmc-auth/src/auth/credentials.js');
+  const { getProjectLimit } = require('../../esmc-auth/src/core/project-registry.js');
+  const credentials = loadCredentials();
+  const tier = credentials && credentials.tier ? credentials.tier : 'FREE';
+  return { tier, limit: getProjectLimit(tier, { userId: credentials ? credentials.userId : undefined, profile }) };
+}
+
+/**
+ * Move a profile's license file along with its project slot
+ * @returns {boolean} - True if a license file was moved
+ */
+function moveLicenseFile(fromLicenseDir, toLicenseDir, licenseFilename) {
+  const { writeFileSafe, removeFileWithBackup } = require('../../esmc-auth/src/core/atomic-file.js');
+  const fromPath = path.join(fromLicenseDir, licenseFilename);
+  if (!fs.existsSync(fromPath)) {
+    return false;
+  }
+  writeFileSafe(path.join(toLicenseDir, licenseFilename), fs.readFileSync(fromPath, 'utf8'));
+  removeFileWithBackup(fromPath);
+  return true;
+}
+
+module.exports = {
+  name: 'projects',
+  summary: 'List, release or move project slots (maxProjects)',
+  usage: 'esmc projects [list | release <path> | move <from> <to> | prune] [--json]',
+
+  async run({ positionals, flags }) {
+    const registry = require('../../esmc-auth/src/core/project-registry.js');
+    const { getActiveProfile, getProfilePaths } = require('../../esmc-auth/src/core/profiles.js');
+    const { getLicenseDir } = require('../../esmc-auth/src/core/esmc-license-manager.js');
+    const { removeFileWithBackup } = require('../../esmc-auth/src/core/atomic-file.js');
+    const profile = getActiveProfile().name;
+    const { licenseFilename } = getProfilePaths(profile);
+    const action = positionals[0] || 'list';
+    const changes = { released: null, moved: null, pruned: [] };
+    let message = null;
+
+    try {
+      if (action === 'release') {
+        const [target] = requirePaths(positionals, 'release', 1);
+        const licenseDir = registry.toLicenseDir(target);
+        if (!registry.unregisterProject(licenseDir, profile)) {
+          throw cliError(`${path.dirname(licenseDir)} holds no project slot for profile "${profile}"`);
+        }
+        removeFileWithBackup(path.join(licenseDir, licenseFilename));
+        changes.released = path.dirname(licenseDir);
+        message = `✅ Released ${changes.released}`;
+      } else if (action === 'move') {
+        const [from, to] = requirePaths(positionals, 'move', 2);
+        const fromLicenseDir = registry.toLicenseDir(from);
+        const toLicenseDir = registry.toLicenseDir(to);
+        registry.moveProject(fromLicenseDir, toLicenseDir, profile);
+        const licenseMoved = moveLicenseFile(fromLicenseDir, toLicenseDir, licenseFilename);
+        changes.moved = { from: path.dirname(fromLicenseDir), to: path.dirname(toLicenseDir), licenseMoved };
+        message = `✅ Moved the slot of ${changes.moved.from} to ${changes.moved.to}${licenseMoved ? ' (license file included)' : ''}`;
+      } else if (action === 'prune') {
+        changes.pruned = registry.pruneProjects().map(entry => entry.root);
+        message = changes.pruned.length > 0
+          ? `🧹 Forgot ${changes.pruned.length} project(s) that no longer exist`
+          : 'ℹ️  No stale projects';
+      } else if (action !== 'list') {
+        throw cliError(`Unknown projects action: ${action}`, EXIT_CODES.USAGE);
+      }
+    } catch (error) {
+      if (error.code === 'NOT_FOUND') {
+        throw cliError(error.message);
+      }
+      throw error;
+    }
+
+    const projects = registry.listProjects(profile);
+    const { tier, limit } = describeSlots(profile);
+    const current = getLicenseDir();
+
+    if (flags.json) {
+      writeJSON({
+        ok: true,
+        profile,
+        tier,
+        limit,
+        used: projects.length,
+        ...changes,
+        projects: projects.map((project, index) => ({
+          ...project,
+          current: project.licenseDir === current,
+          withinLimit: limit === null || index < limit
+        }))
+      });
+      return EXIT_CODES.OK;
+    }
+
+    if (message) {
+      console.log(message);
+    }
+    changes.pruned.forEach(root => console.log(`   - ${root}`));
+    if (action === 'list' || action === 'release' || action === 'move') {
+      console.log(`\n🗂️  Projects for profile "${profile}" (${tier}: ${projects.length} of ${limit === null ? 'unlimited' : limit} slots)`);
+      projects.forEach((project, index) => {
+        const marker = project.licenseDir === current ? '*' : ' ';
+        const overLimit = limit !== null && index >= limit ? '  ⚠️ over the limit (FREE features here)' : '';
+        console.log(`${marker} ${index + 1}. ${project.root}${overLimit}`);
+        console.log(`     activated ${formatDate(project.activatedAt)} · last used ${project.lastSeenAt ? formatDate(project.lastSeenAt) : 'never'}`);
+      });
+      if (projects.length === 0) {
+        console.log('   No activated projects yet (a project is activated by login or the first ESMC start in it)');
+      }
+      console.log('');
+    }
+
+    return EXIT_CODES.OK;
+  }
+};
@@ -0,0 +1,149 @@
+/**
+ * esmc status - tier, subscription and license state
+ * License file is authoritative; stored credentials are consulted through TierManager
+ */
+
+const { EXIT_CODES, writeJSON, printBanner, formatDate } = require('../lib/cli.js');
+const { maskEmail } = require('../../esmc-auth/src/core/redact.js');
+
+// Where the last JWT signature check got its key (jwks.js)
+const VERIFICATION_SOURCES = {
+  online: 'online (live JWKS)',
+  snapshot: 'offline (cached JWKS snapshot)',
+  pinned: 'offline (pinned JWKS bundled with the SDK)'
+};
+
+// TierManager.initialize() source → human-readable label
+const CREDENTIAL_SOURCES = {
+  default: 'not stored',
+  backend: 'validated online',
+  local: 'offline (last known state)',
+  grace: 'offline, subscription in grace period',
+  rollback: 'suspended - system clock set back',
+  'project-limit': 'FREE in this project - project limit reached (see: esmc projects)',
+  expired: 'expired',
+  revoked: 'revoked by the server'
+};
+
+// Subscription expiry state (subscription-expiry.js) → label next to the end date
+const EXPIRY_LABELS = {
+  expiring: 'expiring soon',
+  grace: 'ended - grace period',
+  expired: 'expired'
+};
+
+// inspectLicense() state → human-readable label for a rejected license file
+const LICENSE_STATES = {
+  missing: 'not found',
+  tampered: 'rejected - signature check failed',
+  unsigned: 'rejected - unsigned legacy file (ESMC_ALLOW_UNSIGNED_LICENSE=1 accepts it)',
+  unverifiable: 'not verifiable offline - no ESMC key cached',
+  invalid: 'rejected - does not match the license schema',
+  rollback: 'suspended - system clock set back (correct it, then run: npm run login)'
+};
+
+/**
+ * Build the status report
+ * @returns {Promise<object>}
+ */
+async function collectStatus() {
+  const { validateLicense, getLicenseFilePath } = require('../../esmc-auth/src/core/esmc-license-manager.js');
+  const TierManager = require('../../esmc-auth/src/auth/tier-manager.js');
+  const { getActiveProfile } = require('../../esmc-auth/src/core/profiles.js');
+  const { detectEnvironment, describeEnvironment } = require('../../esmc-auth/src/auth/environment.js');
+  const { readLastVerification } = require('../../esmc-auth/src/auth/jwks.js');
+
+  const license = validateLicense();
+  const environment = detectEnvironment();
+  const tierManager = new TierManager({ readOnly: true });
+  const tierState = await tierManager.initialize();
+
+  const authenticated = license.valid || tierState.authenticated;
+  const expiry = license.expiry || tierState.expiry || null;
+  const expired = (expiry && expiry.state === 'expired') || tierState.source === 'expired';
+  const clockRollback = license.state === 'rollback' || tierState.source === 'rollback';
+
+  return {
+    profile: getActiveProfile(),
+    authenticated,
+    expired,
+    tier: license.valid ? license.tier : tierState.tier,
+    email: license.email || tierState.email || null,
+    subscriptionStatus: license.subscriptionStatus || (expired ? 'expired' : null),
+    subscriptionEndDate: license.subscriptionEndDate || tierState.expiresAt || null,
+    expiry,
+    clockRollback,
+    license: {
+      path: getLicenseFilePath(),
+      present: license.valid,
+      state: license.state,
+      signed: !!license.signed,
+      reason: license.reason || null,
+      lastValidated: license.lastValidated || null
+    },
+    credentials: {
+      source: tierState.source
+    },
+    entitlements: tierManager.getEntitlements(),
+    environment: {
+      type: environment.type,
+      description: describeEnvironment(environment)
+    },
+    verification: readLastVerification()
+  };
+}
+
+module.exports = {
+  name: 'status',
+  summary: 'Show tier, subscription and license state',
+  usage: 'esmc status [--json]',
+  collectStatus,
+  LICENSE_STATES,
+
+  async run({ flags }) {
+    const status = await collectStatus();
+
+    const exitCode = status.clockRollback
+      ? EXIT_CODES.VERIFICATION_FAILED
+      : !status.authenticated
+        ? EXIT_CODES.NOT_LOGGED_IN
+        : status.expired ? EXIT_CODES.EXPIRED : EXIT_CODES.OK;
+
+    if (flags.json) {
+      writeJSON({ ok: exitCode === EXIT_CODES.OK, ...status });
+      return exitCode;
+    }
+
+    console.log('');
+    printBanner('🎖️ ESMC STATUS');
+    console.log(`🗂️  Profile: ${status.profile.name}`);
+    console.log(`🎖️  Tier: ${status.tier}`);
+    console.log(`📧 Email: ${status.email ? maskEmail(status.email) : '-'}`);
+    const expiryLabel = status.expiry && status.expiry.state !== 'active' ? ` (${EXPIRY_LABELS[status.expiry.state]})` : '';
+    console.log(`⏰ Subscription: ${formatDate(status.subscriptionEndDate)}${expiryLabel}`);
+    console.log(status.license.present
+      ? `📁 License file: ${status.license.path}${status.license.signed ? ' (signature verified)' : ' (unsigned)'}`
+      : `📁 License file: ${LICENSE_STATES[status.license.state] || status.license.state}`);
+    console.log(`🔐 Credentials: ${CREDENTIAL_SOURCES[status.credentials.source] || status.credentials.source}`);
+    console.log(status.entitlements.source === 'server'
+      ? `🎁 Entitlements: signed by the server, ${formatDate(status.entitlements.issuedAt)}`
+      : `🎁 Entitlements: built-in defaults (offline fallback)${status.entitlements.reason ? ` - ${status.entitlements.reason}` : ''}`);
+    console.log(`🖥️  Environment: ${status.environment.description}`);
+    console.log(status.verification
+      ? `🔑 Last token check: ${VERIFICATION_SOURCES[status.verification.source] || status.verification.source}, ${formatDate(status.verification.verifiedAt)}`
+      : '🔑 Last token check: none yet');
+    console.log('═══════════════════════════════════════════════════════════════════════');
+
+    if (status.clockRollback) {
+      console.log('\n⏪ The system clock was set back behind the last trusted time - paid features are suspended.');
+      console.log('💡 Correct the date and time (enable NTP), then re-validate: npm run login\n');
+    } else if (!status.authenticated) {
+      const flag = status.profile.name === 'default' ? '' : ` -- --profile ${status.profile.name}`;
+      console.log(`\n💡 Not logged in. Run: npm run login${flag}\n`);
+    } else if (status.expiry && (status.expiry.reminder || status.expiry.state === 'grace' || status.expiry.state === 'expired')) {
+      console.log(`\n⚠️  ${status.expiry.message}\n`);
+    }
+
+    return exitCode;
+  }
+};
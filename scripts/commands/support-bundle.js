@@ -0,0 +1,130 @@
+/**
+ * esmc support-bundle - collect redacted diagnostics into one archive
+ * Attach the resulting .tar.gz to support tickets instead of copying console output
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EXIT_CODES, writeJSON } = require('../lib/cli.js');
+const { createTarGz } = require('../lib/tar.js');
+
+// ESMC_* environment variables whose values are never included
+const SECRET_ENV_PATTERN = /KEY|SECRET|TOKEN|PASSPHRASE|PASSWORD|CREDENTIALS/;
+
+function collectEnvironment() {
+  const { getOSInfo } = require('../../esmc-auth/src/auth/hardware.js');
+  const { explainProjectRoot } = require('../../esmc-auth/src/core/esmc-license-manager.js');
+  const osInfo = getOSInfo();
+
+  return {
+    sdkVersion: require('../../package.json').version,
+    node: process.versions.node,
+    os: { platform: osInfo.platform, release: osInfo.release, arch: osInfo.arch },
+    cwd: process.cwd(),
+    projectRoot: explainProjectRoot()
+  };
+}
+
+/**
+ * Constants in effect plus any ESMC_* environment overrides
+ */
+function collectConstants() {
+  const { TIER_FEATURES, ...constants } = require('../../esmc-auth/src/config/constants.js');
+  const overrides = {};
+
+  for (const [name, value] of Object.entries(process.env)) {
+    if (name.startsWith('ESMC_')) {
+      overrides[name] = SECRET_ENV_PATTERN.test(name) ? '[REDACTED]' : value;
+    }
+  }
+
+  return { constants, overrides };
+}
+
+function collectLicense() {
+  const { getLicenseFilePath } = require('../../esmc-auth/src/core/esmc-license-manager.js');
+  const filePath = getLicenseFilePath();
+
+  if (!fs.existsSync(filePath)) {
+    return { filePath, present: false };
+  }
+
+  try {
+    return { filePath, present: true, license: JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+  } catch (error) {
+    return { filePath, present: true, error: error.message };
+  }
+}
+
+/**
+ * Collect bundle entries (already redacted)
+ * @returns {Promise<Array<{name: string, content: string}>>}
+ */
+async function collectBundle() {
+  const { redact } = require('../../esmc-auth/src/core/redact.js');
+  const { readRecentLogEntries } = require('../../esmc-auth/src/core/logger.js');
+  const { getFingerprintComponents } = require('../../esmc-auth/src/auth/hardware.js');
+  const { explainFingerprint } = require('../../esmc-auth/src/auth/fingerprint.js');
+  const { inspectPackage } = require('../../verify-package.js');
+  const { runChecks } = require('./doctor.js');
+
+  // Each collector is isolated: one failure must not lose the rest of the bundle
+  const sections = {
+    'environment.json': collectEnvironment,
+    'fingerprint.json': () => ({ components: getFingerprintComponents(), match: explainFingerprint() }),
+    'license.json': collectLicense,
+    'verify-package.json': inspectPackage,
+    'constants.json': collectConstants,
+    'doctor.json': runChecks,
+    'logs.json': () => readRecentLogEntries(200)
+  };
+
+  const files = [];
+  for (const [name, collect] of Object.entries(sections)) {
+    let data;
+    try {
+      data = await collect();
+    } catch (error) {
+      data = { error: error.message };
+    }
+    files.push({ name, content: JSON.stringify(redact(data), null, 2) + '\n' });
+  }
+
+  files.unshift({
+    name: 'README.txt',
+    content: `ESMC support bundle\nCreated: ${new Date().toISOString()}\n` +
+      'Tokens, signatures, checksums, emails and MAC addresses are redacted.\n' +
+      `Contents: ${files.map(file => file.name).join(', ')}\n`
+  });
+
+  return files;
+}
+
+function defaultOutputPath() {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').substring(0, 15);
+  return path.join(process.cwd(), `esmc-support-${stamp}.tar.gz`);
+}
+
+module.exports = {
+  name: 'support-bundle',
+  summary: 'Write a redacted diagnostics archive for support tickets',
+  usage: 'esmc support-bundle [--output <file.tar.gz>] [--json]',
+  collectBundle,
+
+  async run({ flags }) {
+    const outputPath = path.resolve(typeof flags.output === 'string' ? flags.output : defaultOutputPath());
+    const files = await collectBundle();
+
+    fs.writeFileSync(outputPath, createTarGz(files));
+
+    if (flags.json) {
+      writeJSON({ ok: true, path: outputPath, files: files.map(file => file.name) });
+    } else {
+      console.log(`📦 Support bundle written: ${outputPath}`);
+      console.log(`   ${files.length} files, sensitive values redacted`);
+      console.log('   Attach it to your ticket at support@esmc-sdk.com or on Discord');
+    }
+
+    return EXIT_CODES.OK;
+  }
+};
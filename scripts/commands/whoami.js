@@ -0,0 +1,111 @@
+/**
+ * esmc whoami - identities behind every profile (active one marked)
+ */
+
+const { EXIT_CODES, writeJSON, formatDate } = require('../lib/cli.js');
+const { maskEmail } = require('../../esmc-auth/src/core/redact.js');
+const { LICENSE_STATES } = require('./status.js');
+
+/**
+ * Identity stored for one profile: license file first, then credentials
+ * Reads quietly - a broken profile is reported, not logged. The license is
+ * only trusted once inspectLicense() accepts it; otherwise its state is reported.
+ *
+ * @param {string} name - Profile name
+ * @returns {object} - { profile, authenticated, email, name, userId, tier, expiresAt, expiry, expired, source,
+ *   license: inspectLicense() state, reason, error }
+ */
+function describeProfile(name) {
+  const { inspectLicense } = require('../../esmc-auth/src/core/esmc-license-manager.js');
+  const { createCredentialStore } = require('../../esmc-auth/src/auth/credential-stores.js');
+  const identity = { profile: name, authenticated: false, source: null, license: null, reason: null, error: null };
+
+  let source = null;
+  try {
+    const license = inspectLicense({ profile: name });
+    identity.license = license.state;
+    if (license.state === 'missing') {
+      source = createCredentialStore(undefined, name).read({ migrate: false });
+      identity.source = source ? 'credentials' : null;
+    } else if (['valid', 'grace', 'expired'].includes(license.state)) {
+      source = license.state === 'expired' ? { ...license.data, tier: 'FREE' } : license.data;
+      identity.source = 'license';
+    } else {
+      identity.reason = license.reason;
+    }
+  } catch (error) {
+    identity.error = error.message;
+  }
+
+  if (!source) {
+    return identity;
+  }
+
+  const { getExpiryState } = require('../../esmc-auth/src/core/subscription-expiry.js');
+  const expiresAt = source.subscriptionEndDate || source.expiresAt || null;
+  const expiry = getExpiryState(expiresAt);
+  return {
+    ...identity,
+    authenticated: true,
+    email: source.email,
+    name: source.displayName || source.name || null,
+    userId: source.userId || null,
+    tier: source.tier || 'FREE',
+    expiresAt,
+    expiry: expiry.state,
+    expired: expiry.state === 'expired'
+  };
+}
+
+module.exports = {
+  name: 'whoami',
+  summary: 'Show the signed-in account for every profile',
+  usage: 'esmc whoami [--json]',
+  describeProfile,
+
+  async run({ flags }) {
+    const { getActiveProfile, listProfiles } = require('../../esmc-auth/src/core/profiles.js');
+
+    const active = getActiveProfile();
+    const names = listProfiles();
+    if (!names.includes(active.name)) {
+      names.push(active.name);
+    }
+
+    const identities = names.map(describeProfile);
+    const current = identities.find(identity => identity.profile === active.name);
+    const exitCode = current.authenticated
+      ? EXIT_CODES.OK
+      : current.reason ? EXIT_CODES.VERIFICATION_FAILED : EXIT_CODES.NOT_LOGGED_IN;
+
+    if (flags.json) {
+      writeJSON({ ok: current.authenticated, active: active.name, ...current, profiles: identities });
+      return exitCode;
+    }
+
+    for (const identity of identities) {
+      const marker = identity.profile === active.name ? '*' : ' ';
+      let line;
+      if (identity.authenticated) {
+        const email = maskEmail(identity.email);
+        const who = identity.name ? `${identity.name} <${email}>` : email;
+        const expiry = identity.expiry === 'expired' || identity.expiry === 'grace'
+          ? `${identity.expiry === 'grace' ? 'grace period, ended' : 'expired'} ${formatDate(identity.expiresAt)}`
+          : formatDate(identity.expiresAt);
+        line = `${who} (${identity.tier}, ${expiry})`;
+      } else if (identity.reason) {
+        line = `license ${LICENSE_STATES[identity.license] || identity.license}: ${identity.reason}`;
+      } else {
+        line = identity.error ? `unreadable: ${identity.error}` : 'not logged in';
+      }
+      console.log(`${marker} ${identity.profile.padEnd(12)} ${line}`);
+    }
+
+    if (!current.authenticated && !current.reason) {
+      const flag = active.name === 'default' ? '' : ` -- --profile ${active.name}`;
+      console.log(`\nNot logged in. Run: npm run login${flag}`);
+    }
+
+    return exitCode;
+  }
+};
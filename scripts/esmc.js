@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/**
+ * ESMC Command Line Interface
+ * Single entry point for account and license management
+ *
+ * Usage:
+ *   esmc <command> [options]
+ *   npm run esmc -- <command> [options]
+ *
+ * Global options:
+ *   --json            Machine-readable output on stdout (logs go to stderr)
+ *   --profile <name>  Use a named profile (see: esmc profile)
+ *   --help            Show help for a command
+ *
+ * Exit codes: see EXIT_CODES in scripts/lib/cli.js
+ */
+
+const { EXIT_CODES, parseArgs, writeJSON, routeLogsToStderr } = require('./lib/cli.js');
+const { logEvent } = require('../esmc-auth/src/core/logger.js');
+const { redactString } = require('../esmc-auth/src/core/redact.js');
+const { setActiveProfile } = require('../esmc-auth/src/core/profiles.js');
+
+const COMMANDS = {
+  login: require('./commands/login.js'),
+  logout: require('./commands/logout.js'),
+  status: require('./commands/status.js'),
+  whoami: require('./commands/whoami.js'),
+  features: require('./commands/features.js'),
+  projects: require('./commands/projects.js'),
+  profile: require('./commands/profile.js'),
+  fingerprint: require('./commands/fingerprint.js'),
+  doctor: require('./commands/doctor.js'),
+  'support-bundle': require('./commands/support-bundle.js')
+};
+
+function printHelp() {
+  console.log('ESMC SDK - command line interface\n');
+  console.log('Usage: esmc <command> [options]\n');
+  console.log('Commands:');
+  for (const command of Object.values(COMMANDS)) {
+    console.log(`  ${command.name.padEnd(16)} ${command.summary}`);
+  }
+  console.log('\nGlobal options:');
+  console.log('  --json            Machine-readable output (stdout)');
+  console.log('  --profile <name>  Use a named profile for this command');
+  console.log('  --help            Show help for a command');
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+
+  if (args.flags.version) {
+    console.log(require('../package.json').version);
+    return EXIT_CODES.OK;
+  }
+
+  // An explicit help request succeeds; a bare `esmc` without --help is a usage error
+  if (!args.command || args.command === 'help') {
+    printHelp();
+    return args.command || args.flags.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+
+  const command = COMMANDS[args.command];
+  if (!command) {
+    console.error(`❌ Unknown command: ${args.command}\n`);
+    printHelp();
+    return EXIT_CODES.USAGE;
+  }
+
+  if (args.flags.help) {
+    console.log(`Usage: ${command.usage}\n`);
+    console.log(command.summary);
+    return EXIT_CODES.OK;
+  }
+
+  if (args.flags.json) {
+    routeLogsToStderr();
+  }
+
+  if (args.flags.profile !== undefined) {
+    try {
+      if (typeof args.flags.profile !== 'string') {
+        throw new Error('--profile requires a profile name');
+      }
+      setActiveProfile(args.flags.profile);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return EXIT_CODES.USAGE;
+    }
+  }
+
+  try {
+    const exitCode = await command.run(args);
+    logEvent('cli.command', { command: args.command, exitCode });
+    return exitCode;
+  } catch (error) {
+    const exitCode = error.exitCode || EXIT_CODES.ERROR;
+    const message = redactString(error.message);
+    logEvent('cli.command', { command: args.command, exitCode, error: message, code: error.code || null });
+
+    if (args.flags.json) {
+      writeJSON({ ok: false, error: { message, code: error.code || null }, exitCode });
+    } else {
+      console.error(`\n❌ ${args.command} failed: ${message}\n`);
+    }
+    return exitCode;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((exitCode) => {
+    process.exit(exitCode);
+  });
+}
+
+module.exports = { main, COMMANDS };
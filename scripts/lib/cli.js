@@ -0,0 +1,109 @@
+/**
+ * ESMC CLI Helpers
+ * Argument parsing, exit codes and output formatting shared by scripts/commands/*
+ */
+
+/**
+ * Exit codes (stable - scripts and IDE integrations rely on them)
+ */
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,               // Unexpected failure
+  USAGE: 2,               // Unknown command or invalid flags
+  NOT_LOGGED_IN: 3,       // No license file and no credentials
+  EXPIRED: 4,             // Subscription expired
+  VERIFICATION_FAILED: 5, // Signature, integrity or doctor check failed
+  NETWORK: 6,             // ESMC API unreachable
+  LIMIT_REACHED: 7        // Project limit (maxProjects) reached
+};
+
+// Flags that never take a value
+const BOOLEAN_FLAGS = new Set(['json', 'help', 'device', 'browser', 'version']);
+
+/**
+ * Parse argv into { command, positionals, flags }
+ * Supports --flag, --flag value and --flag=value
+ *
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{command: string|null, positionals: string[], flags: object}}
+ */
+function parseArgs(argv) {
+  const flags = {};
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-h') {
+      flags.help = true;
+    } else if (arg.startsWith('--')) {
+      const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+      if (inlineValue !== undefined) {
+        flags[name] = inlineValue;
+      } else if (BOOLEAN_FLAGS.has(name) || i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+        flags[name] = true;
+      } else {
+        flags[name] = argv[++i];
+      }
+    } else {
+      positionals.push(arg);
+    }
+  }
+
+  return {
+    command: positionals.shift() || null,
+    positionals,
+    flags
+  };
+}
+
+/**
+ * Create an error carrying a CLI exit code
+ */
+function cliError(message, exitCode = EXIT_CODES.ERROR) {
+  const error = new Error(message);
+  error.exitCode = exitCode;
+  return error;
+}
+
+/**
+ * Write machine-readable output (stdout only, one JSON document)
+ */
+function writeJSON(data) {
+  process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * In --json mode, human-readable logging goes to stderr so stdout stays parseable
+ */
+function routeLogsToStderr() {
+  console.log = console.error;
+  console.info = console.error;
+  console.warn = console.error;
+}
+
+function printBanner(title) {
+  console.log('═══════════════════════════════════════════════════════════════════════');
+  console.log(title);
+  console.log('═══════════════════════════════════════════════════════════════════════');
+}
+
+/**
+ * Format a date the same way the login script does (e.g. "Jan 22, 2026")
+ */
+function formatDate(value) {
+  if (!value) {
+    return 'No expiration';
+  }
+  return new Date(value).toLocaleDateString('en-US', { month: 'short', day: '2-digit', year: 'numeric' });
+}
+
+module.exports = {
+  EXIT_CODES,
+  parseArgs,
+  cliError,
+  writeJSON,
+  routeLogsToStderr,
+  printBanner,
+  formatDate
+};
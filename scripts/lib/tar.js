@@ -0,0 +1,75 @@
+/**
+ * Minimal .tar.gz writer (ustar, regular files only)
+ * Used by `esmc support-bundle` so no archive dependency is needed
+ */
+
+const zlib = require('zlib');
+
+const BLOCK_SIZE = 512;
+
+function writeString(buffer, value, offset, length) {
+  buffer.write(value.substring(0, length), offset, length, 'utf8');
+}
+
+function writeOctal(buffer, value, offset, length) {
+  // length - 1 digits + NUL terminator
+  writeString(buffer, value.toString(8).padStart(length - 1, '0') + '\0', offset, length);
+}
+
+/**
+ * Build a 512-byte ustar header
+ */
+function createHeader(name, size, mtime) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+
+  writeString(header, name, 0, 100);
+  writeOctal(header, 0o644, 100, 8);  // mode
+  writeOctal(header, 0, 108, 8);      // uid
+  writeOctal(header, 0, 116, 8);      // gid
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime / 1000), 136, 12);
+  header.fill(' ', 148, 156);         // checksum placeholder
+  writeString(header, '0', 156, 1);   // regular file
+  writeString(header, 'ustar\0', 257, 6);
+  writeString(header, '00', 263, 2);
+  writeString(header, 'esmc', 265, 32);
+  writeString(header, 'esmc', 297, 32);
+
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  writeString(header, checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+
+  return header;
+}
+
+/**
+ * Create a gzipped tarball
+ * @param {Array<{name: string, content: string|Buffer}>} files - Archive entries
+ * @returns {Buffer} - .tar.gz contents
+ */
+function createTarGz(files) {
+  const mtime = Date.now();
+  const blocks = [];
+
+  for (const file of files) {
+    const content = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8');
+    blocks.push(createHeader(file.name, content.length, mtime));
+    blocks.push(content);
+
+    const padding = (BLOCK_SIZE - (content.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding > 0) {
+      blocks.push(Buffer.alloc(padding));
+    }
+  }
+
+  // End of archive: two zero blocks
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+
+  return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+module.exports = {
+  createTarGz
+};
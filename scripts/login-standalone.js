@@ -4,16 +4,27 @@
  * No MCP server required - works in Cursor, VS Code, or any environment
  *
  * Usage:
- *   node scripts/login-standalone.js
+ *   node scripts/login-standalone.js            (browser, or device code when headless)
+ *   node scripts/login-standalone.js --device   (force device code flow)
+ *   node scripts/login-standalone.js --browser  (force browser flow)
  *
- * Authentication Flow:
+ * Authentication Flow (browser):
  *   1. Opens browser to esmc-sdk.com/login
  *   2. User authenticates via OAuth or email/password
- *   3. Server redirects to localhost:3847/callback with token
- *   4. ESMC 4 FORTRESS MODE: Validates SDK integrity (manifest hash)
- *   5. Script saves encrypted credentials to .claude/.esmc-license.json
+ *   3. Server redirects to 127.0.0.1:37847/callback with state + one-time code
+ *      (OS-assigned port if 37847 is busy; loopback interface only)
+ *   4. Script verifies state and exchanges the code with its PKCE verifier
+ *   5. ESMC 4 FORTRESS MODE: Validates SDK integrity (manifest hash)
+ *   6. Script saves encrypted credentials to .claude/.esmc-license.json
+ *
+ * Authentication Flow (device code, RFC 8628 - SSH/devcontainers/CI):
+ *   1. Requests a device code and prints a short user code + verification URL
+ *   2. User approves the code from any browser
+ *   3. Script polls the API until approved, denied or expired
+ *   4. Steps 5-6 of the browser flow
  *
  * Security Layers:
+ *   - Loopback callback hardening (state check, PKCE, 127.0.0.1 only - RFC 8252)
  *   - JWT signature verification (RSA/ECDSA from Vercel)
  *   - Guardian Blessing Token (HMAC tampering protection)
  *   - Vercel Checksum (rotation-based anti-replay)
@@ -28,9 +39,26 @@ const path = require('path');
 const fs = require('fs');
 
 // Import from esmc-auth (standalone authentication - no MCP)
-// ESMC 3.61: credentials.js deprecated - using license-manager instead
+// ESMC 3.61: license-manager holds the license; credentials.js keeps the tokens for refresh
 const { getHardwareId, getDeviceName, getOSInfo } = require('../esmc-auth/src/auth/hardware.js');
-const { AUTH_URL, CALLBACK_PORT, CALLBACK_TIMEOUT } = require('../esmc-auth/src/config/constants.js');
+const { saveDeviceRecord } = require('../esmc-auth/src/auth/fingerprint.js');
+const { describeEnvironment } = require('../esmc-auth/src/auth/environment.js');
+const { AUTH_URL, CALLBACK_PORT, CALLBACK_HOST, CALLBACK_TIMEOUT } = require('../esmc-auth/src/config/constants.js');
+const { requestDeviceCode, pollForToken } = require('../esmc-auth/src/auth/device-flow.js');
+const { maskEmail, redactString } = require('../esmc-auth/src/core/redact.js');
+const { logEvent } = require('../esmc-auth/src/core/logger.js');
+const { getActiveProfile, setActiveProfile } = require('../esmc-auth/src/core/profiles.js');
+const { getExpiryState } = require('../esmc-auth/src/core/subscription-expiry.js');
+const { EXIT_CODES } = require('./lib/cli.js');
+const { recordServerTime } = require('../esmc-auth/src/core/trusted-clock.js');
+const {
+  createPkcePair,
+  createState,
+  statesMatch,
+  exchangeAuthorizationCode,
+  acquireLoginLock,
+  releaseLoginLock
+} = require('../esmc-auth/src/auth/auth-code-flow.js');
 const crypto = require('crypto');
 const http = require('http');
 const { exec } = require('child_process');
@@ -135,53 +163,412 @@ function revokeLicense() {
   return false;
 }
 
-console.log('═══════════════════════════════════════════════════════════════════════');
-console.log('🎖️ ESMC SDK - Standalone Login');
-console.log('   Browser-based authentication (No MCP Required)');
-console.log('═══════════════════════════════════════════════════════════════════════\n');
+/**
+ * Create a login error with a machine-readable code
+ * Codes: JWT_INVALID, FORTRESS_BREACH
+ */
+function loginError(code, message, detail) {
+  const error = new Error(message);
+  error.code = code;
+  error.detail = detail || message;
+  return error;
+}
 
-async function login() {
-  // Get hardware information
-  const hardwareId = getHardwareId();
-  const deviceName = getDeviceName();
-  const osInfo = getOSInfo();
+/**
+ * CLI exit code for a failed login (EXIT_CODES, scripts/lib/cli.js)
+ */
+function getLoginExitCode(error) {
+  if (['JWT_INVALID', 'FORTRESS_BREACH', 'UNSIGNED', 'INVALID', 'SIGNATURE_INVALID', 'MALFORMED', 'NOT_CANONICAL'].includes(error.code)) {
+    return EXIT_CODES.VERIFICATION_FAILED;
+  }
+  if (error.code === 'network_error' || error.code === 'EXCHANGE_FAILED') {
+    return EXIT_CODES.NETWORK;
+  }
+  if (error.code === 'LIMIT_REACHED') {
+    return EXIT_CODES.LIMIT_REACHED;
+  }
+  return EXIT_CODES.ERROR;
+}
 
-  // Use hardwareId as session (matches server behavior)
-  const sessionId = hardwareId;
-  const stateToken = crypto.randomBytes(16).toString('hex');
+/**
+ * Follow-up advice printed under a failed login, or null
+ */
+function getLoginHint(error) {
+  if (error.code === 'UNSIGNED') {
+    return 'Your ESMC server sent no signed license. To accept a legacy (unsigned) license, run again with ESMC_ALLOW_UNSIGNED_LICENSE=1';
+  }
+  if (error.code === 'LIMIT_REACHED') {
+    return 'See which projects hold the slots: esmc projects';
+  }
+  return null;
+}
 
-  console.log('📋 Device Information:');
-  console.log(`   Device: ${deviceName}`);
-  console.log(`   OS: ${osInfo.platform} ${osInfo.release}`);
-  console.log(`   Hardware ID: ${hardwareId.substring(0, 16)}...`);
+/**
+ * Parse an auth parameter that may arrive URL-encoded (browser callback)
+ * or already decoded (device token response)
+ */
+function parseAuthParam(value) {
+  if (!value) {
+    return null;
+  }
+  return typeof value === 'string' ? JSON.parse(decodeURIComponent(value)) : value;
+}
+
+/**
+ * Detect environments where a browser cannot be opened locally
+ * (SSH sessions, devcontainers, CI boxes, Linux without a display)
+ */
+function isHeadlessEnvironment() {
+  if (process.env.CI || process.env.SSH_CONNECTION || process.env.SSH_TTY) {
+    return true;
+  }
+  if (process.env.CODESPACES || process.env.REMOTE_CONTAINERS) {
+    return true;
+  }
+  return process.platform === 'linux' && !process.env.DISPLAY && !process.env.WAYLAND_DISPLAY;
+}
+
+/**
+ * Complete login once a token has been received (shared by browser + device flows)
+ * Verifies the JWT, runs FORTRESS sampling, writes the license file and saves
+ * the credentials (with the refresh token, if the server issued one)
+ *
+ * @param {object} authResult - { token, refreshToken, licenseToken, blessing, checksum, samples }
+ * @returns {Promise<object>} - License data written to disk
+ * @throws {Error} - code JWT_INVALID or FORTRESS_BREACH
+ */
+async function completeLogin(authResult) {
+  const { token } = authResult;
+
+  // Verify JWT signature (CRITICAL SECURITY)
+  console.log(`🔐 Verifying JWT signature (fetching from Vercel)...`);
+  const { verifyAndExtractUserData } = require('../esmc-auth/src/auth/jwt-validator.js');
+
+  let userInfo = {};
+  try {
+    userInfo = await verifyAndExtractUserData(token);
+    console.log(`   ✅ JWT signature valid (RSA/ECDSA verified from Vercel)`);
+    // Online re-validation: the server's time becomes the trusted clock's reference
+    recordServerTime(userInfo.iat);
+  } catch (verifyError) {
+    console.error(`   ❌ JWT verification failed: ${redactString(verifyError.message)}`);
+    if (verifyError.code === 'EXPIRED' || verifyError.code === 'NOT_YET_VALID') {
+      console.error(`   ⚠️  Check that this machine's clock is correct`);
+    } else {
+      console.error(`   ⚠️  Token may be forged or tampered!`);
+    }
+    throw loginError('JWT_INVALID', `JWT verification failed: ${verifyError.message}`, verifyError.message);
+  }
+
+  // ESMC 3.61 OPTION 3: Extract compositeDeviceId from JWT (dual-layer binding)
+  console.log(`🔐 Writing secure license file (.lic)...`);
+  const licenseManager = require('../esmc-auth/src/core/esmc-license-manager.js');
+
+  // JWT contains compositeDeviceId in hardwareId field (ESMC 3.61 architecture)
+  const compositeDeviceId = userInfo.hardwareId;
+
+  if (!compositeDeviceId) {
+    console.error(`   ⚠️  Device binding failed - using fallback`);
+  } else {
+    console.log(`   ✅ Device binding verified`);
+  }
+
+  // Parse and verify Guardian Blessing Token (server signature, tier and device must match)
+  let blessing = null;
+  if (authResult.blessing) {
+    try {
+      blessing = parseAuthParam(authResult.blessing);
+    } catch (parseError) {
+      console.error(`   ⚠️  Security token validation failed`);
+    }
+    if (blessing) {
+      const verification = await licenseManager.verifyBlessing(blessing, {
+        tier: userInfo.tier || 'FREE',
+        compositeDeviceId
+      });
+      if (verification.valid) {
+        console.log(`   ✅ Security token verified (${verification.checks.map(check => check.name).join(', ')})`);
+      } else {
+        console.error(`   ⚠️  Security token rejected - ${verification.reason}`);
+        blessing = null;
+      }
+    }
+  } else {
+    console.warn(`   ⚠️  Security token missing (legacy authentication)`);
+  }
+
+  // Parse Vercel Checksum (ESMC 3.65)
+  let vercelChecksum = null;
+  if (authResult.checksum) {
+    try {
+      vercelChecksum = parseAuthParam(authResult.checksum);
+      console.log(`   ✅ Vercel checksum validated (rotation: ${vercelChecksum.rotation.substring(0, 10)}...)`);
+    } catch (parseError) {
+      console.error(`   ⚠️  Vercel checksum validation failed`);
+    }
+  } else {
+    console.warn(`   ⚠️  Vercel checksum missing (legacy authentication)`);
+  }
+
+  // ════════════════════════════════════════════════════════════════════
+  // ESMC 4.1: FORTRESS MODE - Random Sampling Verification
+  // ════════════════════════════════════════════════════════════════════
+  let verificationSamples = [];
+
+  if (authResult.samples) {
+    try {
+      verificationSamples = parseAuthParam(authResult.samples);
+    } catch (e) {
+      console.warn(`   ⚠️  Failed to parse verification samples`);
+    }
+  }
+
+  if (verificationSamples && verificationSamples.length > 0) {
+    console.log(`🔒 FORTRESS MODE: Verifying SDK integrity (${verificationSamples.length} random samples)...`);
+
+    const verifyResult = verifyIntegritySamples(verificationSamples);
+
+    if (verifyResult.success) {
+      console.log(`   ✅ FORTRESS LOCK: SDK integrity validated`);
+      console.log(`   🔐 All ${verifyResult.verified} samples verified`);
+    } else if (verifyResult.skipped) {
+      console.log(`   ⚠️  FORTRESS validation skipped (components not found)`);
+      console.log(`   📋 This may be a first-time setup`);
+    } else {
+      // FORTRESS BREACH: Package has been tampered with!
+      console.error(`\n🚨 FORTRESS BREACH DETECTED!`);
+      console.error(`   ❌ SDK integrity validation FAILED`);
+      console.error(`   📦 ${verifyResult.failed.length} file(s) failed verification`);
+      console.error(`\n⚠️  Your SDK package may have been tampered with.`);
+      console.error(`   Please download a fresh copy from https://esmc-sdk.com`);
+
+      // Revoke license
+      revokeLicense();
+
+      throw loginError('FORTRESS_BREACH', 'FORTRESS BREACH: SDK integrity validation failed');
+    }
+  } else {
+    console.warn(`   ⚠️  FORTRESS MODE disabled (server did not send verification samples)`);
+  }
+
+  // Prepare license data (ESMC 3.65: Plaintext structure)
+  const licenseData = {
+    email: userInfo.email || 'unknown@esmc-sdk.com',
+    userId: userInfo.sub || userInfo.userId,
+    displayName: userInfo.name || 'ESMC User',
+    tier: userInfo.tier || 'FREE',
+    subscriptionStatus: 'active',
+    subscriptionEndDate: userInfo.subscriptionEndDate || null,  // 🔧 FIXED: Use subscriptionEndDate from JWT, NOT exp claim
+    compositeDeviceId: compositeDeviceId, // ESMC 3.61: Dual-layer binding
+    blessing: blessing, // Guardian Blessing Token (CRITICAL for tampering protection)
+    vercelChecksum: vercelChecksum, // ESMC 3.65: Self-healing protection
+    licenseToken: authResult.licenseToken || null // Server-signed license body (verified offline on every read)
+  };
+
+  // Without a license file ESMC cannot run in this project: the login fails (stored credentials are left as they were)
+  const result = licenseManager.writeLicenseFile(licenseData);
+  if (!result.success) {
+    throw loginError(result.code || 'LICENSE_WRITE_FAILED', `License file not written: ${result.error}`);
+  }
+  console.log(`   ✅ License file created successfully`);
+
+  // Credentials keep the access + refresh token so the MCP server can renew the session
+  const { saveCredentials, getCredentialStore } = require('../esmc-auth/src/auth/credentials.js');
+  try {
+    saveCredentials({
+      token,
+      refreshToken: authResult.refreshToken || null,
+      licenseToken: licenseData.licenseToken,
+      tokenExpiresAt: userInfo.exp ? new Date(userInfo.exp * 1000).toISOString() : null,
+      email: licenseData.email,
+      userId: licenseData.userId,
+      name: licenseData.displayName,
+      tier: licenseData.tier,
+      expiresAt: licenseData.subscriptionEndDate,
+      hardwareId: compositeDeviceId || null
+    });
+    console.log(authResult.refreshToken
+      ? `   ✅ Credentials saved (${getCredentialStore().name}, token refresh enabled)`
+      : `   ✅ Credentials saved (${getCredentialStore().name})`);
+  } catch (saveError) {
+    console.error(`   ⚠️  Credentials not saved: ${saveError.message}`);
+  }
+
+  return licenseData;
+}
+
+/**
+ * Print login summary
+ * @param {object} licenseData - License data returned by completeLogin()
+ */
+function printLoginSuccess(licenseData) {
   console.log('');
+  console.log('═══════════════════════════════════════════════════════════════════════');
+  console.log('✅ LOGIN SUCCESSFUL');
+  console.log('═══════════════════════════════════════════════════════════════════════');
+  console.log(`👤 Name: ${licenseData.displayName}`);
+  console.log(`📧 Email: ${maskEmail(licenseData.email)}`);
+  console.log(`🎖️  Tier: ${licenseData.tier}`);
+
+  const profile = getActiveProfile();
+  if (profile.source !== 'default') {
+    console.log(`🗂️  Profile: ${profile.name}`);
+  }
 
-  // Build authentication URL
-  const authUrl = `${AUTH_URL}?session=${sessionId}&state=${stateToken}&port=${CALLBACK_PORT}&hardwareId=${encodeURIComponent(hardwareId)}`;
-
-  // Inform user
-  console.log('🌐 Opening browser for authentication...');
-  console.log(`   URL: ${AUTH_URL}`);
-  console.log(`   Callback port: ${CALLBACK_PORT}`);
-  console.log(`   Timeout: ${CALLBACK_TIMEOUT / 1000} seconds\n`);
-
-  // Open browser (cross-platform)
-  const openCommand = process.platform === 'win32'
-    ? `start "" "${authUrl}"`
-    : process.platform === 'darwin'
-    ? `open "${authUrl}"`
-    : `xdg-open "${authUrl}"`;
-
-  exec(openCommand, (error) => {
-    if (error) {
-      console.error(`⚠️  Could not open browser automatically: ${error.message}`);
-      console.log(`\n📋 Please manually open this URL in your browser:\n${authUrl}\n`);
+  if (licenseData.subscriptionEndDate) {
+    const expiryDate = new Date(licenseData.subscriptionEndDate);
+    console.log(`⏰ Subscription: ${expiryDate.toLocaleDateString('en-US', { month: 'short', day: '2-digit', year: 'numeric' })}`);
+    const expiry = getExpiryState(licenseData.subscriptionEndDate);
+    if (expiry.state !== 'active') {
+      console.log(`⚠️  ${expiry.message}`);
+    }
+  } else {
+    console.log(`⏰ Subscription: No expiration`);
+  }
+
+  console.log('');
+  console.log('🚀 ESMC is now ready to use!');
+
+  if (licenseData.tier === 'FREE') {
+    console.log('💡 Visit https://esmc-sdk.com/pricing to upgrade your tier');
+  }
+
+  console.log('═══════════════════════════════════════════════════════════════════════');
+}
+
+/**
+ * Headless login via Device Authorization Grant (RFC 8628)
+ * @param {object} device - { hardwareId, deviceName, osInfo }
+ * @returns {Promise<object>} - License data
+ */
+async function loginWithDeviceCode(device) {
+  console.log('📟 Requesting device code (headless login)...');
+
+  const deviceCode = await requestDeviceCode({
+    hardwareId: device.hardwareId,
+    deviceName: device.deviceName,
+    os: device.osInfo.toString()
+  });
+
+  console.log('');
+  console.log('───────────────────────────────────────────────────────────────────────');
+  console.log(`🔑 Your code: ${deviceCode.userCode}`);
+  console.log(`🌐 Open on any device: ${deviceCode.verificationUri}`);
+  if (deviceCode.verificationUriComplete) {
+    console.log(`   Or open directly: ${deviceCode.verificationUriComplete}`);
+  }
+  console.log(`   Code expires in ${Math.round(deviceCode.expiresIn / 60)} minutes`);
+  console.log('───────────────────────────────────────────────────────────────────────');
+  console.log('');
+  console.log('   Waiting for approval...');
+
+  const authResult = await pollForToken(deviceCode, {
+    hardwareId: device.hardwareId,
+    onPoll: (state, interval) => {
+      if (state === 'slow_down') {
+        console.log(`   ⏳ Server asked to slow down - polling every ${interval}s`);
+      }
     }
   });
 
-  // Start local callback server to receive the token
+  console.log(`✅ Device authorized! Token received.`);
+
+  const licenseData = await completeLogin(authResult);
+  printLoginSuccess(licenseData);
+  return licenseData;
+}
+
+/**
+ * Send a minimal failure page to the browser
+ */
+function sendFailurePage(res, status, heading, message) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(`
+    <html>
+      <head>
+        <meta charset="utf-8">
+        <title>ESMC Authentication Failed</title>
+        <style>
+          body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; text-align: center; padding: 50px; background: #f5f5f5; }
+          h1 { color: #dc3545; }
+          p { color: #666; }
+        </style>
+      </head>
+      <body>
+        <h1>❌ ${heading}</h1>
+        <p>${message}</p>
+      </body>
+    </html>
+  `);
+}
+
+/**
+ * Listen on the loopback interface only (RFC 8252 section 7.3)
+ * Prefers CALLBACK_PORT, falls back to an OS-assigned port when it is busy
+ *
+ * @param {http.Server} server - Callback server
+ * @returns {Promise<number>} - Bound port
+ */
+function listenOnLoopback(server) {
+  return new Promise((resolve, reject) => {
+    let triedEphemeral = false;
+
+    const onError = (err) => {
+      if (err.code === 'EADDRINUSE' && !triedEphemeral) {
+        triedEphemeral = true;
+        console.warn(`⚠️  Port ${CALLBACK_PORT} is busy - using an OS-assigned port instead`);
+        server.listen(0, CALLBACK_HOST);
+        return;
+      }
+      server.off('listening', onListening);
+      reject(err);
+    };
+
+    const onListening = () => {
+      server.off('error', onError);
+      resolve(server.address().port);
+    };
+
+    server.on('error', onError);
+    server.once('listening', onListening);
+    server.listen(CALLBACK_PORT, CALLBACK_HOST);
+  });
+}
+
+/**
+ * Browser login via loopback callback server (authorization code + PKCE)
+ * Holds the per-user login lock for the whole attempt
+ *
+ * @param {object} device - { hardwareId, deviceName, osInfo }
+ * @returns {Promise<object>} - License data
+ */
+async function loginWithBrowser(device) {
+  acquireLoginLock();
+
+  try {
+    return await runLoopbackLogin(device);
+  } finally {
+    releaseLoginLock();
+  }
+}
+
+/**
+ * Run one loopback login attempt
+ * @param {object} device - { hardwareId, deviceName, osInfo }
+ * @returns {Promise<object>} - License data
+ */
+function runLoopbackLogin(device) {
+  const { hardwareId } = device;
+
+  // Use hardwareId as session (matches server behavior)
+  const sessionId = hardwareId;
+  const stateToken = createState();
+  const pkce = createPkcePair();
+
   return new Promise((resolve, reject) => {
     let serverClosed = false;
+    let callbackConsumed = false;
+    let redirectUri = null;
 
     const server = http.createServer(async (req, res) => {
       // Ignore favicon requests
@@ -191,9 +578,7 @@ async function login() {
         return;
       }
 
-      console.log(`📥 Received callback: ${req.url}`);
-
-      const url = new URL(req.url || '', `http://localhost:${CALLBACK_PORT}`);
+      const url = new URL(req.url || '', `http://${CALLBACK_HOST}`);
 
       // Only handle /callback endpoint
       if (url.pathname !== '/callback') {
@@ -202,10 +587,26 @@ async function login() {
         return;
       }
 
-      const token = url.searchParams.get('token');
+      console.log(`📥 Received callback`);
+
+      // Single-use callback: replays are rejected, never re-processed
+      if (callbackConsumed) {
+        console.warn(`⚠️  Ignoring repeated callback (already used)`);
+        sendFailurePage(res, 409, 'Callback Already Used', 'This login link has already been used. Start a new login if needed.');
+        return;
+      }
+
+      // Reject callbacks that do not belong to this login attempt (CSRF)
+      if (!statesMatch(stateToken, url.searchParams.get('state'))) {
+        console.warn(`⚠️  Rejected callback with invalid state parameter`);
+        sendFailurePage(res, 400, 'Invalid Login Request', 'This callback does not match the login started in your terminal.');
+        return;
+      }
+
+      callbackConsumed = true;
+
+      const code = url.searchParams.get('code');
       const returnedSession = url.searchParams.get('session');
-      const blessingParam = url.searchParams.get('blessing');
-      const checksumParam = url.searchParams.get('checksum'); // ESMC 3.65: Vercel checksum
       const error = url.searchParams.get('error');
 
       // Handle authentication error
@@ -237,151 +638,37 @@ async function login() {
         return reject(new Error(`Authentication failed: ${error}`));
       }
 
-      // Validate token exists
-      if (!token) {
-        console.log(`❌ Missing token`);
-        res.writeHead(400, { 'Content-Type': 'text/html; charset=utf-8' });
-        res.end(`
-          <html>
-            <head>
-              <meta charset="utf-8">
-              <title>ESMC Authentication Failed</title>
-              <style>
-                body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; text-align: center; padding: 50px; background: #f5f5f5; }
-                h1 { color: #dc3545; }
-              </style>
-            </head>
-            <body>
-              <h1>❌ Invalid Authentication Response</h1>
-              <p>Missing authentication token. Please try again.</p>
-            </body>
-          </html>
-        `);
+      // Validate authorization code exists (raw tokens are no longer accepted)
+      if (!code) {
+        console.log(`❌ Missing authorization code`);
+        sendFailurePage(res, 400, 'Invalid Authentication Response', 'Missing authorization code. Please try again.');
 
         serverClosed = true;
         setTimeout(() => server.close(), 1000);
 
-        return reject(new Error('Missing token'));
+        return reject(new Error('Missing authorization code'));
       }
 
       // Note: Server uses hardwareId from JWT payload, not our local sessionId
       // This is intentional - the server validates against the browser's hardware fingerprint
 
       // Authentication successful!
-      console.log(`✅ Authentication successful! Token received.`);
-
-      // Verify JWT signature (CRITICAL SECURITY)
-      console.log(`🔐 Verifying JWT signature (fetching from Vercel)...`);
-      const { verifyAndExtractUserData } = require('../esmc-auth/src/auth/jwt-validator.js');
+      console.log(`✅ Authentication successful! Authorization code received.`);
 
-      let userInfo = {};
+      let licenseData;
       try {
-        userInfo = await verifyAndExtractUserData(token);
-        console.log(`   ✅ JWT signature valid (RSA/ECDSA verified from Vercel)`);
-      } catch (verifyError) {
-        console.error(`   ❌ JWT verification failed: ${verifyError.message}`);
-        console.error(`   ⚠️  Token may be forged or tampered!`);
-
-        res.writeHead(403, { 'Content-Type': 'text/html; charset=utf-8' });
-        res.end(`
-          <html>
-            <head>
-              <meta charset="utf-8">
-              <title>ESMC Authentication Failed</title>
-              <style>
-                body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; text-align: center; padding: 50px; background: #f5f5f5; }
-                h1 { color: #dc3545; }
-              </style>
-            </head>
-            <body>
-              <h1>❌ Authentication Failed</h1>
-              <p>JWT signature verification failed.</p>
-              <p>Error: ${verifyError.message}</p>
-              <p>This token may be forged or tampered with.</p>
-            </body>
-          </html>
-        `);
-
-        serverClosed = true;
-        setTimeout(() => server.close(), 1000);
-        return reject(new Error(`JWT verification failed: ${verifyError.message}`));
-      }
-
-      // ESMC 3.61 OPTION 3: Extract compositeDeviceId from JWT (dual-layer binding)
-      console.log(`🔐 Writing secure license file (.lic)...`);
-      const licenseManager = require('../esmc-auth/src/core/esmc-license-manager.js');
-
-      // JWT contains compositeDeviceId in hardwareId field (ESMC 3.61 architecture)
-      const compositeDeviceId = userInfo.hardwareId;
-
-      if (!compositeDeviceId) {
-        console.error(`   ⚠️  Device binding failed - using fallback`);
-      } else {
-        console.log(`   ✅ Device binding verified`);
-      }
-
-      // Parse Guardian Blessing Token from callback
-      let blessing = null;
-      if (blessingParam) {
-        try {
-          blessing = JSON.parse(decodeURIComponent(blessingParam));
-          console.log(`   ✅ Security token validated`);
-        } catch (parseError) {
-          console.error(`   ⚠️  Security token validation failed`);
-        }
-      } else {
-        console.warn(`   ⚠️  Security token missing (legacy authentication)`);
-      }
-
-      // Parse Vercel Checksum from callback (ESMC 3.65)
-      let vercelChecksum = null;
-      if (checksumParam) {
-        try {
-          vercelChecksum = JSON.parse(decodeURIComponent(checksumParam));
-          console.log(`   ✅ Vercel checksum validated (rotation: ${vercelChecksum.rotation.substring(0, 10)}...)`);
-        } catch (parseError) {
-          console.error(`   ⚠️  Vercel checksum validation failed`);
-        }
-      } else {
-        console.warn(`   ⚠️  Vercel checksum missing (legacy authentication)`);
-      }
-
-      // ════════════════════════════════════════════════════════════════════
-      // ESMC 4.1: FORTRESS MODE - Random Sampling Verification
-      // ════════════════════════════════════════════════════════════════════
-      let verificationSamples = [];
-      const samplesParam = url.searchParams.get('samples');
-
-      if (samplesParam) {
-        try {
-          verificationSamples = JSON.parse(decodeURIComponent(samplesParam));
-        } catch (e) {
-          console.warn(`   ⚠️  Failed to parse verification samples`);
-        }
-      }
-
-      if (verificationSamples && verificationSamples.length > 0) {
-        console.log(`🔒 FORTRESS MODE: Verifying SDK integrity (${verificationSamples.length} random samples)...`);
-
-        const verifyResult = verifyIntegritySamples(verificationSamples);
-
-        if (verifyResult.success) {
-          console.log(`   ✅ FORTRESS LOCK: SDK integrity validated`);
-          console.log(`   🔐 All ${verifyResult.verified} samples verified`);
-        } else if (verifyResult.skipped) {
-          console.log(`   ⚠️  FORTRESS validation skipped (components not found)`);
-          console.log(`   📋 This may be a first-time setup`);
-        } else {
-          // FORTRESS BREACH: Package has been tampered with!
-          console.error(`\n🚨 FORTRESS BREACH DETECTED!`);
-          console.error(`   ❌ SDK integrity validation FAILED`);
-          console.error(`   📦 ${verifyResult.failed.length} file(s) failed verification`);
-          console.error(`\n⚠️  Your SDK package may have been tampered with.`);
-          console.error(`   Please download a fresh copy from https://esmc-sdk.com`);
-
-          // Revoke license
-          revokeLicense();
-
+        // PKCE: exchange the one-time code (token never travels in the URL)
+        const authResult = await exchangeAuthorizationCode({
+          code,
+          codeVerifier: pkce.codeVerifier,
+          redirectUri,
+          hardwareId
+        });
+        console.log(`✅ Authorization code exchanged. Token received.`);
+
+        licenseData = await completeLogin(authResult);
+      } catch (loginFailure) {
+        if (loginFailure.code === 'FORTRESS_BREACH') {
           res.writeHead(403, { 'Content-Type': 'text/html; charset=utf-8' });
           res.end(`
             <html>
@@ -406,38 +693,31 @@ async function login() {
               </body>
             </html>
           `);
-
-          serverClosed = true;
-          setTimeout(() => server.close(), 1000);
-          return reject(new Error('FORTRESS BREACH: SDK integrity validation failed'));
-        }
-      } else {
-        console.warn(`   ⚠️  FORTRESS MODE disabled (server did not send verification samples)`);
-      }
-
-      // Prepare license data (ESMC 3.65: Plaintext structure)
-      const licenseData = {
-        email: userInfo.email || 'unknown@esmc-sdk.com',
-        userId: userInfo.sub || userInfo.userId,
-        displayName: userInfo.name || 'ESMC User',
-        tier: userInfo.tier || 'FREE',
-        subscriptionStatus: 'active',
-        subscriptionEndDate: userInfo.subscriptionEndDate || null,  // 🔧 FIXED: Use subscriptionEndDate from JWT, NOT exp claim
-        compositeDeviceId: compositeDeviceId, // ESMC 3.61: Dual-layer binding
-        blessing: blessing, // Guardian Blessing Token (CRITICAL for tampering protection)
-        vercelChecksum: vercelChecksum // ESMC 3.65: Self-healing protection
-      };
-
-      try {
-        const result = licenseManager.writeLicenseFile(licenseData);
-        if (result.success) {
-          console.log(`   ✅ License file created successfully`);
         } else {
-          throw new Error(result.error);
+          res.writeHead(403, { 'Content-Type': 'text/html; charset=utf-8' });
+          res.end(`
+            <html>
+              <head>
+                <meta charset="utf-8">
+                <title>ESMC Authentication Failed</title>
+                <style>
+                  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; text-align: center; padding: 50px; background: #f5f5f5; }
+                  h1 { color: #dc3545; }
+                </style>
+              </head>
+              <body>
+                <h1>❌ Authentication Failed</h1>
+                <p>JWT signature verification failed.</p>
+                <p>Error: ${loginFailure.detail}</p>
+                <p>This token may be forged or tampered with.</p>
+              </body>
+            </html>
+          `);
         }
-      } catch (saveError) {
-        console.error(`   ❌ Failed to write license file: ${saveError.message}`);
-        // Continue anyway - user authenticated successfully
+
+        serverClosed = true;
+        setTimeout(() => server.close(), 1000);
+        return reject(loginFailure);
       }
 
       // Send success response to browser
@@ -488,76 +768,164 @@ async function login() {
       serverClosed = true;
       setTimeout(() => server.close(), 1000);
 
-      // Print success message
-      console.log('');
-      console.log('═══════════════════════════════════════════════════════════════════════');
-      console.log('✅ LOGIN SUCCESSFUL');
-      console.log('═══════════════════════════════════════════════════════════════════════');
-      console.log(`👤 Name: ${licenseData.displayName}`);
-      console.log(`📧 Email: ${licenseData.email}`);
-      console.log(`🎖️  Tier: ${licenseData.tier}`);
-
-      if (licenseData.subscriptionEndDate) {
-        const expiryDate = new Date(licenseData.subscriptionEndDate);
-        console.log(`⏰ Subscription: ${expiryDate.toLocaleDateString('en-US', { month: 'short', day: '2-digit', year: 'numeric' })}`);
-      } else {
-        console.log(`⏰ Subscription: No expiration`);
-      }
-
-      console.log('');
-      console.log('🚀 ESMC is now ready to use!');
-
-      if (licenseData.tier === 'FREE') {
-        console.log('💡 Visit https://esmc-sdk.com/pricing to upgrade your tier');
-      }
-
-      console.log('═══════════════════════════════════════════════════════════════════════');
+      printLoginSuccess(licenseData);
 
       // Resolve promise
       resolve(licenseData);
     });
 
-    // Start listening on callback port
-    server.listen(CALLBACK_PORT, () => {
-      console.log(`🔌 Callback server started on http://localhost:${CALLBACK_PORT}`);
-      console.log(`   Waiting for authentication...`);
-      console.log('');
-    });
-
-    // Handle server errors
-    server.on('error', (err) => {
-      if (!serverClosed) {
-        console.error(`❌ Callback server error: ${err.message}`);
-
-        if (err.code === 'EADDRINUSE') {
-          console.error(`\n⚠️  Port ${CALLBACK_PORT} is already in use.`);
-          console.error(`   Another authentication session may be running.`);
-          console.error(`   Please wait a moment and try again.\n`);
-          reject(new Error(`Port ${CALLBACK_PORT} already in use`));
-        } else {
+    // Start listening on loopback, then open the browser with the bound port
+    listenOnLoopback(server)
+      .then((port) => {
+        redirectUri = `http://${CALLBACK_HOST}:${port}/callback`;
+
+        // Build authentication URL (PKCE challenge only - verifier never leaves this process)
+        const authUrl = `${AUTH_URL}?session=${sessionId}&state=${stateToken}&port=${port}` +
+          `&redirect_uri=${encodeURIComponent(redirectUri)}` +
+          `&code_challenge=${pkce.codeChallenge}&code_challenge_method=${pkce.method}` +
+          `&hardwareId=${encodeURIComponent(hardwareId)}`;
+
+        console.log(`🔌 Callback server started on ${redirectUri}`);
+        console.log('');
+
+        // Inform user
+        console.log('🌐 Opening browser for authentication...');
+        console.log(`   URL: ${AUTH_URL}`);
+        console.log(`   Callback port: ${port}`);
+        console.log(`   Timeout: ${CALLBACK_TIMEOUT / 1000} seconds\n`);
+
+        // Open browser (cross-platform)
+        const openCommand = process.platform === 'win32'
+          ? `start "" "${authUrl}"`
+          : process.platform === 'darwin'
+          ? `open "${authUrl}"`
+          : `xdg-open "${authUrl}"`;
+
+        exec(openCommand, (error) => {
+          if (error) {
+            console.error(`⚠️  Could not open browser automatically: ${redactString(error.message)}`);
+            console.log(`\n📋 Please manually open this URL in your browser:\n${authUrl}\n`);
+            console.log(`💡 No browser on this machine? Run: npm run login -- --device\n`);
+          }
+        });
+
+        console.log(`   Waiting for authentication...`);
+        console.log('');
+      })
+      .catch((err) => {
+        if (!serverClosed) {
+          console.error(`❌ Callback server error: ${err.message}`);
+          serverClosed = true;
           reject(err);
         }
-      }
-    });
+      });
 
     // Set timeout
-    setTimeout(() => {
+    const timer = setTimeout(() => {
       if (!serverClosed) {
         console.log(`\n⏱️  Authentication timeout (${CALLBACK_TIMEOUT / 1000}s)`);
         console.log(`   Please try again.\n`);
+        serverClosed = true;
         server.close();
         reject(new Error('Authentication timeout'));
       }
     }, CALLBACK_TIMEOUT);
+    server.on('close', () => clearTimeout(timer));
   });
 }
 
+/**
+ * Run login (browser or device code flow)
+ * @param {object} options - { device: boolean } (defaults to headless detection)
+ * @returns {Promise<object>} - License data
+ */
+async function login(options = {}) {
+  if (options.profile) {
+    setActiveProfile(options.profile);
+  }
+
+  // Get hardware information
+  const hardwareId = getHardwareId();
+  const deviceName = getDeviceName();
+  const osInfo = getOSInfo();
+
+  console.log('📋 Device Information:');
+  console.log(`   Device: ${deviceName}`);
+  console.log(`   OS: ${osInfo.platform} ${osInfo.release}`);
+  console.log(`   Environment: ${describeEnvironment()}`);
+  console.log(`   Hardware ID: ${hardwareId.substring(0, 16)}...`);
+  console.log('');
+
+  // Revocations queued by an offline logout
+  const { retryPendingRevocations } = require('../esmc-auth/src/auth/revocation.js');
+  const retried = await retryPendingRevocations();
+  if (retried.revoked > 0) {
+    console.log(`📮 ${retried.revoked} queued logout(s) sent to the server`);
+  }
+
+  const useDeviceFlow = options.device !== undefined ? options.device : isHeadlessEnvironment();
+  const device = { hardwareId, deviceName, osInfo };
+  const mode = useDeviceFlow ? 'device' : 'browser';
+
+  try {
+    const licenseData = useDeviceFlow ? await loginWithDeviceCode(device) : await loginWithBrowser(device);
+
+    // The license is now bound to this hardware ID: record the fingerprint behind it
+    saveDeviceRecord(hardwareId, 'login');
+    logEvent('login.success', { mode, profile: getActiveProfile().name, tier: licenseData.tier, email: licenseData.email });
+    return licenseData;
+  } catch (error) {
+    logEvent('login.failure', { mode, error: error.message, code: error.code || null });
+    throw error;
+  }
+}
+
+/**
+ * Parse login CLI flags (--device / --browser / --profile <name>)
+ */
+function parseLoginArgs(argv) {
+  const options = {};
+  if (argv.includes('--device')) {
+    options.device = true;
+  } else if (argv.includes('--browser')) {
+    options.device = false;
+  }
+
+  const profileIndex = argv.findIndex(arg => arg === '--profile' || arg.startsWith('--profile='));
+  if (profileIndex !== -1) {
+    const arg = argv[profileIndex];
+    options.profile = arg.includes('=') ? arg.slice('--profile='.length) : argv[profileIndex + 1];
+  }
+
+  return options;
+}
+
 // Run login
-login()
-  .then(() => {
-    process.exit(0);
-  })
-  .catch((error) => {
-    console.error(`\n❌ Login failed: ${error.message}\n`);
-    process.exit(1);
-  });
+if (require.main === module) {
+  console.log('═══════════════════════════════════════════════════════════════════════');
+  console.log('🎖️ ESMC SDK - Standalone Login');
+  console.log('   Browser or device code authentication (No MCP Required)');
+  console.log('═══════════════════════════════════════════════════════════════════════\n');
+
+  login(parseLoginArgs(process.argv.slice(2)))
+    .then(() => {
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error(`\n❌ Login failed: ${redactString(error.message)}`);
+      const hint = getLoginHint(error);
+      if (hint) {
+        console.error(`💡 ${hint}`);
+      }
+      console.error('');
+      process.exit(getLoginExitCode(error));
+    });
+}
+
+module.exports = {
+  login,
+  parseLoginArgs,
+  getLoginExitCode,
+  getLoginHint,
+  isHeadlessEnvironment
+};
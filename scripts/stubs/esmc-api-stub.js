@@ -0,0 +1,509 @@
+#!/usr/bin/env node
+/**
+ * ESMC API Stand-in Server
+ * Emulates the esmc-sdk.com endpoints the SDK talks to, so login flows
+ * can be exercised locally without network access or a real account.
+ *
+ * DEVELOPMENT ONLY - tokens are signed with a throwaway key generated at startup.
+ *
+ * Usage:
+ *   node scripts/stubs/esmc-api-stub.js [--port 4010] [--scenario approve] [--tier PRO]
+ *                                       [--alg RS256|ES256|EdDSA] [--rotate-every N] [--jwks-max-age 300]
+ *                                       [--token-ttl 3600] [--unsigned-license]
+ *
+ * Point the SDK at it:
+ *   ESMC_API_URL=http://127.0.0.1:4010/api \
+ *   ESMC_AUTH_URL=http://127.0.0.1:4010/auth/auth-login \
+ *   ESMC_JWKS_URL=http://127.0.0.1:4010/.well-known/jwks.json \
+ *   node scripts/login-standalone.js --device
+ *
+ * Browser flow: /auth/auth-login approves immediately and redirects to the
+ * loopback redirect_uri with state + a one-time code; /api/esmc/auth/token
+ * checks the PKCE verifier against the challenge before issuing a token.
+ *
+ * Device flow scenarios (--scenario):
+ *   approve    authorization_pending twice, then a token
+ *   slow_down  slow_down once, then a token
+ *   expired    authorization_pending, then expired_token
+ *   denied     authorization_pending, then access_denied
+ *   manual     authorization_pending until GET /device?user_code=XXXX-XXXX
+ *              (add &deny=1 to deny)
+ *
+ * Key rotation: a new signing key (stub-2, stub-3, ...) replaces the current one
+ * after every N issued tokens (--rotate-every) or on POST /__stub/rotate-key.
+ * The JWKS publishes the current and the previous key, with
+ * Cache-Control: max-age=<--jwks-max-age>, so clients holding a cached set
+ * meet an unknown kid and must refetch.
+ *
+ * Token refresh: every token response carries a single-use refresh token;
+ * /api/esmc/auth/refresh rotates it and issues a new access token
+ * (valid for --token-ttl seconds). POST /__stub/revoke revokes every
+ * outstanding refresh token (the next refresh gets invalid_grant).
+ * Token responses also carry a Guardian blessing and a license token (JWS
+ * over the canonical license body) signed with the current key
+ * (--unsigned-license leaves the license token out, like a legacy server).
+ *
+ * Entitlements: /api/esmc/mcp/validate answers with the user and a signed
+ * entitlements token. Built-in tiers get TIER_FEATURES; any other --tier
+ * (e.g. ENTERPRISE) gets MAX features at level 4, as a custom tier would.
+ *
+ * Logout: /api/esmc/auth/revoke (RFC 7009) revokes a refresh token and
+ * /api/esmc/device/deregister forgets the device; both are logged.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { canonicalize } = require('../../esmc-auth/src/core/canonical-json.js');
+const { TIER_FEATURES } = require('../../esmc-auth/src/config/constants.js');
+
+const DEFAULT_PORT = 4010;
+
+// ═══════════════════════════════════════════════════════════════════════
+// SIGNING KEYS
+// ═══════════════════════════════════════════════════════════════════════
+
+// Key generation and JWS signing parameters per algorithm
+const ALGORITHMS = {
+  RS256: { type: 'rsa', options: { modulusLength: 2048 }, digest: 'sha256' },
+  ES256: { type: 'ec', options: { namedCurve: 'P-256' }, digest: 'sha256', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { type: 'ed25519', options: {}, digest: null }
+};
+
+function createSigningKey(kid, alg = 'RS256') {
+  const params = ALGORITHMS[alg];
+  if (!params) {
+    throw new Error(`Unsupported stub algorithm: ${alg}`);
+  }
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(params.type, params.options);
+  return {
+    kid,
+    alg,
+    privateKey,
+    jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg, use: 'sig' }
+  };
+}
+
+/**
+ * Compact JWS over an already serialized payload
+ */
+function signJWS(payloadText, signingKey, typ) {
+  const alg = signingKey.alg || 'RS256';
+  const params = ALGORITHMS[alg];
+  const header = { alg, typ, kid: signingKey.kid };
+  const headerB64 = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const payloadB64 = Buffer.from(payloadText).toString('base64url');
+  const key = params.dsaEncoding ? { key: signingKey.privateKey, dsaEncoding: params.dsaEncoding } : signingKey.privateKey;
+  const signature = crypto.sign(params.digest, Buffer.from(`${headerB64}.${payloadB64}`), key);
+  return `${headerB64}.${payloadB64}.${signature.toString('base64url')}`;
+}
+
+function signJWT(payload, signingKey) {
+  return signJWS(JSON.stringify(payload), signingKey, 'JWT');
+}
+
+/**
+ * Sign a license body: JWS over its canonical JSON (verifiable from the license file alone)
+ */
+function signLicense(body, signingKey) {
+  return signJWS(canonicalize(body), signingKey, 'esmc-license+jws');
+}
+
+/**
+ * Sign an entitlements document (compact JWS, payload as sent)
+ */
+function signEntitlements(body, signingKey) {
+  return signJWS(JSON.stringify(body), signingKey, 'esmc-entitlements+jws');
+}
+
+/**
+ * Sign a Guardian blessing: canonical JSON of every field but the signature
+ */
+function signBlessing(fields, signingKey) {
+  const alg = signingKey.alg || 'RS256';
+  const params = ALGORITHMS[alg];
+  const blessing = { ...fields, kid: signingKey.kid, alg };
+  const key = params.dsaEncoding ? { key: signingKey.privateKey, dsaEncoding: params.dsaEncoding } : signingKey.privateKey;
+  const signature = crypto.sign(params.digest, Buffer.from(canonicalize(blessing)), key);
+  return { ...blessing, signature: signature.toString('base64url') };
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// HTTP HELPERS
+// ═══════════════════════════════════════════════════════════════════════
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readJSON(req) {
+  return new Promise((resolve) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        resolve({});
+      }
+    });
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// STAND-IN SERVER
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Create the stand-in server (not yet listening)
+ * @param {object} options - { scenario, tier, alg, rotateEvery, jwksMaxAge, tokenTtl, unsignedLicense, log }
+ * @returns {{server: http.Server, state: object, rotateKey: Function}}
+ */
+function createStubServer(options = {}) {
+  const scenario = options.scenario || 'approve';
+  const tier = options.tier || 'PRO';
+  const alg = options.alg || 'RS256';
+  const rotateEvery = options.rotateEvery || 0;
+  const jwksMaxAge = options.jwksMaxAge !== undefined ? options.jwksMaxAge : 300;
+  const tokenTtl = options.tokenTtl || 3600;
+  const log = options.log || ((message) => console.log(`[stub] ${message}`));
+
+  const state = {
+    signingKey: createSigningKey('stub-1', alg),
+    previousKey: null,
+    keyGeneration: 1,
+    tokensIssued: 0,
+    deviceCodes: new Map(),
+    authCodes: new Map(),
+    refreshTokens: new Map(),
+    revokedTokens: 0,
+    deregisteredDevices: [],
+    baseUrl: null
+  };
+
+  /**
+   * Replace the signing key; the previous key stays published for one rotation
+   */
+  function rotateKey() {
+    state.keyGeneration += 1;
+    state.previousKey = state.signingKey;
+    state.signingKey = createSigningKey(`stub-${state.keyGeneration}`, alg);
+    log(`signing key rotated: ${state.previousKey.kid} → ${state.signingKey.kid}`);
+    return state.signingKey.kid;
+  }
+
+  function issueToken(hardwareId) {
+    if (rotateEvery > 0 && state.tokensIssued > 0 && state.tokensIssued % rotateEvery === 0) {
+      rotateKey();
+    }
+    state.tokensIssued += 1;
+
+    const now = Math.floor(Date.now() / 1000);
+    return signJWT({
+      sub: 'stub-user',
+      email: 'dev@example.com',
+      name: 'Stub User',
+      tier,
+      hardwareId,
+      subscriptionEndDate: new Date(Date.now() + 30 * 86400000).toISOString(),
+      iss: 'esmc-sdk.com',
+      aud: 'esmc-client',
+      iat: now,
+      exp: now + tokenTtl
+    }, state.signingKey);
+  }
+
+  /**
+   * Token response with a new single-use refresh token, a signed blessing and a signed license
+   */
+  function tokenResponse(hardwareId) {
+    const refreshToken = crypto.randomBytes(24).toString('base64url');
+    state.refreshTokens.set(refreshToken, { hardwareId });
+    const accessToken = issueToken(hardwareId);
+    return {
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      license_token: options.unsignedLicense ? undefined : signLicense({
+        email: 'dev@example.com',
+        userId: 'stub-user',
+        displayName: 'Stub User',
+        tier,
+        subscriptionStatus: 'active',
+        subscriptionEndDate: new Date(Date.now() + 30 * 86400000).toISOString(),
+        compositeDeviceId: hardwareId,
+        features: [],
+        maxDevices: 3,
+        issuedAt: new Date().toISOString()
+      }, state.signingKey),
+      blessing: signBlessing({
+        tier,
+        compositeDeviceId: hardwareId,
+        issuedAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + 30 * 86400000).toISOString()
+      }, state.signingKey),
+      token_type: 'Bearer',
+      expires_in: tokenTtl
+    };
+  }
+
+  /**
+   * Decide the next device token response for a scenario
+   * @returns {string|null} - RFC 8628 error code, or null to issue the token
+   */
+  function nextDeviceOutcome(entry) {
+    entry.polls += 1;
+
+    if (scenario === 'manual') {
+      if (entry.status === 'approved') return null;
+      if (entry.status === 'denied') return 'access_denied';
+      return 'authorization_pending';
+    }
+
+    const script = {
+      approve: ['authorization_pending', 'authorization_pending', null],
+      slow_down: ['slow_down', null],
+      expired: ['authorization_pending', 'expired_token'],
+      denied: ['authorization_pending', 'access_denied']
+    }[scenario] || [null];
+
+    return script[Math.min(entry.polls, script.length) - 1];
+  }
+
+  /**
+   * Features the server grants a tier (custom tiers get MAX features)
+   */
+  function tierEntitlements() {
+    return Object.hasOwn(TIER_FEATURES, tier)
+      ? TIER_FEATURES[tier]
+      : { ...TIER_FEATURES.MAX, displayName: tier, level: 4, maxProjects: 5000 };
+  }
+
+  const routes = {
+    'GET /.well-known/jwks.json': (req, res) => {
+      const keys = [state.signingKey, state.previousKey].filter(Boolean).map(key => key.jwk);
+      log(`JWKS served: ${keys.map(key => key.kid).join(', ')}`);
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': `public, max-age=${jwksMaxAge}` });
+      res.end(JSON.stringify({ keys }));
+    },
+
+    'POST /__stub/rotate-key': (req, res) => {
+      sendJSON(res, 200, { kid: rotateKey() });
+    },
+
+    'POST /api/esmc/device/code': async (req, res) => {
+      const body = await readJSON(req);
+      const deviceCode = crypto.randomBytes(16).toString('hex');
+      const raw = crypto.randomBytes(4).toString('hex').toUpperCase();
+      const userCode = `${raw.slice(0, 4)}-${raw.slice(4)}`;
+
+      state.deviceCodes.set(deviceCode, { userCode, polls: 0, status: 'pending', hardwareId: body.hardwareId });
+      log(`device code issued: ${userCode} (scenario: ${scenario})`);
+
+      sendJSON(res, 200, {
+        device_code: deviceCode,
+        user_code: userCode,
+        verification_uri: `${state.baseUrl}/device`,
+        verification_uri_complete: `${state.baseUrl}/device?user_code=${userCode}`,
+        expires_in: 600,
+        interval: 1
+      });
+    },
+
+    'POST /api/esmc/device/token': async (req, res) => {
+      const body = await readJSON(req);
+      const entry = state.deviceCodes.get(body.device_code);
+
+      if (!entry) {
+        return sendJSON(res, 400, { error: 'invalid_grant', error_description: 'Unknown device code' });
+      }
+
+      const outcome = nextDeviceOutcome(entry);
+      log(`device token poll #${entry.polls}: ${outcome || 'approved'}`);
+
+      if (outcome) {
+        return sendJSON(res, 400, { error: outcome });
+      }
+
+      state.deviceCodes.delete(body.device_code);
+      sendJSON(res, 200, tokenResponse(body.hardwareId || entry.hardwareId));
+    },
+
+    'GET /auth/auth-login': (req, res, url) => {
+      const redirectUri = url.searchParams.get('redirect_uri');
+      const challenge = url.searchParams.get('code_challenge');
+
+      if (!redirectUri || !challenge || url.searchParams.get('code_challenge_method') !== 'S256') {
+        return sendJSON(res, 400, { error: 'invalid_request', error_description: 'redirect_uri and S256 code_challenge required' });
+      }
+
+      const code = crypto.randomBytes(16).toString('hex');
+      state.authCodes.set(code, { challenge, redirectUri, hardwareId: url.searchParams.get('hardwareId') });
+      log(`authorization code issued for ${redirectUri}`);
+
+      const target = new URL(redirectUri);
+      target.searchParams.set('code', code);
+      target.searchParams.set('state', url.searchParams.get('state') || '');
+      res.writeHead(302, { Location: target.toString() });
+      res.end();
+    },
+
+    'POST /api/esmc/auth/token': async (req, res) => {
+      const body = await readJSON(req);
+      const entry = state.authCodes.get(body.code);
+
+      // Codes are single-use whatever the outcome
+      state.authCodes.delete(body.code);
+
+      if (!entry || entry.redirectUri !== body.redirect_uri) {
+        return sendJSON(res, 400, { error: 'invalid_grant', error_description: 'Unknown or reused authorization code' });
+      }
+
+      const expected = crypto.createHash('sha256').update(body.code_verifier || '').digest('base64url');
+      if (expected !== entry.challenge) {
+        log('PKCE verification failed');
+        return sendJSON(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+      }
+
+      log('authorization code exchanged');
+      sendJSON(res, 200, tokenResponse(body.hardwareId || entry.hardwareId));
+    },
+
+    'POST /api/esmc/auth/refresh': async (req, res) => {
+      const body = await readJSON(req);
+      const entry = state.refreshTokens.get(body.refresh_token);
+
+      // Refresh tokens rotate: each one is single-use
+      state.refreshTokens.delete(body.refresh_token);
+
+      if (body.grant_type !== 'refresh_token' || !entry) {
+        log('refresh rejected (unknown, reused or revoked refresh token)');
+        return sendJSON(res, 400, { error: 'invalid_grant', error_description: 'Refresh token revoked or already used' });
+      }
+
+      log('access token refreshed');
+      sendJSON(res, 200, tokenResponse(body.hardwareId || entry.hardwareId));
+    },
+
+    'POST /api/esmc/auth/revoke': async (req, res) => {
+      const body = await readJSON(req);
+      // RFC 7009: unknown and already revoked tokens are answered with 200 as well
+      if (body.token_type_hint === 'refresh_token' && state.refreshTokens.delete(body.token)) {
+        state.revokedTokens += 1;
+      }
+      log(`token revoked (${body.token_type_hint || 'unknown type'})`);
+      sendJSON(res, 200, {});
+    },
+
+    'POST /api/esmc/device/deregister': async (req, res) => {
+      const body = await readJSON(req);
+      if (!(req.headers.authorization || '').startsWith('Bearer ')) {
+        return sendJSON(res, 401, { error: 'invalid_token' });
+      }
+      state.deregisteredDevices.push(body.hardwareId);
+      log(`device deregistered: ${String(body.hardwareId).slice(0, 16)}...`);
+      sendJSON(res, 200, { deregistered: true });
+    },
+
+    'POST /api/esmc/mcp/validate': async (req, res) => {
+      const body = await readJSON(req);
+      let claims;
+      try {
+        claims = JSON.parse(Buffer.from(String(body.token).split('.')[1], 'base64url').toString('utf8'));
+      } catch (error) {
+        return sendJSON(res, 401, { valid: false, error: 'invalid_token' });
+      }
+
+      log(`token validated (${tier})`);
+      sendJSON(res, 200, {
+        valid: true,
+        user: { tier, email: claims.email, name: claims.name, expiresAt: claims.subscriptionEndDate },
+        entitlements_token: signEntitlements({
+          sub: claims.sub,
+          tier,
+          features: tierEntitlements(),
+          issuedAt: new Date().toISOString(),
+          expiresAt: new Date(Date.now() + 7 * 86400000).toISOString()
+        }, state.signingKey)
+      });
+    },
+
+    'POST /__stub/revoke': (req, res) => {
+      const revoked = state.refreshTokens.size;
+      state.refreshTokens.clear();
+      log(`${revoked} refresh token(s) revoked`);
+      sendJSON(res, 200, { revoked });
+    },
+
+    'GET /device': (req, res, url) => {
+      const userCode = url.searchParams.get('user_code');
+      const entry = [...state.deviceCodes.values()].find(candidate => candidate.userCode === userCode);
+
+      if (!entry) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        return res.end('Unknown user code');
+      }
+
+      entry.status = url.searchParams.get('deny') ? 'denied' : 'approved';
+      log(`device ${userCode} ${entry.status}`);
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end(`Device ${userCode} ${entry.status}. You can return to your terminal.`);
+    }
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url || '', state.baseUrl || 'http://127.0.0.1');
+    const route = routes[`${req.method} ${url.pathname}`];
+
+    if (!route) {
+      return sendJSON(res, 404, { error: 'not_found' });
+    }
+
+    try {
+      await route(req, res, url);
+    } catch (error) {
+      log(`handler error: ${error.message}`);
+      sendJSON(res, 500, { error: 'server_error', error_description: error.message });
+    }
+  });
+
+  server.on('listening', () => {
+    state.baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  return { server, state, rotateKey };
+}
+
+function readFlag(argv, name, fallback) {
+  const index = argv.indexOf(name);
+  return index !== -1 && argv[index + 1] ? argv[index + 1] : fallback;
+}
+
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  const port = parseInt(readFlag(argv, '--port', DEFAULT_PORT), 10);
+  const { server } = createStubServer({
+    scenario: readFlag(argv, '--scenario', 'approve'),
+    tier: readFlag(argv, '--tier', 'PRO'),
+    alg: readFlag(argv, '--alg', 'RS256'),
+    rotateEvery: parseInt(readFlag(argv, '--rotate-every', '0'), 10),
+    jwksMaxAge: parseInt(readFlag(argv, '--jwks-max-age', '300'), 10),
+    tokenTtl: parseInt(readFlag(argv, '--token-ttl', '3600'), 10),
+    unsignedLicense: argv.includes('--unsigned-license')
+  });
+
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`🧪 ESMC API stand-in listening on http://127.0.0.1:${port}`);
+    console.log(`   ESMC_API_URL=http://127.0.0.1:${port}/api`);
+    console.log(`   ESMC_AUTH_URL=http://127.0.0.1:${port}/auth/auth-login`);
+    console.log(`   ESMC_JWKS_URL=http://127.0.0.1:${port}/.well-known/jwks.json`);
+  });
+}
+
+module.exports = {
+  createStubServer,
+  signJWT,
+  signBlessing,
+  signLicense,
+  signEntitlements,
+  createSigningKey
+};
@@ -11,19 +11,36 @@ const path = require('path');
 const fs = require('fs');
 
 // Import credentials reader from esmc-auth (standalone authentication)
-const { loadCredentials } = require('../esmc-auth/src/auth/credentials.js');
+const { loadCredentials, getCredentialStore } = require('../esmc-auth/src/auth/credentials.js');
 
 // Import ESMC license manager (now in esmc-auth for chaos compatibility)
 const { writeLicenseFile, getLicenseFilePath } = require('../esmc-auth/src/core/esmc-license-manager.js');
 
+// Redacted console output (safe to paste into support tickets)
+const { maskEmail, redactString } = require('../esmc-auth/src/core/redact.js');
+const { logEvent } = require('../esmc-auth/src/core/logger.js');
+
+// Profiles: --profile <name> selects the identity to sync (default: active profile)
+const { getActiveProfile, setActiveProfile } = require('../esmc-auth/src/core/profiles.js');
+const { parseArgs } = require('./lib/cli.js');
+
 console.log('═══════════════════════════════════════════════════════════════════════');
 console.log('🔐 ESMC License Sync');
 console.log('   Converting MCP credentials → ESMC license file');
 console.log('═══════════════════════════════════════════════════════════════════════\n');
 
 try {
-  // Step 1: Load credentials from ~/.esmc/credentials.json
-  console.log('📥 Loading MCP credentials from ~/.esmc/credentials.json...');
+  const { flags } = parseArgs(process.argv.slice(2));
+  if (typeof flags.profile === 'string') {
+    setActiveProfile(flags.profile);
+  }
+  const profile = getActiveProfile();
+  if (profile.source !== 'default') {
+    console.log(`🗂️  Profile: ${profile.name} (${profile.source})`);
+  }
+
+  // Step 1: Load credentials from the configured store (~/.esmc/credentials.json by default)
+  console.log(`📥 Loading MCP credentials from ${getCredentialStore().location}...`);
   const credentials = loadCredentials();
 
   if (!credentials) {
@@ -32,7 +49,7 @@ try {
     process.exit(1);
   }
 
-  console.log(`✅ Credentials loaded for ${credentials.email}`);
+  console.log(`✅ Credentials loaded for ${maskEmail(credentials.email)}`);
   console.log(`   Tier: ${credentials.tier}`);
   console.log('');
 
@@ -47,7 +64,8 @@ try {
     subscriptionStatus: 'active',
     subscriptionEndDate: credentials.expiresAt || null,  // ✅ Matches license-manager schema
     features: [],
-    maxDevices: credentials.tier === 'FREE' ? 1 : credentials.tier === 'PRO' ? 3 : 10
+    maxDevices: credentials.tier === 'FREE' ? 1 : credentials.tier === 'PRO' ? 3 : 10,
+    licenseToken: credentials.licenseToken || null  // Signed license from the last login or refresh
   };
 
   // Step 3: Write ESMC license file
@@ -55,10 +73,13 @@ try {
   const result = writeLicenseFile(esmcUserData);
 
   if (!result.success) {
-    console.error(`❌ License sync failed: ${result.error}`);
+    console.error(`❌ License sync failed: ${redactString(result.error)}`);
+    logEvent('license.sync.failure', { error: result.error });
     process.exit(1);
   }
 
+  logEvent('license.sync.success', { profile: profile.name, tier: esmcUserData.tier, email: esmcUserData.email });
+
   // Success!
   console.log('');
   console.log('═══════════════════════════════════════════════════════════════════════');
@@ -66,7 +87,7 @@ try {
   console.log('═══════════════════════════════════════════════════════════════════════');
   console.log(`📁 License file: ${path.basename(result.filePath)}`);
   console.log(`📍 Location: .claude/ESMC Complete/`);
-  console.log(`👤 User: ${esmcUserData.email}`);
+  console.log(`👤 User: ${maskEmail(esmcUserData.email)}`);
   console.log(`🎖️  Tier: ${esmcUserData.tier}`);
 
   if (esmcUserData.subscriptionEndDate) {
@@ -84,10 +105,11 @@ try {
 } catch (error) {
   console.error('');
   console.error('❌ License sync failed:');
-  console.error(`   ${error.message}`);
+  console.error(`   ${redactString(error.message)}`);
   console.error('');
   console.error('Stack trace:');
-  console.error(error.stack);
+  console.error(redactString(error.stack));
   console.error('');
+  logEvent('license.sync.failure', { error: error.message });
   process.exit(1);
 }
@@ -20,57 +20,63 @@ function generateKey(passphrase) {
   return crypto.createHash('sha256').update(securePassphrase).digest();
 }
 
-function verifyPackage() {
-  console.log('\n🔍 ESMC 3.13 Package Integrity Verification');
-  console.log('═══════════════════════════════════════════════\n');
+/**
+ * Inspect package integrity without printing (used by `esmc doctor` / `esmc status`)
+ * @returns {object} - { valid, error, manifest, signatureValid, verified, modified: [], missing: [] }
+ */
+function inspectPackage() {
+  const report = {
+    valid: false,
+    error: null,
+    manifest: null,
+    signatureValid: false,
+    verified: 0,
+    modified: [],
+    missing: []
+  };
 
   // Load integrity manifest
   const manifestPath = path.join(DIST_DIR, '.claude', 'ESMC-Chaos', '.integrity-manifest.json');
   if (!fs.existsSync(manifestPath)) {
-    console.error('❌ Integrity manifest not found!');
-    return false;
+    report.error = 'Integrity manifest not found!';
+    return report;
   }
 
   const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
-  console.log('📋 Build Version: ' + manifest.buildVersion);
-  console.log('📋 Build Date: ' + manifest.buildDate);
-  console.log('📋 Architecture: ' + manifest.architecture);
-  console.log('📋 Expected Files: ' + manifest.totalFiles + '\n');
+  report.manifest = {
+    buildVersion: manifest.buildVersion,
+    buildDate: manifest.buildDate,
+    architecture: manifest.architecture,
+    totalFiles: manifest.totalFiles
+  };
 
   // Load package signature
   const signaturePath = path.join(DIST_DIR, '.package-signature');
   if (!fs.existsSync(signaturePath)) {
-    console.error('❌ Package signature not found!');
-    return false;
+    report.error = 'Package signature not found!';
+    return report;
   }
 
   const signatureFile = JSON.parse(fs.readFileSync(signaturePath, 'utf8'));
 
   // Verify HMAC signature
-  console.log('🔏 Verifying HMAC signature...');
   const signatureKey = generateKey('ESMC-' + manifest.buildVersion + '-package-signature');
   const hmac = crypto.createHmac('sha256', signatureKey);
   hmac.update(JSON.stringify(manifest));
   const calculatedSignature = hmac.digest('hex');
 
   if (calculatedSignature !== signatureFile.signature) {
-    console.error('❌ SIGNATURE MISMATCH! Package may be tampered.');
-    return false;
+    report.error = 'SIGNATURE MISMATCH! Package may be tampered.';
+    return report;
   }
-  console.log('   ✅ Signature valid\n');
+  report.signatureValid = true;
 
   // Verify file checksums
-  console.log('📊 Verifying file checksums...');
-  let verifiedCount = 0;
-  let modifiedCount = 0;
-  let missingCount = 0;
-
   for (const [file, expectedHash] of Object.entries(manifest.checksums)) {
     const fullPath = path.join(DIST_DIR, file);
 
     if (!fs.existsSync(fullPath)) {
-      console.error('   ❌ Missing: ' + file);
-      missingCount++;
+      report.missing.push(file);
       continue;
     }
 
@@ -79,20 +85,52 @@ function verifyPackage() {
     const actualHash = hash.digest('hex');
 
     if (actualHash !== expectedHash) {
-      console.error('   ❌ Modified: ' + file);
-      modifiedCount++;
+      report.modified.push(file);
     } else {
-      verifiedCount++;
+      report.verified++;
     }
   }
 
-  console.log('   ✅ Verified: ' + verifiedCount + ' files');
-  if (modifiedCount > 0) console.error('   ❌ Modified: ' + modifiedCount + ' files');
-  if (missingCount > 0) console.error('   ❌ Missing: ' + missingCount + ' files');
+  report.valid = report.modified.length === 0 && report.missing.length === 0;
+  return report;
+}
+
+function verifyPackage() {
+  console.log('\n🔍 ESMC 3.13 Package Integrity Verification');
+  console.log('═══════════════════════════════════════════════\n');
+
+  const report = inspectPackage();
+
+  if (report.manifest) {
+    console.log('📋 Build Version: ' + report.manifest.buildVersion);
+    console.log('📋 Build Date: ' + report.manifest.buildDate);
+    console.log('📋 Architecture: ' + report.manifest.architecture);
+    console.log('📋 Expected Files: ' + report.manifest.totalFiles + '\n');
+  }
+
+  if (report.error) {
+    if (report.error.startsWith('SIGNATURE')) {
+      console.log('🔏 Verifying HMAC signature...');
+    }
+    console.error('❌ ' + report.error);
+    return false;
+  }
+
+  console.log('🔏 Verifying HMAC signature...');
+  console.log('   ✅ Signature valid\n');
+
+  // Verify file checksums
+  console.log('📊 Verifying file checksums...');
+  report.missing.forEach(file => console.error('   ❌ Missing: ' + file));
+  report.modified.forEach(file => console.error('   ❌ Modified: ' + file));
+
+  console.log('   ✅ Verified: ' + report.verified + ' files');
+  if (report.modified.length > 0) console.error('   ❌ Modified: ' + report.modified.length + ' files');
+  if (report.missing.length > 0) console.error('   ❌ Missing: ' + report.missing.length + ' files');
   console.log('');
 
   // Final verdict
-  if (modifiedCount === 0 && missingCount === 0) {
+  if (report.valid) {
     console.log('✅ PACKAGE INTEGRITY VERIFIED');
     console.log('   Safe to deploy\n');
     return true;
@@ -104,5 +142,12 @@ function verifyPackage() {
 }
 
 // Run verification
-const isValid = verifyPackage();
-process.exit(isValid ? 0 : 1);
+if (require.main === module) {
+  const isValid = verifyPackage();
+  process.exit(isValid ? 0 : 1);
+}
+
+module.exports = {
+  inspectPackage,
+  verifyPackage
+};